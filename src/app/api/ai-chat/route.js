@@ -1,61 +1,157 @@
 export const runtime = 'nodejs';
 
 import { NextResponse } from 'next/server';
+import { getProviderAdapter, resolveProvider } from '../../../lib/ai/providerAdapters.js';
+import rateLimiter, { identifyClient, meterStream, rateLimitHeaders } from '../../../lib/ai/serverRateLimiter.js';
+import { estimateTokens } from '../../../lib/chatHistory.js';
+
+const MESSAGE_ROLES = ['system', 'user', 'assistant'];
+
+/**
+ * Validate the chat messages sent by the client: a non-empty array of { role, content } with a
+ * known role and text content
+ */
+function readMessages(messages) {
+  if (!Array.isArray(messages) || messages.length === 0) {
+    throw new Error('messages must be a non-empty array');
+  }
+
+  return messages.map((message, index) => {
+    if (!MESSAGE_ROLES.includes(message?.role)) {
+      throw new Error(`messages[${index}].role must be one of ${MESSAGE_ROLES.join(', ')}`);
+    }
+    if (typeof message.content !== 'string') {
+      throw new Error(`messages[${index}].content must be a string`);
+    }
+    return { role: message.role, content: message.content };
+  });
+}
+
+/**
+ * The caller's remaining quota, without using any of it
+ */
+export async function GET(request) {
+  const client = identifyClient(request);
+  const quota = rateLimiter.getQuota(client.id);
+  return NextResponse.json(quota, { headers: { ...client.headers, ...rateLimitHeaders(quota) } });
+}
 
 export async function POST(request) {
+  const client = identifyClient(request);
+  const clientId = client.id;
+  // Every response carries the session cookie when the client has just been given one
+  let quotaHeaders = client.headers;
+  let reservation = null;
+  
   try {
-    const { messages, model = 'gpt-4', temperature = 0.7, maxTokens = 2048, stream = false } = await request.json();
+    const body = await request.json().catch(() => null);
+
+    let messages;
+    try {
+      messages = readMessages(body?.messages);
+    } catch (error) {
+      return NextResponse.json({ error: error.message }, { status: 400, headers: quotaHeaders });
+    }
+    const { model = 'gpt-4', provider, temperature = 0.7, maxTokens = 2048, stream = false } = body;
+    
+    const providerName = resolveProvider(provider, model);
+    
+    // The prompt's size counts against the daily budgets before the provider reports it
+    const promptEstimate = estimateTokens(messages.map(message => message.content).join('\n'));
+    const check = rateLimiter.isAllowed(clientId, { promptTokens: promptEstimate, model, provider: providerName });
+    if (!check.allowed) {
+      const retryAfter = Math.max(1, Math.ceil((check.resetTime - Date.now()) / 1000));
+      return NextResponse.json({ 
+        error: `${check.reason}. Try again in ${retryAfter}s.` 
+      }, { 
+        status: 429,
+        headers: { 'Retry-After': String(retryAfter), ...client.headers, ...rateLimitHeaders(rateLimiter.getQuota(clientId)) }
+      });
+    }
+    quotaHeaders = { ...client.headers, ...rateLimitHeaders(rateLimiter.getQuota(clientId)) };
+    
+    const adapter = getProviderAdapter(providerName);
+    if (!adapter) {
+      return NextResponse.json({ 
+        error: `Unknown AI provider: ${providerName}` 
+      }, { status: 400, headers: quotaHeaders });
+    }
     
-    // Get API key from server-side environment
-    const apiKey = process.env.OPENAI_KEY || process.env.OPENAI_API_KEY;
+    // API keys and server URLs come from the server-side environment
+    const configError = adapter.configError();
     
-    if (!apiKey) {
+    if (configError) {
       return NextResponse.json({ 
-        error: 'No OpenAI API key configured on server' 
-      }, { status: 500 });
-    }
-    
-    // Make request to OpenAI API
-    const openaiResponse = await fetch('https://api.openai.com/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${apiKey}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        model: model,
-        messages: messages,
-        temperature: temperature,
-        max_tokens: maxTokens,
-        stream: stream
-      })
+        error: configError 
+      }, { status: 500, headers: quotaHeaders });
+    }
+    
+    // Only requests the server can serve use up the caller's quota
+    rateLimiter.recordRequest(clientId);
+    quotaHeaders = { ...client.headers, ...rateLimitHeaders(rateLimiter.getQuota(clientId)) };
+    // Held against the budgets until the reply's usage is known, so parallel requests see it
+    reservation = rateLimiter.reserveUsage(clientId, { model, provider: providerName, promptTokens: promptEstimate });
+    
+    // Make request to the provider's API
+    const params = { messages, model, temperature, maxTokens, stream };
+    // Token counts from the provider when it reports them, otherwise estimated from the text
+    const settleUsage = (usage, text) => rateLimiter.settleUsage(reservation, {
+      promptTokens: usage?.prompt_tokens ?? promptEstimate,
+      completionTokens: usage?.completion_tokens ?? estimateTokens(text),
+      estimated: !usage
     });
+
+    let providerResponse;
+    if (adapter.send) {
+      providerResponse = await adapter.send(params, request.signal);
+    } else {
+      const { url, headers, body } = adapter.request(params);
+      providerResponse = await fetch(url, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(body),
+        // Closes the upstream request when the client stops or disconnects
+        signal: request.signal
+      });
+    }
     
-    if (!openaiResponse.ok) {
-      const errorData = await openaiResponse.json().catch(() => ({}));
+    if (!providerResponse.ok) {
+      // OpenAI and Anthropic both report errors as { error: { message } }
+      const errorData = await providerResponse.json().catch(() => ({}));
+      rateLimiter.releaseUsage(clientId, reservation);
       return NextResponse.json({ 
-        error: `OpenAI API Error: ${openaiResponse.status} - ${errorData.error?.message || 'Unknown error'}` 
-      }, { status: openaiResponse.status });
+        error: `${adapter.name} API Error: ${providerResponse.status} - ${errorData.error?.message || 'Unknown error'}` 
+      }, { status: providerResponse.status, headers: quotaHeaders });
     }
     
     if (stream) {
-      // Return streaming response
-      return new Response(openaiResponse.body, {
+      // Return streaming response, as OpenAI-style chunks whichever provider answered
+      const body = meterStream(adapter.normalizeStream(providerResponse.body), ({ text, usage }) => settleUsage(usage, text));
+      return new Response(body, {
         headers: {
           'Content-Type': 'text/event-stream',
           'Cache-Control': 'no-cache',
           'Connection': 'keep-alive',
+          ...quotaHeaders
         },
       });
     } else {
-      const data = await openaiResponse.json();
-      return NextResponse.json(data);
+      const data = adapter.parseResponse(await providerResponse.json());
+      settleUsage(data.usage, data.choices?.[0]?.message?.content || '');
+      return NextResponse.json(data, { headers: quotaHeaders });
     }
     
   } catch (error) {
+    // A stopped request keeps its reservation: the provider may already have read the prompt
+    if (error.name === 'AbortError') {
+      return new Response(null, { status: 499, headers: quotaHeaders });
+    }
+    if (reservation) {
+      rateLimiter.releaseUsage(clientId, reservation);
+    }
     console.error('AI Chat API Error:', error);
     return NextResponse.json({ 
       error: `Server error: ${error.message}` 
-    }, { status: 500 });
+    }, { status: 500, headers: quotaHeaders });
   }
-}
\ No newline at end of file
+}
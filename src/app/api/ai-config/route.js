@@ -1,15 +1,39 @@
 export const runtime = 'nodejs';
 
 import { NextResponse } from 'next/server';
+import { getProviderStatus } from '../../../lib/ai/providerAdapters.js';
 
 export async function GET() {
   try {
+    // Which providers the server can reach (keys and URLs stay on the server)
+    const providers = getProviderStatus();
+    
     // Get API key from server-side environment variables
     const apiKey = process.env.OPENAI_KEY || process.env.OPENAI_API_KEY || process.env.ANTHROPIC_API_KEY;
     
+    // Every request is answered by the mock provider
+    if (process.env.AI_PROVIDER === 'mock') {
+      return NextResponse.json({ 
+        hasApiKey: true,
+        maskedKey: 'mock',
+        keySource: 'AI_PROVIDER',
+        providers
+      });
+    }
+    
     if (!apiKey) {
+      // A local model server needs no key
+      if (providers.some(provider => provider.key === 'local' && provider.configured)) {
+        return NextResponse.json({ 
+          hasApiKey: true,
+          maskedKey: 'local server',
+          keySource: 'LOCAL_AI_BASE_URL',
+          providers
+        });
+      }
       return NextResponse.json({ 
         hasApiKey: false, 
+        providers,
         error: 'No API key found in environment variables' 
       }, { status: 200 });
     }
@@ -22,7 +46,8 @@ export async function GET() {
       hasApiKey: true,
       maskedKey: maskedKey,
       keySource: process.env.OPENAI_KEY ? 'OPENAI_KEY' : 
-                 process.env.OPENAI_API_KEY ? 'OPENAI_API_KEY' : 'ANTHROPIC_API_KEY'
+                 process.env.OPENAI_API_KEY ? 'OPENAI_API_KEY' : 'ANTHROPIC_API_KEY',
+      providers
     });
     
   } catch (error) {
@@ -31,4 +56,4 @@ export async function GET() {
       error: error.message 
     }, { status: 500 });
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,33 @@
+export const runtime = 'nodejs';
+
+import { NextResponse } from 'next/server';
+import { getProviderAdapter } from '../../../lib/ai/providerAdapters.js';
+
+/**
+ * List the models a provider's server offers (GET /api/ai-models?provider=local)
+ */
+export async function GET(request) {
+  const provider = new URL(request.url).searchParams.get('provider') || 'local';
+  const adapter = getProviderAdapter(provider);
+  
+  if (!adapter?.listModels) {
+    return NextResponse.json({ 
+      error: `Model discovery is not available for provider: ${provider}` 
+    }, { status: 400 });
+  }
+  
+  const configError = adapter.configError();
+  if (configError) {
+    return NextResponse.json({ error: configError }, { status: 500 });
+  }
+  
+  try {
+    const models = await adapter.listModels();
+    return NextResponse.json({ provider, models });
+  } catch (error) {
+    console.error('AI Models API Error:', error);
+    return NextResponse.json({ 
+      error: `Could not list ${adapter.name} models: ${error.message}` 
+    }, { status: 502 });
+  }
+}
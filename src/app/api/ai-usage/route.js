@@ -0,0 +1,16 @@
+export const runtime = 'nodejs';
+
+import { NextResponse } from 'next/server';
+import rateLimiter, { identifyClient, rateLimitHeaders } from '../../../lib/ai/serverRateLimiter.js';
+
+/**
+ * The caller's token usage and estimated cost over the last day, with their budgets and request quota
+ */
+export async function GET(request) {
+  const client = identifyClient(request);
+  const quota = rateLimiter.getQuota(client.id);
+  return NextResponse.json({
+    ...rateLimiter.getUsageSummary(client.id),
+    quota
+  }, { headers: { ...client.headers, ...rateLimitHeaders(quota) } });
+}
@@ -1,48 +1,89 @@
 export const runtime = 'nodejs';
 
 import { NextResponse } from 'next/server';
+import { getCompiler } from '../../../lib/compile/index.js';
+import { ENGINES, isValidEngine, resolveEngine } from '../../../lib/latexEngine.js';
+import { normalizePath, isTexPath } from '../../../lib/project.js';
+
+const MAX_FILES = 200;
+
+/**
+ * Validate and normalize the project files sent by the client
+ * Accepts { files, mainFile } or the single-file { content } shape
+ */
+function readProject(body) {
+  if (typeof body.content === 'string' && !body.files) {
+    return { files: [{ path: 'document.tex', content: body.content }], mainFile: 'document.tex' };
+  }
+
+  if (!Array.isArray(body.files) || body.files.length === 0) {
+    throw new Error('No files to compile');
+  }
+  if (body.files.length > MAX_FILES) {
+    throw new Error(`Too many files (limit is ${MAX_FILES})`);
+  }
+
+  const files = body.files.map(file => {
+    if (typeof file?.content !== 'string') {
+      throw new Error(`Missing content for ${file?.path}`);
+    }
+    if (file.encoding !== undefined && file.encoding !== 'base64') {
+      throw new Error(`Unsupported encoding "${file.encoding}" for ${file.path}`);
+    }
+    return { path: normalizePath(file.path), content: file.content, encoding: file.encoding };
+  });
+
+  const mainFile = normalizePath(body.mainFile || files[0].path);
+  if (!isTexPath(mainFile) || !files.some(file => file.path === mainFile)) {
+    throw new Error(`Main file ${mainFile} must be one of the project's .tex files`);
+  }
+
+  return { files, mainFile };
+}
 
 export async function POST(request) {
   try {
-    const { content } = await request.json();
-    if (typeof content !== 'string' || content.trim().length === 0) {
-      return NextResponse.json({ error: 'Empty LaTeX content' }, { status: 400 });
+    const body = await request.json();
+    const { engine } = body;
+
+    let project;
+    try {
+      project = readProject(body);
+    } catch (error) {
+      return NextResponse.json({ error: error.message }, { status: 400 });
     }
 
-    // Use texlive.net with correct multipart/form-data format
-    const formData = new FormData();
-    formData.append('filename[]', 'document.tex');
-    formData.append('filecontents[]', content);
-    formData.append('engine', 'pdflatex');
-    formData.append('return', 'pdf');
+    const mainContent = project.files.find(file => file.path === project.mainFile).content;
+    if (mainContent.trim().length === 0) {
+      return NextResponse.json({ error: 'Empty LaTeX content' }, { status: 400 });
+    }
+    if (engine !== undefined && engine !== 'auto' && !isValidEngine(engine)) {
+      return NextResponse.json({
+        error: `Unknown engine "${engine}" (expected one of ${ENGINES.map(e => e.id).join(', ')})`
+      }, { status: 400 });
+    }
 
-    const upstream = await fetch('https://texlive.net/cgi-bin/latexcgi', {
-      method: 'POST',
-      body: formData,
+    const compiler = getCompiler();
+    const result = await compiler.compile({
+      files: project.files,
+      mainFile: project.mainFile,
+      engine: resolveEngine(engine, mainContent)
     });
 
-    const contentType = upstream.headers.get('content-type') || '';
-
-    if (!upstream.ok) {
-      const logText = await upstream.text();
-      return NextResponse.json({ error: logText || `Compile failed (status ${upstream.status})` }, { status: 502 });
+    if (!result.success) {
+      return NextResponse.json({ error: result.log || 'Compilation failed' }, { status: 502 });
     }
 
-    if (contentType.includes('application/pdf')) {
-      const pdfBuffer = Buffer.from(await upstream.arrayBuffer());
-      return new NextResponse(pdfBuffer, {
-        status: 200,
-        headers: {
-          'Content-Type': 'application/pdf',
-          'Cache-Control': 'no-store',
-        },
-      });
-    } else {
-      // If not PDF, it's probably an error log
-      const logText = await upstream.text();
-      return NextResponse.json({ error: logText }, { status: 502 });
-    }
+    // JSON envelope so the log (and its warnings) travels with the PDF; hasLog is false for
+    // backends that return no log with the PDF
+    return NextResponse.json({
+      pdf: Buffer.from(result.pdf).toString('base64'),
+      log: result.log || '',
+      hasLog: compiler.providesLog
+    }, {
+      headers: { 'Cache-Control': 'no-store' },
+    });
   } catch (error) {
     return NextResponse.json({ error: String(error?.message || error) }, { status: 500 });
   }
-}
\ No newline at end of file
+}
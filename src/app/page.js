@@ -1,14 +1,55 @@
 'use client';
 
-import { useState, useRef, useEffect } from 'react';
+import { useState, useRef, useEffect, useMemo, useCallback } from 'react';
 import LatexEditor from '../components/LatexEditor';
 import AIChat from '../components/AIChat';
 import ResizableDivider from '../components/ResizableDivider';
-import { initializeDocument } from '../lib/simpleAgent';
+import CompileDiagnostics from '../components/CompileDiagnostics';
+import CompileWarnings from '../components/CompileWarnings';
+import FileTree from '../components/FileTree';
+import DocumentList from '../components/DocumentList';
+import VersionHistory from '../components/VersionHistory';
+import { initializeDocument, getUndoHistory, loadUndoHistory, setBeforeChangeCallback } from '../lib/simpleAgent';
+import { ENGINES, getEngineLabel, resolveEngine } from '../lib/latexEngine';
+import {
+  createDocumentRecord,
+  listDocuments,
+  loadDocument,
+  saveDocument,
+  deleteDocument,
+  getCurrentDocumentId,
+  setCurrentDocumentId,
+  stashPendingSave,
+  clearPendingSave,
+  recoverPendingSave
+} from '../lib/storage/documentStore';
+import { createVersion, deleteVersionsForDocument, getVersionLabel, getVersionProject } from '../lib/storage/versionStore';
+import { deleteThreadsForDocument } from '../lib/storage/threadStore';
+import { parseLatexLog, countDiagnostics, groupWarnings } from '../lib/latexLog';
+import {
+  DEFAULT_MAIN_FILE,
+  createProject,
+  getFile,
+  addFile,
+  updateFileContent,
+  renameFile,
+  deleteFile,
+  setMainFile,
+  normalizePath,
+  isBinaryPath
+} from '../lib/project';
 
-export default function Home() {
-  const [title, setTitle] = useState('My LaTeX Document');
-  const [content, setContent] = useState(`\\documentclass{article}
+// Wait this long after the last change before writing to IndexedDB
+const AUTOSAVE_DELAY_MS = 1000;
+
+/**
+ * The saved parts of the editor state, serialized to tell whether anything changed since the last save
+ */
+function serializeState(title, project, activeFile, engine) {
+  return JSON.stringify([title, project, activeFile, engine]);
+}
+
+const SAMPLE_DOCUMENT = `\\documentclass{article}
 \\usepackage{amsmath}
 \\usepackage{amsfonts}
 \\usepackage{amssymb}
@@ -42,13 +83,37 @@ f(x) &= ax^2 + bx + c \\\\\ng(x) &= \\sin(x) + \\cos(x) \\\\\nh(x) &= \\frac{1}{
 \\item Third item
 \\end{itemize}
 
-\\end{document}`);
+\\end{document}`;
+
+export default function Home() {
+  const [title, setTitle] = useState('My LaTeX Document');
+  const [project, setProject] = useState(() => createProject({
+    files: [{ path: DEFAULT_MAIN_FILE, content: SAMPLE_DOCUMENT }],
+    mainFile: DEFAULT_MAIN_FILE
+  }));
+  const [activeFile, setActiveFile] = useState(DEFAULT_MAIN_FILE);
+  const [pendingJump, setPendingJump] = useState(null); // { path, line } to reveal once the file is open
+  const [documentId, setDocumentId] = useState(null);
+  const [isAIBusy, setIsAIBusy] = useState(false); // an AI turn is running for the open document
+  const [documents, setDocuments] = useState([]);
+  const [isRestored, setIsRestored] = useState(false); // no autosave until the stored document is loaded
+  const [isSaving, setIsSaving] = useState(false);
+  const [lastSavedAt, setLastSavedAt] = useState(null);
+  const createdAtRef = useRef(null);
+  const savedSnapshotRef = useRef(''); // serialized state of the last save, to skip no-op saves
+  const [showHistory, setShowHistory] = useState(false);
+  const projectRef = useRef(project); // latest project for snapshots taken from agent callbacks
+  const hasTypedRef = useRef(false); // the user edited a file since the last edit version
   const [isTyping, setIsTyping] = useState(false);
   const [isDark, setIsDark] = useState(false);
   const [hasCompiled, setHasCompiled] = useState(false);
   const [isCompiling, setIsCompiling] = useState(false);
   const [compiledPdfUrl, setCompiledPdfUrl] = useState('');
   const [compileLog, setCompileLog] = useState('');
+  const [successLog, setSuccessLog] = useState(''); // log of the last successful compile
+  const [successHasLog, setSuccessHasLog] = useState(true); // false when the compile backend returns no log with the PDF
+  const [previewTab, setPreviewTab] = useState('pdf'); // 'pdf' | 'warnings'
+  const [engineChoice, setEngineChoice] = useState('auto'); // 'auto' follows the magic comment
   const [aiChatWidth, setAiChatWidth] = useState(320); // Default width for AI chat pane
   const titleRef = useRef(null);
   const editorRef = useRef(null);
@@ -75,14 +140,218 @@ f(x) &= ax^2 + bx + c \\\\\ng(x) &= \\sin(x) + \\cos(x) \\\\\nh(x) &= \\frac{1}{
     }
   }, []);
 
-  // Initialize simple agent
+  // Load a stored document into the editor state
+  const applyDocument = useCallback((record) => {
+    setDocumentId(record.id);
+    setTitle(record.title);
+    setProject(record.project);
+    setActiveFile(record.activeFile || record.project.mainFile);
+    setEngineChoice(record.engine || 'auto');
+    createdAtRef.current = record.createdAt;
+    hasTypedRef.current = false;
+    savedSnapshotRef.current = serializeState(record.title, record.project, record.activeFile, record.engine || 'auto');
+    loadUndoHistory(record.undoHistory || []);
+    setLastSavedAt(record.updatedAt);
+    setCurrentDocumentId(record.id);
+
+    setHasCompiled(false);
+    setCompileLog('');
+    setSuccessLog('');
+    setCompiledPdfUrl('');
+  }, []);
+
+  // Restore the last open document (or store the sample as the first one)
+  useEffect(() => {
+    const restore = async () => {
+      try {
+        // Edits stashed by a page that closed before its last save finished
+        await recoverPendingSave();
+
+        const stored = await listDocuments();
+        const lastId = getCurrentDocumentId();
+        const target = stored.find(doc => doc.id === lastId) || stored[0];
+        const record = target ? await loadDocument(target.id) : null;
+
+        if (record) {
+          applyDocument(record);
+          setDocuments(stored);
+        } else {
+          const created = await saveDocument(createDocumentRecord({
+            title: 'My LaTeX Document',
+            project: createProject({ files: [{ path: DEFAULT_MAIN_FILE, content: SAMPLE_DOCUMENT }] })
+          }));
+          applyDocument(created);
+          setDocuments(await listDocuments());
+        }
+      } catch (error) {
+        console.error('[Page] Failed to restore documents, changes will not be saved:', error);
+      } finally {
+        setIsRestored(true);
+      }
+    };
+
+    restore();
+  }, [applyDocument]);
+
+  // Build the record for the document currently in the editor
+  const currentRecord = useCallback(() => ({
+    id: documentId,
+    title,
+    project,
+    activeFile,
+    engine: engineChoice,
+    undoHistory: getUndoHistory(),
+    createdAt: createdAtRef.current
+  }), [documentId, title, project, activeFile, engineChoice]);
+
+  const persistCurrent = useCallback(async () => {
+    if (!documentId) return;
+    const snapshot = serializeState(title, project, activeFile, engineChoice);
+    if (snapshot === savedSnapshotRef.current) return;
+
+    setIsSaving(true);
+    try {
+      const saved = await saveDocument(currentRecord());
+      savedSnapshotRef.current = snapshot;
+      clearPendingSave();
+      setLastSavedAt(saved.updatedAt);
+      setDocuments(prev => prev
+        .map(doc => doc.id === saved.id ? { ...doc, title: saved.title, updatedAt: saved.updatedAt } : doc)
+        .sort((a, b) => b.updatedAt - a.updatedAt));
+    } catch (error) {
+      console.error('[Page] Autosave failed:', error);
+    } finally {
+      setIsSaving(false);
+    }
+  }, [documentId, title, project, activeFile, engineChoice, currentRecord]);
+
+  // Version history: snapshot the project without blocking the caller
+  const snapshotProject = useCallback((kind, label) => {
+    if (!documentId) return;
+    createVersion(documentId, projectRef.current, { kind, label }).catch(error => {
+      console.error('[Page] Failed to save version:', error);
+    });
+  }, [documentId]);
+
+  // Debounced autosave; the user's own edits also go into the version history
+  useEffect(() => {
+    if (!isRestored || !documentId) return;
+    const timer = setTimeout(() => {
+      persistCurrent();
+      if (hasTypedRef.current) {
+        hasTypedRef.current = false;
+        snapshotProject('edit');
+      }
+    }, AUTOSAVE_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [isRestored, documentId, persistCurrent, snapshotProject]);
+
+  // Save at once when the page is hidden or closed rather than after the debounce. The IndexedDB
+  // write may not finish during unload, so the record is also stashed synchronously in localStorage
+  // and saved on the next load (see recoverPendingSave)
+  useEffect(() => {
+    if (!isRestored || !documentId) return;
+
+    const flush = () => {
+      if (serializeState(title, project, activeFile, engineChoice) === savedSnapshotRef.current) return;
+      stashPendingSave(currentRecord());
+      persistCurrent();
+    };
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === 'hidden') flush();
+    };
+
+    window.addEventListener('pagehide', flush);
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    return () => {
+      window.removeEventListener('pagehide', flush);
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+    };
+  }, [isRestored, documentId, title, project, activeFile, engineChoice, currentRecord, persistCurrent]);
+
+  const handleSelectDocument = async (id) => {
+    if (id === documentId || isAIBusy) return;
+    await persistCurrent();
+    const record = await loadDocument(id);
+    if (record) {
+      applyDocument(record);
+    }
+  };
+
+  const handleCreateDocument = async () => {
+    if (isAIBusy) return;
+    await persistCurrent();
+    const created = await saveDocument(createDocumentRecord({
+      title: 'Untitled',
+      project: createProject({
+        files: [{ path: DEFAULT_MAIN_FILE, content: '\\documentclass{article}\n\n\\begin{document}\n\n\\end{document}\n' }]
+      })
+    }));
+    applyDocument(created);
+    setDocuments(await listDocuments());
+  };
+
+  const handleDeleteDocument = async (id) => {
+    await deleteDocument(id);
+    await deleteVersionsForDocument(id);
+    await deleteThreadsForDocument(id);
+    setDocuments(prev => prev.filter(doc => doc.id !== id));
+  };
+
+  const activeEntry = getFile(project, activeFile);
+  const isBinaryFile = activeEntry?.encoding === 'base64';
+  const content = activeEntry && !isBinaryFile ? activeEntry.content : '';
+  const mainContent = getFile(project, project.mainFile)?.content || '';
+  const projectPaths = project.files.map(file => file.path).join('\n');
+
+  useEffect(() => {
+    projectRef.current = project;
+  }, [project]);
+
+  // Snapshot before every AI change; the change reaches React state only after this runs
+  useEffect(() => {
+    setBeforeChangeCallback((description) => snapshotProject('ai', description));
+    return () => setBeforeChangeCallback(null);
+  }, [snapshotProject]);
+
+  const handleRestoreVersion = async (version) => {
+    const restored = await getVersionProject(version.id);
+    if (!restored) {
+      throw new Error(`The project saved with "${getVersionLabel(version)}" could not be found`);
+    }
+    await createVersion(documentId, project, {
+      kind: 'restore',
+      label: `Before restoring "${getVersionLabel(version)}"`
+    });
+    setProject(restored);
+    if (!getFile(restored, activeFile)) {
+      setActiveFile(restored.mainFile);
+    }
+  };
+
+  // AI edits (and undo) arrive with the path of the file they belong to
+  const handleAgentChange = useCallback((newContent, path) => {
+    console.log('[Page] AI updated', path, 'syncing to React state');
+    setProject(prev => updateFileContent(prev, path, newContent));
+    // Update the ref right away so a compile that follows (the compile-and-fix loop) sees the edit
+    projectRef.current = updateFileContent(projectRef.current, path, newContent);
+  }, []);
+
+  // Keep the simple agent pointed at the open file
   useEffect(() => {
-    console.log('[Page] Initializing simple agent with content');
-    initializeDocument(content, (newContent) => {
-      console.log('[Page] AI updated document, syncing to React state');
-      setContent(newContent);
+    initializeDocument(content, handleAgentChange, {
+      path: activeFile,
+      projectPaths: projectPaths.split('\n')
     });
-  }, []); // Only run once on mount
+  }, [content, activeFile, projectPaths, handleAgentChange]);
+
+  // Reveal a diagnostic's line once its file is open in the editor
+  useEffect(() => {
+    if (pendingJump && pendingJump.path === activeFile) {
+      editorRef.current?.goToLine(pendingJump.line);
+      setPendingJump(null);
+    }
+  }, [pendingJump, activeFile]);
 
   // Handle typing indicators
   const handleTitleChange = (e) => {
@@ -93,28 +362,105 @@ f(x) &= ax^2 + bx + c \\\\\ng(x) &= \\sin(x) + \\cos(x) \\\\\nh(x) &= \\frac{1}{
 
   // Editor returns the new value as a string
   const handleContentChange = (val) => {
-    setContent(val);
+    setProject(prev => updateFileContent(prev, activeFile, val));
+    hasTypedRef.current = true;
     setIsTyping(true);
     setTimeout(() => setIsTyping(false), 1000);
-    
-    // Update simple agent with new content
-    initializeDocument(val, (newContent) => {
-      setContent(newContent);
-    });
+  };
+
+  // File tree operations; project helpers throw on invalid names, which FileTree shows inline
+  const handleCreateFile = (path) => {
+    setProject(addFile(project, path, ''));
+    setActiveFile(normalizePath(path));
+  };
+
+  const handleRenameFile = (fromPath, toPath) => {
+    setProject(renameFile(project, fromPath, toPath));
+    if (activeFile === fromPath) {
+      setActiveFile(normalizePath(toPath));
+    }
+  };
+
+  const handleDeleteFile = (path) => {
+    const next = deleteFile(project, path);
+    setProject(next);
+    if (activeFile === path) {
+      setActiveFile(next.mainFile);
+    }
+  };
+
+  const handleSetMainFile = (path) => {
+    setProject(setMainFile(project, path));
+  };
+
+  // Figures and other binary files are stored base64-encoded under figures/
+  const handleUploadFiles = async (files) => {
+    let next = project;
+    for (const file of files) {
+      const binary = isBinaryPath(file.name);
+      const path = binary ? `figures/${file.name}` : file.name;
+      const data = await new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        if (binary) {
+          reader.readAsDataURL(file);
+        } else {
+          reader.readAsText(file);
+        }
+      });
+
+      // Data URLs carry a "data:<type>;base64," prefix
+      const fileContent = binary ? data.slice(data.indexOf(',') + 1) : data;
+      next = getFile(next, path)
+        ? updateFileContent(next, path, fileContent)
+        : addFile(next, path, fileContent, binary ? 'base64' : undefined);
+    }
+    setProject(next);
+  };
+
+  const diagnostics = useMemo(() => parseLatexLog(compileLog), [compileLog]);
+  const diagnosticCounts = countDiagnostics(diagnostics);
+  const warningDiagnostics = useMemo(() => parseLatexLog(successLog), [successLog]);
+  const warningCount = Object.values(groupWarnings(warningDiagnostics)).reduce((sum, group) => sum + group.length, 0);
+
+  // Only diagnostics in the project's own text files can be mapped to editor lines
+  const isInEditor = (diagnostic) => {
+    const file = getFile(project, diagnostic.file || project.mainFile);
+    return !!file && file.encoding !== 'base64';
+  };
+
+  const handleDiagnosticSelect = (diagnostic) => {
+    const path = diagnostic.file || project.mainFile;
+    setActiveFile(path);
+    setPendingJump({ path, line: diagnostic.line });
+  };
+
+  const handleEngineChange = (e) => {
+    setEngineChoice(e.target.value);
   };
 
   // Compile LaTeX to PDF via internal API route
+  // Compile the latest project and show the result; resolves to { ok, log } for the compile-and-fix loop
   const compileLatex = async () => {
+    const current = projectRef.current;
+    const currentMain = getFile(current, current.mainFile)?.content || '';
+    snapshotProject('compile');
     setHasCompiled(true);
     setIsCompiling(true);
     setCompileLog('');
+    setSuccessLog('');
     setCompiledPdfUrl('');
 
     try {
       const resp = await fetch('/api/latex', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ content }),
+        body: JSON.stringify({
+          files: current.files,
+          mainFile: current.mainFile,
+          engine: resolveEngine(engineChoice, currentMain)
+        }),
       });
 
       if (!resp.ok) {
@@ -125,15 +471,21 @@ f(x) &= ax^2 + bx + c \\\\\ng(x) &= \\sin(x) + \\cos(x) \\\\\nh(x) &= \\frac{1}{
         } catch {}
         setCompileLog(msg);
         setCompiledPdfUrl('');
+        return { ok: false, log: msg };
       } else {
-        const blob = await resp.blob();
-        const url = URL.createObjectURL(blob);
+        const data = await resp.json();
+        const bytes = Uint8Array.from(atob(data.pdf), c => c.charCodeAt(0));
+        const url = URL.createObjectURL(new Blob([bytes], { type: 'application/pdf' }));
         setCompiledPdfUrl(url);
         setCompileLog('');
+        setSuccessLog(data.log || '');
+        setSuccessHasLog(data.hasLog !== false);
+        return { ok: true, log: data.log || '' };
       }
     } catch (error) {
       setCompileLog(`Compilation error: ${error.message}`);
       setCompiledPdfUrl('');
+      return { ok: false, log: '' };
     } finally {
       setIsCompiling(false);
     }
@@ -148,11 +500,13 @@ f(x) &= ax^2 + bx + c \\\\\ng(x) &= \\sin(x) + \\cos(x) \\\\\nh(x) &= \\frac{1}{
     }
     if (e.key === 'Tab') {
       e.preventDefault();
+      if (!isRestored) return;
+      hasTypedRef.current = true;
       const textarea = e.target;
       const start = textarea.selectionStart;
       const end = textarea.selectionEnd;
       const newValue = content.substring(0, start) + '    ' + content.substring(end);
-      setContent(newValue);
+      setProject(prev => updateFileContent(prev, activeFile, newValue));
       setIsTyping(true);
       setTimeout(() => setIsTyping(false), 1000);
       requestAnimationFrame(() => {
@@ -181,6 +535,24 @@ f(x) &= ax^2 + bx + c \\\\\ng(x) &= \\sin(x) + \\cos(x) \\\\\nh(x) &= \\frac{1}{
             <span className="text-xs text-gray-500 dark:text-gray-400">
               {title || 'Untitled'}
             </span>
+            <DocumentList
+              documents={documents}
+              currentId={documentId}
+              onSelect={handleSelectDocument}
+              onCreate={handleCreateDocument}
+              onDelete={handleDeleteDocument}
+              disabled={isAIBusy}
+              isDark={isDark}
+            />
+            <button
+              type="button"
+              onClick={() => setShowHistory(true)}
+              disabled={!documentId}
+              className="text-xs px-2 py-1 rounded border border-gray-200 dark:border-gray-700 text-gray-600 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-800 disabled:opacity-50"
+              title="Version history"
+            >
+              History
+            </button>
           </div>
           
           <div className="flex items-center space-x-3">
@@ -193,6 +565,9 @@ f(x) &= ax^2 + bx + c \\\\\ng(x) &= \\sin(x) + \\cos(x) \\\\\nh(x) &= \\frac{1}{
             <div className="text-xs text-gray-500 dark:text-gray-400">
               {content.length} characters
             </div>
+            <div className="text-xs text-gray-400 dark:text-gray-500" title={lastSavedAt ? new Date(lastSavedAt).toLocaleString() : undefined}>
+              {isSaving ? 'Saving...' : lastSavedAt ? `Saved ${new Date(lastSavedAt).toLocaleTimeString()}` : 'Not saved'}
+            </div>
           </div>
         </div>
       </div>
@@ -208,10 +583,29 @@ f(x) &= ax^2 + bx + c \\\\\ng(x) &= \\sin(x) + \\cos(x) \\\\\nh(x) &= \\frac{1}{
           className="flex-shrink-0"
         >
           <AIChat 
+            documentId={documentId}
+            onCompile={compileLatex}
+            getEditorSelection={() => editorRef.current?.getSelection()}
+            onBusyChange={setIsAIBusy}
             isDark={isDark}
           />
         </ResizableDivider>
 
+        {/* Project files */}
+        <div className="w-52 flex-shrink-0 border-r border-gray-200 dark:border-gray-700">
+          <FileTree
+            project={project}
+            activeFile={activeFile}
+            onOpen={setActiveFile}
+            onCreate={handleCreateFile}
+            onRename={handleRenameFile}
+            onDelete={handleDeleteFile}
+            onSetMain={handleSetMainFile}
+            onUpload={handleUploadFiles}
+            isDark={isDark}
+          />
+        </div>
+
         {/* Center - Editor */}
         <div className="flex-1 border-r border-gray-200 dark:border-gray-700 flex flex-col min-w-0">
           <div className="p-6 border-b border-gray-100 dark:border-gray-800 flex-shrink-0">
@@ -220,21 +614,34 @@ f(x) &= ax^2 + bx + c \\\\\ng(x) &= \\sin(x) + \\cos(x) \\\\\nh(x) &= \\frac{1}{
               type="text"
               value={title}
               onChange={handleTitleChange}
+              readOnly={!isRestored}
               placeholder="Document Title"
               className="w-full text-2xl font-bold text-gray-900 dark:text-gray-100 placeholder-gray-400 dark:placeholder-gray-500 bg-transparent border-none outline-none"
             />
           </div>
           
+          <div className="px-6 pt-3 text-xs font-mono text-gray-500 dark:text-gray-400 flex-shrink-0">
+            {activeFile}{activeFile === project.mainFile ? ' (main)' : ''}
+          </div>
+
           <div className="flex-1 p-6 overflow-auto">
-            <LatexEditor
-              ref={editorRef}
-              value={content}
-              onChange={handleContentChange}
-              onKeyDown={handleKeyDown}
-              placeholder="Write your LaTeX code here..."
-              className="w-full h-full"
-              isDark={isDark}
-            />
+            {isBinaryFile ? (
+              <div className="flex items-center justify-center h-full text-sm text-gray-500 dark:text-gray-400">
+                Binary file ({Math.round(activeEntry.content.length * 3 / 4 / 1024)} KB) - reference it with \includegraphics
+              </div>
+            ) : (
+              <LatexEditor
+                ref={editorRef}
+                value={content}
+                onChange={handleContentChange}
+                onKeyDown={handleKeyDown}
+                placeholder="Write your LaTeX code here..."
+                className="w-full h-full"
+                // Read-only until the stored document is loaded, which would replace anything typed
+                readOnly={!isRestored}
+                isDark={isDark}
+              />
+            )}
           </div>
         </div>
 
@@ -244,9 +651,50 @@ f(x) &= ax^2 + bx + c \\\\\ng(x) &= \\sin(x) + \\cos(x) \\\\\nh(x) &= \\frac{1}{
             <h3 className="text-lg font-semibold text-gray-800 dark:text-gray-200">
               {!hasCompiled ? 'Preview' : (compileLog ? 'Errors' : 'PDF Preview')}
             </h3>
-            <span className="text-xs text-gray-500 dark:text-gray-400">Press ⌘S / Ctrl+S to compile</span>
+            <div className="flex items-center space-x-3">
+              <select
+                value={engineChoice}
+                onChange={handleEngineChange}
+                className="text-xs bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300 border border-gray-200 dark:border-gray-600 rounded px-2 py-1 focus:outline-none focus:ring-1 focus:ring-gray-400"
+                title="TeX engine"
+              >
+                <option value="auto">
+                  Auto ({getEngineLabel(resolveEngine('auto', mainContent))})
+                </option>
+                {ENGINES.map(engine => (
+                  <option key={engine.id} value={engine.id}>{engine.label}</option>
+                ))}
+              </select>
+              <span className="text-xs text-gray-500 dark:text-gray-400">Press ⌘S / Ctrl+S to compile</span>
+            </div>
           </div>
           
+          {hasCompiled && !isCompiling && !compileLog && compiledPdfUrl && (
+            <div className="px-6 border-b border-gray-100 dark:border-gray-800 flex items-center space-x-4 flex-shrink-0">
+              {[
+                { id: 'pdf', label: 'PDF' },
+                successHasLog
+                  ? { id: 'warnings', label: `Warnings (${warningCount})` }
+                  : { id: 'warnings', label: 'Warnings', disabled: true, title: 'The compile service returns no log for successful compiles' }
+              ].map(tab => (
+                <button
+                  key={tab.id}
+                  type="button"
+                  onClick={() => setPreviewTab(tab.id)}
+                  disabled={tab.disabled}
+                  title={tab.title}
+                  className={`py-2 text-xs font-medium border-b-2 transition-colors disabled:opacity-50 disabled:cursor-not-allowed ${
+                    previewTab === tab.id && !tab.disabled
+                      ? 'border-gray-700 dark:border-gray-300 text-gray-900 dark:text-gray-100'
+                      : 'border-transparent text-gray-500 dark:text-gray-400 hover:text-gray-700 dark:hover:text-gray-200'
+                  }`}
+                >
+                  {tab.label}
+                </button>
+              ))}
+            </div>
+          )}
+
           <div className="flex-1 bg-white dark:bg-[#1a1a1a] overflow-auto">
             {!hasCompiled ? (
               <div className="flex items-center justify-center h-full text-gray-500 dark:text-gray-400">
@@ -265,10 +713,28 @@ f(x) &= ax^2 + bx + c \\\\\ng(x) &= \\sin(x) + \\cos(x) \\\\\nh(x) &= \\frac{1}{
             ) : compileLog ? (
               <div className="p-6 h-full">
                 <div className="mb-4 p-3 bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded">
-                  <h4 className="font-semibold text-red-800 dark:text-red-200 mb-2">Compilation Errors:</h4>
+                  <h4 className="font-semibold text-red-800 dark:text-red-200">Compilation Errors:</h4>
+                  {diagnostics.length > 0 && (
+                    <p className="mt-1 text-xs text-red-700 dark:text-red-300">
+                      {diagnosticCounts.error} error{diagnosticCounts.error !== 1 ? 's' : ''}, {diagnosticCounts.warning} warning{diagnosticCounts.warning !== 1 ? 's' : ''} · click an entry to jump to its line
+                    </p>
+                  )}
                 </div>
-                <pre className="text-sm whitespace-pre-wrap text-red-700 dark:text-red-300">{compileLog}</pre>
+                <CompileDiagnostics
+                  diagnostics={diagnostics}
+                  rawLog={compileLog}
+                  onSelect={handleDiagnosticSelect}
+                  canSelect={isInEditor}
+                  isDark={isDark}
+                />
               </div>
+            ) : compiledPdfUrl && previewTab === 'warnings' && successHasLog ? (
+              <CompileWarnings
+                diagnostics={warningDiagnostics}
+                onSelect={handleDiagnosticSelect}
+                canSelect={isInEditor}
+                isDark={isDark}
+              />
             ) : compiledPdfUrl ? (
               <object data={compiledPdfUrl} type="application/pdf" className="w-full h-full">
                 <div className="p-6 text-sm text-gray-600 dark:text-gray-300">
@@ -285,6 +751,15 @@ f(x) &= ax^2 + bx + c \\\\\ng(x) &= \\sin(x) + \\cos(x) \\\\\nh(x) &= \\frac{1}{
         </div>
       </div>
 
+      {showHistory && documentId && (
+        <VersionHistory
+          documentId={documentId}
+          project={project}
+          onRestore={handleRestoreVersion}
+          onClose={() => setShowHistory(false)}
+          isDark={isDark}
+        />
+      )}
     </div>
   );
 }
@@ -1,37 +1,176 @@
 'use client';
 
 import { useState, useRef, useEffect } from 'react';
-import { askAI, undoLastChange, canUndo } from '../lib/simpleAgent.js';
+import { askAI, askAIForSelection, getRateLimit, fetchRateLimit, getDocument, undoLastChange, canUndo, applyReviewedDiffs, resolveMergeConflicts } from '../lib/simpleAgent.js';
 import LatexDiffViewer from './LatexDiffViewer.js';
+import MergeConflicts from './MergeConflicts.js';
+import AIConfig, { DEFAULT_AI_SETTINGS } from './AIConfig.js';
 import { parseStreamingDiff, hasStreamingLatexDiffs, createStreamingChanges } from '../lib/latexDiff.js';
+import { buildHistory } from '../lib/chatHistory.js';
+import { packMerge } from '../lib/textDiff.js';
+import { SELECTION_ACTIONS, getSelectionLines } from '../lib/selectionActions.js';
+import { runCompileFixLoop, describeErrors, FIX_OUTCOMES, DEFAULT_MAX_FIX_ITERATIONS, MAX_FIX_ITERATIONS_LIMIT } from '../lib/compileFix.js';
+import { createThreadRecord, listThreads, saveThread, deleteThread } from '../lib/storage/threadStore.js';
+import { createId } from '../lib/storage/database.js';
 
-export default function AIChat({ isDark = false }) {
+// Remembers whether AI edits wait for review instead of being applied straight away
+const REVIEW_MODE_KEY = 'latex-editor-review-mode';
+
+// Remembers how many fix attempts the compile-and-fix loop may make
+const FIX_ITERATIONS_KEY = 'latex-editor-fix-iterations';
+
+// Remembers the provider, model and sampling settings chosen in the settings panel
+const AI_SETTINGS_KEY = 'latex-editor-ai-settings';
+
+export default function AIChat({ documentId, onCompile, getEditorSelection, onBusyChange, isDark = false }) {
   const [messages, setMessages] = useState([]);
+  const [thread, setThread] = useState(null); // current thread record; its messages are the last saved ones
+  const [threads, setThreads] = useState([]);
   const [inputValue, setInputValue] = useState('');
   const [isStreaming, setIsStreaming] = useState(false);
   const [isInputFocused, setIsInputFocused] = useState(false);
-  const [currentModel, setCurrentModel] = useState('gpt-4');
+  const [aiSettings, setAISettings] = useState(DEFAULT_AI_SETTINGS);
+  const [showSettings, setShowSettings] = useState(false);
+  const [rateLimit, setRateLimit] = useState(null);
   
   const messagesEndRef = useRef(null);
   const inputRef = useRef(null);
   const textareaRef = useRef(null);
   const streamingMessageRef = useRef('');
+  const abortControllerRef = useRef(null);
+  const stopRequestedRef = useRef(false);
   
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState(null);
   const [undoAvailable, setUndoAvailable] = useState(false);
+  const [reviewMode, setReviewMode] = useState(false);
+  const [fixIterations, setFixIterations] = useState(DEFAULT_MAX_FIX_ITERATIONS);
 
   // Auto-scroll to bottom when new messages arrive
   useEffect(() => {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
   }, [messages]);
 
-  // Focus input on mount and check undo availability
+  // Focus input on mount, check undo availability and load the remaining request quota
   useEffect(() => {
     textareaRef.current?.focus();
     setUndoAvailable(canUndo());
+    fetchRateLimit().then(setRateLimit).catch(() => {
+      // Shown after the first request instead
+    });
+  }, []);
+
+  // Restore the review mode, fix loop and AI settings preferences
+  useEffect(() => {
+    try {
+      setReviewMode(localStorage.getItem(REVIEW_MODE_KEY) === 'true');
+      const storedSettings = JSON.parse(localStorage.getItem(AI_SETTINGS_KEY));
+      if (storedSettings?.provider && storedSettings.model) {
+        setAISettings({ ...DEFAULT_AI_SETTINGS, ...storedSettings });
+      }
+      const storedIterations = parseInt(localStorage.getItem(FIX_ITERATIONS_KEY));
+      if (storedIterations >= 1 && storedIterations <= MAX_FIX_ITERATIONS_LIMIT) {
+        setFixIterations(storedIterations);
+      }
+    } catch {
+      // Storage disabled; the defaults apply
+    }
   }, []);
 
+  const changeFixIterations = (value) => {
+    setFixIterations(value);
+    try {
+      localStorage.setItem(FIX_ITERATIONS_KEY, String(value));
+    } catch {
+      // Not persisted; the limit still applies to this session
+    }
+  };
+
+  const changeAISettings = (settings) => {
+    setAISettings(settings);
+    try {
+      localStorage.setItem(AI_SETTINGS_KEY, JSON.stringify(settings));
+    } catch {
+      // Not persisted; the settings still apply to this session
+    }
+  };
+
+  // Load the document's most recent thread
+  useEffect(() => {
+    if (!documentId) return;
+    let cancelled = false;
+
+    listThreads(documentId)
+      .then(stored => {
+        if (cancelled) return;
+        setThreads(stored);
+        setThread(stored[0] || createThreadRecord(documentId));
+        setMessages(stored[0] ? stored[0].messages : []);
+      })
+      .catch(err => {
+        if (cancelled) return;
+        console.error('[AIChat] Failed to load threads:', err);
+        setThreads([]);
+        setThread(createThreadRecord(documentId));
+        setMessages([]);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [documentId]);
+
+  // Let the page know while a turn runs; its reply belongs to this document and thread
+  useEffect(() => {
+    onBusyChange?.(isLoading);
+  }, [isLoading, onBusyChange]);
+
+  // Save the thread once a response has finished
+  useEffect(() => {
+    if (!thread || isLoading || messages.length === 0 || messages === thread.messages) return;
+
+    // Conflicting merges are stored as hunks rather than copies of the document
+    const stored = messages.map(msg => msg.merge && !msg.merge.packed ? { ...msg, merge: packMerge(msg.merge) } : msg);
+    saveThread({ ...thread, messages: stored })
+      .then(saved => setThreads(prev => [saved, ...prev.filter(t => t.id !== saved.id)]))
+      .catch(err => console.error('[AIChat] Failed to save thread:', err));
+  }, [thread, messages, isLoading]);
+
+  const switchThread = (id) => {
+    const selected = threads.find(t => t.id === id);
+    if (!selected) return;
+    setThread(selected);
+    setMessages(selected.messages);
+  };
+
+  const startNewThread = () => {
+    setThread(documentId ? createThreadRecord(documentId) : null);
+    setMessages([]);
+  };
+
+  const deleteCurrentThread = async () => {
+    if (!thread || !window.confirm('Delete this conversation?')) return;
+    try {
+      await deleteThread(thread.id);
+      const remaining = threads.filter(t => t.id !== thread.id);
+      setThreads(remaining);
+      setThread(remaining[0] || createThreadRecord(documentId));
+      setMessages(remaining[0] ? remaining[0].messages : []);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const toggleReviewMode = () => {
+    const next = !reviewMode;
+    setReviewMode(next);
+    try {
+      localStorage.setItem(REVIEW_MODE_KEY, String(next));
+    } catch {
+      // Not persisted; the toggle still applies to this session
+    }
+  };
+
   // Check undo availability after messages change
   useEffect(() => {
     setUndoAvailable(canUndo());
@@ -46,28 +185,29 @@ export default function AIChat({ isDark = false }) {
     }
   }, [inputValue]);
 
-  const handleSendMessage = async () => {
-    if (!inputValue.trim() || isLoading) return;
-
-    const userMessage = inputValue.trim();
-    setInputValue('');
-    
+  // Send a request as one chat turn: displayText is shown as the user's message and the reply streams in
+  // With a selection, only the selected text is edited (see askAIForSelection) and the result is always reviewed
+  // Resolves to the askAI result (with stopped set when the user stopped it), or null when the request
+  // failed (the error is shown in the chat)
+  const runAssistantTurn = async (request, { displayText = request, review = reviewMode, history = [], selection = null } = {}) => {
     // Add user message to chat
     const newUserMessage = {
-      id: Date.now(),
+      id: createId(),
       role: 'user',
-      content: userMessage,
+      content: displayText,
       timestamp: new Date()
     };
     
     setMessages(prev => [...prev, newUserMessage]);
 
+    const assistantMessageId = createId();
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+
     try {
-      setIsLoading(true);
       setError(null);
       
       // Create streaming assistant message
-      const assistantMessageId = Date.now() + 1;
       const assistantMessage = {
         id: assistantMessageId,
         role: 'assistant',
@@ -78,15 +218,17 @@ export default function AIChat({ isDark = false }) {
       
       setMessages(prev => [...prev, assistantMessage]);
       
-      // Call AI function with streaming
-      const result = await askAI(userMessage, (chunk, fullResponse) => {
+      // The document as the model sees it; streaming previews are computed against it
+      const baseDocument = getDocument();
+      
+      const onChunk = (chunk, fullResponse) => {
         // Parse streaming diff content
         let streamingData = null;
         if (hasStreamingLatexDiffs(fullResponse)) {
           const parsed = parseStreamingDiff(fullResponse);
           streamingData = {
             diffBlocks: parsed.diffBlocks,
-            changes: createStreamingChanges(parsed.diffBlocks),
+            changes: createStreamingChanges(parsed.diffBlocks, baseDocument),
             hasStreamingDiffs: parsed.hasStreamingDiffs
           };
         }
@@ -102,7 +244,13 @@ export default function AIChat({ isDark = false }) {
               }
             : msg
         ));
-      });
+      };
+      
+      // Call AI function with streaming
+      const result = selection
+        ? await askAIForSelection(selection, request, onChunk, { ...aiSettings, signal: controller.signal })
+        : await askAI(request, onChunk, { ...aiSettings, review, history, signal: controller.signal });
+      const stopped = controller.signal.aborted;
       
       // Mark streaming as complete
       setMessages(prev => prev.map(msg => 
@@ -116,19 +264,37 @@ export default function AIChat({ isDark = false }) {
               hasDiffs: result.hasDiffs,
               diffBlocks: result.diffBlocks,
               changes: result.changes,
+              rejected: result.rejected,
+              issues: result.issues,
               autoApplied: result.autoApplied,
+              review: result.review,
+              merged: result.merged,
+              merge: result.merge,
+              applyError: result.applyError,
+              hunkStatuses: result.review ? result.diffBlocks.map(() => 'pending') : undefined,
+              hunkErrors: {},
+              stopped,
               hasStreamingDiffs: false // Clear streaming state
             }
           : msg
       ));
       
+      return { ...result, stopped };
     } catch (error) {
+      // Stopped before the reply started
+      if (error.name === 'AbortError') {
+        setMessages(prev => prev.map(msg =>
+          msg.id === assistantMessageId ? { ...msg, isStreaming: false, stopped: true } : msg
+        ));
+        return { response: '', documentUpdated: false, stopped: true };
+      }
+      
       console.error('Chat error:', error);
       setError(error.message);
       
       // Add error message
       const errorMessage = {
-        id: Date.now() + 1,
+        id: createId(),
         role: 'assistant',
         content: `Sorry, I encountered an error: ${error.message}`,
         timestamp: new Date(),
@@ -136,11 +302,168 @@ export default function AIChat({ isDark = false }) {
       };
       
       setMessages(prev => [...prev, errorMessage]);
+      return null;
+    } finally {
+      if (abortControllerRef.current === controller) {
+        abortControllerRef.current = null;
+      }
+      setRateLimit(getRateLimit());
+    }
+  };
+
+  // Stop the reply being streamed (and the compile-and-fix loop, if it is running)
+  const handleStop = () => {
+    stopRequestedRef.current = true;
+    abortControllerRef.current?.abort();
+  };
+
+  const handleSendMessage = async () => {
+    if (!inputValue.trim() || isLoading) return;
+
+    const userMessage = inputValue.trim();
+    setInputValue('');
+    
+    // Earlier turns, with previous edits summarized, trimmed to the token budget
+    const history = buildHistory(messages);
+    
+    setIsLoading(true);
+    try {
+      await runAssistantTurn(userMessage, { history });
     } finally {
       setIsLoading(false);
     }
   };
 
+  // Run a selection action on the text selected in the editor; custom uses the typed instruction
+  const handleSelectionAction = async (action) => {
+    if (isLoading) return;
+
+    const selection = getEditorSelection?.();
+    if (!selection?.text.trim()) {
+      setError('Select text in the editor first');
+      return;
+    }
+    const instruction = action.instruction || inputValue.trim();
+    if (!instruction) {
+      setError('Type an instruction for the selected text first');
+      return;
+    }
+
+    const { startLine, endLine } = getSelectionLines(getDocument(), selection);
+    const where = startLine === endLine ? `line ${startLine}` : `lines ${startLine}-${endLine}`;
+    if (!action.instruction) setInputValue('');
+
+    setIsLoading(true);
+    try {
+      await runAssistantTurn(instruction, {
+        displayText: action.instruction ? `${action.label} (${where})` : `${instruction} (${where})`,
+        selection
+      });
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // Compile, send the errors to the model, apply its fixes and repeat until the document compiles
+  const handleCompileFix = async () => {
+    if (isLoading || !onCompile) return;
+
+    setIsLoading(true);
+    setError(null);
+    stopRequestedRef.current = false;
+    try {
+      const outcome = await runCompileFixLoop({
+        compile: onCompile,
+        requestFix: (request, { iteration, errors }) => stopRequestedRef.current
+          ? { stopped: true }
+          : runAssistantTurn(request, {
+            displayText: `Fix compile errors (attempt ${iteration} of ${fixIterations}): ${describeErrors(errors)}`,
+            review: false
+          }),
+        maxIterations: fixIterations
+      });
+
+      const summary = outcome.status === 'compiled' && outcome.iterations > 0
+        ? `The document compiles after ${outcome.iterations} fix${outcome.iterations !== 1 ? 'es' : ''}.`
+        : FIX_OUTCOMES[outcome.status];
+      setMessages(prev => [...prev, {
+        id: createId(),
+        role: 'assistant',
+        content: outcome.errors.length > 0 ? `${summary}\n\nRemaining ${describeErrors(outcome.errors)}` : summary,
+        timestamp: new Date()
+      }]);
+    } catch (err) {
+      console.error('Compile and fix error:', err);
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // Accept or reject hunks of a message under review; accepted hunks are applied to the document
+  const reviewHunks = (messageId, indexes, decision) => {
+    const message = messages.find(msg => msg.id === messageId);
+    if (!message?.hunkStatuses) return;
+
+    const statuses = [...message.hunkStatuses];
+    const errors = { ...message.hunkErrors };
+    const pending = indexes.filter(index => statuses[index] === 'pending');
+    if (pending.length === 0) return;
+
+    if (decision === 'accept') {
+      const accepted = message.diffBlocks.filter((_, index) => statuses[index] === 'accepted');
+      const { rejected } = applyReviewedDiffs(pending.map(index => message.diffBlocks[index]), accepted);
+      for (const index of pending) {
+        const failure = rejected.find(entry => entry.block === message.diffBlocks[index]);
+        statuses[index] = failure ? 'failed' : 'accepted';
+        if (failure) errors[index] = failure.reason;
+      }
+    } else {
+      for (const index of pending) {
+        statuses[index] = 'rejected';
+      }
+    }
+
+    setMessages(prev => prev.map(msg =>
+      msg.id === messageId ? { ...msg, hunkStatuses: statuses, hunkErrors: errors } : msg
+    ));
+  };
+
+  // Apply a conflicting merge once the user picked a side for each conflict
+  const handleResolveMerge = (messageId, choices) => {
+    const message = messages.find(msg => msg.id === messageId);
+    if (!message?.merge) return;
+
+    try {
+      const outcome = resolveMergeConflicts(message.merge, choices);
+      setMessages(prev => prev.map(msg => msg.id === messageId
+        ? {
+            ...msg,
+            merge: outcome.applied ? null : outcome.merge,
+            mergeRound: (msg.mergeRound || 0) + 1,
+            mergeResolved: outcome.applied,
+            documentUpdated: outcome.applied
+          }
+        : msg
+      ));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  // Put the rejected hunks in the input so the user can say why and ask for another attempt
+  const sendRejectionFeedback = (message) => {
+    const rejectedChanges = message.changes.filter((_, index) => message.hunkStatuses[index] === 'rejected');
+    const described = rejectedChanges.map((change, index) => [
+      `${index + 1}. ${change.description || `${change.operation} at line ${change.line}`}:`,
+      ...change.before.map(line => `- ${line}`),
+      ...change.after.map(line => `+ ${line}`)
+    ].join('\n'));
+
+    setInputValue(`I rejected these proposed changes:\n\n${described.join('\n\n')}\n\nReason: `);
+    textareaRef.current?.focus();
+  };
+
   const handleKeyDown = (e) => {
     if (e.key === 'Enter' && !e.shiftKey) {
       e.preventDefault();
@@ -239,14 +562,24 @@ export default function AIChat({ isDark = false }) {
       });
     }
 
+    // The diff panel shows every change in the message, so it takes the place of the first edit
+    // block and the later ones are left out
+    let diffPanelShown = false;
+
     return parts.map((part) => {
       if (part.type === 'codeblock') {
-        // Special handling for latex-diff blocks (both streaming and completed)
-        if (part.language === 'latex-diff') {
+        // Special handling for latex-diff blocks (both streaming and completed), and for latex blocks
+        // whose edits are under review (selection edits and whole-document replacements)
+        if (part.language === 'latex-diff' || (part.language === 'latex' && message?.review)) {
           // Check if this is streaming or completed
           const isStreamingDiff = message && message.hasStreamingDiffs && message.isStreaming;
           const hasCompletedDiffs = message && message.hasDiffs && !message.isStreaming;
           
+          if ((isStreamingDiff && message.changes) || hasCompletedDiffs) {
+            if (diffPanelShown) return null;
+            diffPanelShown = true;
+          }
+
           if (isStreamingDiff && message.changes) {
             return (
               <div key={part.index} className="my-4">
@@ -263,8 +596,17 @@ export default function AIChat({ isDark = false }) {
               <div key={part.index} className="my-4">
                 <LatexDiffViewer
                   changes={message.changes}
+                  rejected={message.rejected}
+                  issues={message.issues}
                   autoApplied={message.autoApplied}
                   streaming={false}
+                  statuses={message.hunkStatuses}
+                  errors={message.hunkErrors}
+                  onAccept={(index) => reviewHunks(message.id, [index], 'accept')}
+                  onReject={(index) => reviewHunks(message.id, [index], 'reject')}
+                  onAcceptAll={() => reviewHunks(message.id, message.changes.map((_, index) => index), 'accept')}
+                  onRejectAll={() => reviewHunks(message.id, message.changes.map((_, index) => index), 'reject')}
+                  onFeedback={() => sendRejectionFeedback(message)}
                   isDark={isDark}
                 />
               </div>
@@ -366,10 +708,6 @@ export default function AIChat({ isDark = false }) {
     });
   };
 
-  const clearChat = () => {
-    setMessages([]);
-  };
-
   // Handle global undo
   const handleGlobalUndo = () => {
     try {
@@ -402,17 +740,50 @@ export default function AIChat({ isDark = false }) {
           </div>
           
           <div className="flex items-center space-x-2">
-            {/* Model Selection */}
-            <select
-              value={currentModel}
-              onChange={(e) => setCurrentModel(e.target.value)}
-              className="text-xs bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300 border border-gray-200 dark:border-gray-600 rounded px-2 py-1 focus:outline-none focus:ring-1 focus:ring-gray-400"
-              title="Select AI Model"
+            {/* Provider and model settings */}
+            <button
+              onClick={() => setShowSettings(true)}
+              className="text-xs bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300 border border-gray-200 dark:border-gray-600 rounded px-2 py-1 max-w-[10rem] truncate hover:bg-gray-200 dark:hover:bg-gray-600"
+              title="AI settings"
             >
-              <option value="gpt-4">GPT-4</option>
-              <option value="gpt-4-turbo">GPT-4 Turbo</option>
-              <option value="gpt-3.5-turbo">GPT-3.5 Turbo</option>
-            </select>
+              {aiSettings.model}
+            </button>
+            
+            <button
+              onClick={toggleReviewMode}
+              className={`text-xs px-2 py-1 rounded border transition-colors ${
+                reviewMode
+                  ? 'border-gray-700 dark:border-gray-300 text-gray-900 dark:text-gray-100'
+                  : 'border-gray-200 dark:border-gray-600 text-gray-500 dark:text-gray-400'
+              }`}
+              title={reviewMode ? 'AI edits wait for you to accept or reject them' : 'AI edits are applied automatically'}
+            >
+              Review {reviewMode ? 'on' : 'off'}
+            </button>
+            
+            {onCompile && (
+              <div className="flex items-center">
+                <button
+                  onClick={handleCompileFix}
+                  disabled={isLoading}
+                  className="text-xs px-2 py-1 rounded-l border border-gray-200 dark:border-gray-600 text-gray-600 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-800 disabled:opacity-50 disabled:cursor-not-allowed"
+                  title="Compile and let the AI fix errors until the document compiles"
+                >
+                  Fix errors
+                </button>
+                <select
+                  value={fixIterations}
+                  onChange={(e) => changeFixIterations(parseInt(e.target.value))}
+                  disabled={isLoading}
+                  className="text-xs bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300 border border-l-0 border-gray-200 dark:border-gray-600 rounded-r px-1 py-1 focus:outline-none"
+                  title="Maximum fix attempts"
+                >
+                  {Array.from({ length: MAX_FIX_ITERATIONS_LIMIT }, (_, i) => i + 1).map(n => (
+                    <option key={n} value={n}>{n}×</option>
+                  ))}
+                </select>
+              </div>
+            )}
             
             <button
               onClick={handleGlobalUndo}
@@ -426,17 +797,45 @@ export default function AIChat({ isDark = false }) {
             </button>
             
             <button
-              onClick={clearChat}
-              className="p-1.5 text-gray-400 hover:text-gray-600 dark:hover:text-gray-300 transition-colors"
-              title="Clear chat"
-              disabled={messages.length === 0}
+              onClick={startNewThread}
+              className="p-1.5 text-gray-400 hover:text-gray-600 dark:hover:text-gray-300 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+              title="New conversation"
+              disabled={messages.length === 0 || isLoading}
             >
               <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4v16m8-8H4" />
               </svg>
             </button>
           </div>
         </div>
+
+        {/* Conversations kept for this document */}
+        {threads.length > 0 && (
+          <div className="mt-2 flex items-center space-x-2">
+            <select
+              value={threads.some(t => t.id === thread?.id) ? thread.id : ''}
+              onChange={(e) => switchThread(e.target.value)}
+              disabled={isLoading}
+              className="flex-1 min-w-0 text-xs bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300 border border-gray-200 dark:border-gray-600 rounded px-2 py-1 focus:outline-none focus:ring-1 focus:ring-gray-400"
+              title="Previous conversations"
+            >
+              {!threads.some(t => t.id === thread?.id) && <option value="">New conversation</option>}
+              {threads.map(t => (
+                <option key={t.id} value={t.id}>{t.title || 'Untitled conversation'}</option>
+              ))}
+            </select>
+            <button
+              onClick={deleteCurrentThread}
+              className="p-1 text-gray-400 hover:text-red-600 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+              title="Delete conversation"
+              disabled={isLoading || !threads.some(t => t.id === thread?.id)}
+            >
+              <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+              </svg>
+            </button>
+          </div>
+        )}
       </div>
 
       {/* Messages */}
@@ -487,6 +886,31 @@ export default function AIChat({ isDark = false }) {
                         renderMessageContent(message.content, message.isStreaming, message.id, message)
                       )}
                     </div>
+                    {message.merge && (
+                      <div className="mt-3">
+                        <MergeConflicts
+                          key={message.mergeRound || 0}
+                          merge={message.merge}
+                          onResolve={(choices) => handleResolveMerge(message.id, choices)}
+                          isDark={isDark}
+                        />
+                      </div>
+                    )}
+                    {(message.merged || message.mergeResolved) && (
+                      <div className="mt-2 text-xs text-gray-500 dark:text-gray-400">
+                        Merged with the edits you made while the AI was responding
+                      </div>
+                    )}
+                    {message.applyError && (
+                      <div className="mt-2 text-xs text-red-600 dark:text-red-400">{message.applyError}</div>
+                    )}
+                    {message.stopped && (
+                      <div className="mt-2 text-xs text-gray-500 dark:text-gray-400">
+                        {message.review
+                          ? 'Stopped. The edits received in full are shown for review.'
+                          : 'Stopped.'}
+                      </div>
+                    )}
                   </div>
                 )}
               </div>
@@ -513,6 +937,30 @@ export default function AIChat({ isDark = false }) {
               <div className="w-1 h-1 bg-current rounded-full animate-pulse" style={{ animationDelay: '0.4s' }}></div>
             </div>
             <span>AI is thinking...</span>
+            <button
+              onClick={handleStop}
+              className="ml-auto text-xs px-2 py-1 rounded border border-gray-200 dark:border-gray-600 text-gray-600 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-800"
+              title="Stop the response and keep what has arrived"
+            >
+              Stop
+            </button>
+          </div>
+        )}
+        
+        {getEditorSelection && (
+          <div className="mb-2 flex flex-wrap items-center gap-1">
+            <span className="text-xs text-gray-500 dark:text-gray-400 mr-1">Selection:</span>
+            {SELECTION_ACTIONS.map(action => (
+              <button
+                key={action.id}
+                onClick={() => handleSelectionAction(action)}
+                disabled={isLoading}
+                className="text-xs px-2 py-1 rounded border border-gray-200 dark:border-gray-600 text-gray-600 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-800 disabled:opacity-50 disabled:cursor-not-allowed"
+                title={action.instruction || 'Apply the instruction typed below to the text selected in the editor'}
+              >
+                {action.label}
+              </button>
+            ))}
           </div>
         )}
         
@@ -557,12 +1005,37 @@ export default function AIChat({ isDark = false }) {
         
         <div className="mt-2 flex items-center justify-between text-xs text-gray-400 dark:text-gray-500">
           <span>Press Enter to send, Shift+Enter for new line</span>
-          <span className="flex items-center space-x-1">
-            <div className="w-1.5 h-1.5 bg-green-500 rounded-full"></div>
-            <span>Server Connected</span>
-          </span>
+          {rateLimit ? (
+            <span
+              className="flex items-center space-x-1"
+              title={`Resets at ${new Date(rateLimit.resetTime).toLocaleTimeString()}`}
+            >
+              <div className={`w-1.5 h-1.5 rounded-full ${
+                rateLimit.remaining === 0
+                  ? 'bg-red-500'
+                  : rateLimit.remaining <= rateLimit.limit / 5 ? 'bg-yellow-500' : 'bg-green-500'
+              }`}></div>
+              <span>
+                {rateLimit.remaining === 0
+                  ? `Limit reached until ${new Date(rateLimit.resetTime).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`
+                  : `${rateLimit.remaining}/${rateLimit.limit} requests left this ${rateLimit.window}`}
+              </span>
+            </span>
+          ) : (
+            <span className="flex items-center space-x-1">
+              <div className="w-1.5 h-1.5 bg-green-500 rounded-full"></div>
+              <span>Server Connected</span>
+            </span>
+          )}
         </div>
       </div>
+      
+      <AIConfig
+        isOpen={showSettings}
+        onClose={() => setShowSettings(false)}
+        onSave={changeAISettings}
+        settings={aiSettings}
+      />
     </div>
   );
 }
\ No newline at end of file
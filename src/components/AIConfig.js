@@ -1,67 +1,202 @@
 'use client';
 
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useCallback, useRef } from 'react';
 import aiService from '../lib/ai/aiService.js';
 
-export default function AIConfig({ isOpen, onClose, onSave }) {
-  const [config, setConfig] = useState({
-    provider: 'openai',
-    model: 'gpt-4',
-    temperature: 0.3,
-    maxTokens: 2048,
-    apiKey: ''
-  });
+// Settings used until the user saves their own
+export const DEFAULT_AI_SETTINGS = {
+  provider: 'openai',
+  model: 'gpt-4',
+  temperature: 0.3,
+  maxTokens: 2048
+};
+
+/**
+ * Dollar amount, with more precision for the fractions of a cent small requests cost
+ */
+function formatCost(cost) {
+  return `$${cost.toFixed(cost > 0 && cost < 0.01 ? 4 : 2)}`;
+}
+
+/**
+ * Bar showing how much of a daily budget is used
+ */
+function BudgetBar({ label, used, limit }) {
+  const percent = Math.min(100, (used / limit) * 100);
+  return (
+    <div>
+      <div className="flex justify-between text-xs text-gray-600 dark:text-gray-400">
+        <span>{label}</span>
+        <span>{Math.round(percent)}%</span>
+      </div>
+      <div className="mt-1 h-1.5 rounded bg-gray-200 dark:bg-gray-700">
+        <div
+          className={`h-1.5 rounded ${percent >= 90 ? 'bg-red-500' : percent >= 70 ? 'bg-yellow-500' : 'bg-green-500'}`}
+          style={{ width: `${percent}%` }}
+        />
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Tokens and estimated cost of the last day, per model and against the server's daily budgets
+ */
+function UsageSummary({ usage }) {
+  const { limits } = usage;
+  return (
+    <div className="space-y-3">
+      <div className="grid grid-cols-3 gap-2 text-center">
+        <div className="p-2 rounded bg-gray-50 dark:bg-gray-700">
+          <div className="text-sm font-semibold text-gray-900 dark:text-gray-100">{usage.requests}</div>
+          <div className="text-xs text-gray-500 dark:text-gray-400">requests</div>
+        </div>
+        <div className="p-2 rounded bg-gray-50 dark:bg-gray-700">
+          <div className="text-sm font-semibold text-gray-900 dark:text-gray-100">{usage.totalTokens.toLocaleString()}</div>
+          <div className="text-xs text-gray-500 dark:text-gray-400">tokens</div>
+        </div>
+        <div className="p-2 rounded bg-gray-50 dark:bg-gray-700">
+          <div className="text-sm font-semibold text-gray-900 dark:text-gray-100">{formatCost(usage.cost)}</div>
+          <div className="text-xs text-gray-500 dark:text-gray-400">est. cost</div>
+        </div>
+      </div>
+
+      {limits.tokensPerDay && (
+        <BudgetBar
+          label={`${usage.totalTokens.toLocaleString()} of ${limits.tokensPerDay.toLocaleString()} tokens`}
+          used={usage.totalTokens}
+          limit={limits.tokensPerDay}
+        />
+      )}
+      {limits.costPerDay && (
+        <BudgetBar
+          label={`${formatCost(usage.cost)} of ${formatCost(limits.costPerDay)}`}
+          used={usage.cost}
+          limit={limits.costPerDay}
+        />
+      )}
+
+      {usage.byModel.length > 0 && (
+        <table className="w-full text-xs text-gray-700 dark:text-gray-300">
+          <thead>
+            <tr className="text-left text-gray-500 dark:text-gray-400">
+              <th className="font-medium">Model</th>
+              <th className="font-medium text-right">Prompt</th>
+              <th className="font-medium text-right">Reply</th>
+              <th className="font-medium text-right">Cost</th>
+            </tr>
+          </thead>
+          <tbody>
+            {usage.byModel.map(row => (
+              <tr key={row.model}>
+                <td className="truncate max-w-[8rem]" title={row.model}>{row.model}</td>
+                <td className="text-right">{row.promptTokens.toLocaleString()}</td>
+                <td className="text-right">{row.completionTokens.toLocaleString()}</td>
+                <td className="text-right">{formatCost(row.cost)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {(usage.unpricedRequests > 0 || usage.estimatedRequests > 0) && (
+        <p className="text-xs text-gray-500 dark:text-gray-400">
+          {usage.unpricedRequests > 0 && `${usage.unpricedRequests} request${usage.unpricedRequests !== 1 ? 's' : ''} used models without a known price and ${usage.unpricedRequests !== 1 ? 'are' : 'is'} ${limits.costPerDay ? 'charged at the highest known price' : 'not in the cost'}. `}
+          {usage.estimatedRequests > 0 && `Token counts for ${usage.estimatedRequests} request${usage.estimatedRequests !== 1 ? 's' : ''} are estimated.`}
+        </p>
+      )}
+    </div>
+  );
+}
+
+/**
+ * AI settings panel: provider, model, temperature and max tokens, and the day's token usage
+ * API keys and server URLs are configured on the server; the panel shows which providers are available
+ */
+export default function AIConfig({ isOpen, onClose, onSave, settings = DEFAULT_AI_SETTINGS }) {
+  const [config, setConfig] = useState(settings);
   const [providers, setProviders] = useState([]);
   const [isLoading, setIsLoading] = useState(false);
+  const [isDiscovering, setIsDiscovering] = useState(false);
   const [error, setError] = useState(null);
-  const [showApiKey, setShowApiKey] = useState(false);
+  const [usage, setUsage] = useState(null);
 
-  // Load current configuration
+  // Settings as of the latest commit, read when the panel opens without reloading on every change
+  // (updated before the effect below runs, since effects run in order)
+  const settingsRef = useRef(settings);
   useEffect(() => {
-    if (isOpen) {
-      loadCurrentConfig();
+    settingsRef.current = settings;
+  }, [settings]);
+
+  const loadUsage = useCallback(async () => {
+    try {
+      setUsage(await aiService.getUsage());
+    } catch (err) {
+      console.warn('[AIConfig] Could not load usage:', err.message);
+      setUsage(null);
     }
-  }, [isOpen]);
+  }, []);
 
-  const loadCurrentConfig = async () => {
+  // Ask the provider's server for its models (local servers)
+  const discoverModels = useCallback(async (provider) => {
+    setIsDiscovering(true);
+    setError(null);
     try {
-      const currentConfig = aiService.getConfig();
-      const availableProviders = aiService.getProviders();
-      
-      setConfig({
-        ...currentConfig,
-        apiKey: aiService.loadApiKey() || ''
-      });
-      setProviders(availableProviders);
+      const models = await aiService.discoverModels(provider);
+      setProviders(aiService.getProviders());
+      setConfig(prev => (prev.provider === provider && !models.includes(prev.model) && models.length > 0
+        ? { ...prev, model: models[0] }
+        : prev));
     } catch (err) {
-      setError('Failed to load configuration');
+      setError(err.message);
+    } finally {
+      setIsDiscovering(false);
     }
-  };
+  }, []);
+
+  // Load current configuration when the panel opens, so edits aren't reset while it is open
+  useEffect(() => {
+    if (!isOpen) return;
+
+    const loadCurrentConfig = async () => {
+      const current = settingsRef.current;
+      setError(null);
+      setConfig(current);
+      loadUsage();
+      try {
+        await aiService.checkApiKeyAvailability();
+        setProviders(aiService.getProviders());
+        
+        const provider = aiService.getProviders().find(p => p.key === current.provider);
+        if (provider?.discoverModels && provider.status?.configured) {
+          await discoverModels(current.provider);
+        }
+      } catch (err) {
+        setError('Failed to load configuration');
+      }
+    };
+    loadCurrentConfig();
+  }, [isOpen, loadUsage, discoverModels]);
 
   const handleSave = async () => {
     setIsLoading(true);
     setError(null);
 
     try {
-      // Validate API key
-      if (!config.apiKey.trim()) {
-        throw new Error('API key is required');
+      if (!config.model.trim()) {
+        throw new Error('Choose a model');
       }
 
       // Update AI service configuration
-      aiService.setApiKey(config.apiKey);
       aiService.setProvider(config.provider);
       aiService.updateConfig({
-        model: config.model,
+        model: config.model.trim(),
         temperature: config.temperature,
         maxTokens: config.maxTokens
       });
 
-      // Test the configuration
-      await aiService.initialize();
-
       if (onSave) {
-        onSave(config);
+        onSave({ ...config, model: config.model.trim() });
       }
       
       onClose();
@@ -77,34 +212,30 @@ export default function AIConfig({ isOpen, onClose, onSave }) {
     setConfig(prev => ({
       ...prev,
       provider,
-      model: providerInfo?.models[0] || prev.model
+      model: providerInfo?.models[0] || ''
     }));
-  };
-
-  const getApiKeyPlaceholder = () => {
-    switch (config.provider) {
-      case 'openai':
-        return 'sk-...';
-      case 'anthropic':
-        return 'sk-ant-...';
-      default:
-        return 'Enter your API key';
+    if (providerInfo?.discoverModels && providerInfo.status?.configured) {
+      discoverModels(provider);
     }
   };
 
-  const getApiKeyHelp = () => {
-    switch (config.provider) {
+  const getProviderHelp = (provider) => {
+    switch (provider?.key) {
       case 'openai':
-        return 'Get your API key from https://platform.openai.com/api-keys';
+        return 'Set OPENAI_API_KEY on the server. Get a key from https://platform.openai.com/api-keys';
       case 'anthropic':
-        return 'Get your API key from https://console.anthropic.com/';
+        return 'Set ANTHROPIC_API_KEY on the server. Get a key from https://console.anthropic.com/';
+      case 'local':
+        return 'Set LOCAL_AI_BASE_URL on the server, e.g. http://localhost:11434/v1 for Ollama. Documents never leave your network.';
       default:
-        return 'Check your provider\'s documentation for API key information';
+        return 'Check your provider\'s documentation';
     }
   };
 
   if (!isOpen) return null;
 
+  const selectedProvider = providers.find(p => p.key === config.provider);
+
   return (
     <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
       <div className="bg-white dark:bg-gray-800 rounded-lg shadow-xl w-full max-w-md mx-4">
@@ -124,7 +255,7 @@ export default function AIConfig({ isOpen, onClose, onSave }) {
         </div>
 
         {/* Content */}
-        <div className="p-6 space-y-4">
+        <div className="p-6 space-y-4 max-h-[70vh] overflow-y-auto">
           {error && (
             <div className="p-3 bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded">
               <p className="text-sm text-red-700 dark:text-red-300">{error}</p>
@@ -143,7 +274,7 @@ export default function AIConfig({ isOpen, onClose, onSave }) {
             >
               {providers.map(provider => (
                 <option key={provider.key} value={provider.key}>
-                  {provider.name}
+                  {provider.name}{provider.status && !provider.status.configured ? ' (not configured)' : ''}
                 </option>
               ))}
             </select>
@@ -151,54 +282,57 @@ export default function AIConfig({ isOpen, onClose, onSave }) {
 
           {/* Model Selection */}
           <div>
-            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
-              Model
-            </label>
-            <select
-              value={config.model}
-              onChange={(e) => setConfig(prev => ({ ...prev, model: e.target.value }))}
-              className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100"
-            >
-              {providers.find(p => p.key === config.provider)?.models.map(model => (
-                <option key={model} value={model}>
-                  {model}
-                </option>
-              ))}
-            </select>
+            <div className="flex items-center justify-between mb-2">
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+                Model
+              </label>
+              {selectedProvider?.discoverModels && (
+                <button
+                  type="button"
+                  onClick={() => discoverModels(config.provider)}
+                  disabled={isDiscovering || !selectedProvider.status?.configured}
+                  className="text-xs text-blue-600 dark:text-blue-400 hover:underline disabled:opacity-50 disabled:no-underline"
+                >
+                  {isDiscovering ? 'Loading models...' : 'Refresh models'}
+                </button>
+              )}
+            </div>
+            {selectedProvider?.models.length > 0 ? (
+              <select
+                value={config.model}
+                onChange={(e) => setConfig(prev => ({ ...prev, model: e.target.value }))}
+                className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100"
+              >
+                {selectedProvider.models.map(model => (
+                  <option key={model} value={model}>
+                    {model}
+                  </option>
+                ))}
+              </select>
+            ) : (
+              <input
+                type="text"
+                value={config.model}
+                onChange={(e) => setConfig(prev => ({ ...prev, model: e.target.value }))}
+                placeholder="Model name, e.g. llama3.1"
+                className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100"
+              />
+            )}
           </div>
 
-          {/* API Key */}
+          {/* Server status */}
           <div>
-            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
-              API Key
-            </label>
-            <div className="relative">
-              <input
-                type={showApiKey ? 'text' : 'password'}
-                value={config.apiKey}
-                onChange={(e) => setConfig(prev => ({ ...prev, apiKey: e.target.value }))}
-                placeholder={getApiKeyPlaceholder()}
-                className="w-full px-3 py-2 pr-10 border border-gray-300 dark:border-gray-600 rounded-md shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100"
-              />
-              <button
-                type="button"
-                onClick={() => setShowApiKey(!showApiKey)}
-                className="absolute inset-y-0 right-0 pr-3 flex items-center text-gray-400 hover:text-gray-600"
-              >
-                {showApiKey ? (
-                  <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13.875 18.825A10.05 10.05 0 0112 19c-4.478 0-8.268-2.943-9.543-7a9.97 9.97 0 011.563-3.029m5.858.908a3 3 0 114.243 4.243M9.878 9.878l4.242 4.242M9.878 9.878L3 3m6.878 6.878L21 21" />
-                  </svg>
-                ) : (
-                  <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 12a3 3 0 11-6 0 3 3 0 016 0z" />
-                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M2.458 12C3.732 7.943 7.523 5 12 5c4.478 0 8.268 2.943 9.542 7-1.274 4.057-5.064 7-9.542 7-4.477 0-8.268-2.943-9.542-7z" />
-                  </svg>
-                )}
-              </button>
-            </div>
+            <p className={`text-sm ${
+              selectedProvider?.status?.configured
+                ? 'text-green-700 dark:text-green-400'
+                : 'text-gray-700 dark:text-gray-300'
+            }`}>
+              {selectedProvider?.status?.configured
+                ? 'Configured on the server'
+                : selectedProvider?.status?.error || 'Not configured on the server'}
+            </p>
             <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
-              {getApiKeyHelp()}
+              {getProviderHelp(selectedProvider)}
             </p>
           </div>
 
@@ -237,6 +371,27 @@ export default function AIConfig({ isOpen, onClose, onSave }) {
               className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100"
             />
           </div>
+
+          {/* Usage */}
+          <div className="pt-4 border-t border-gray-200 dark:border-gray-700">
+            <div className="flex items-center justify-between mb-2">
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+                Usage (last 24 hours)
+              </label>
+              <button
+                type="button"
+                onClick={loadUsage}
+                className="text-xs text-blue-600 dark:text-blue-400 hover:underline"
+              >
+                Refresh
+              </button>
+            </div>
+            {usage ? (
+              <UsageSummary usage={usage} />
+            ) : (
+              <p className="text-xs text-gray-500 dark:text-gray-400">Usage is not available.</p>
+            )}
+          </div>
         </div>
 
         {/* Footer */}
@@ -249,7 +404,7 @@ export default function AIConfig({ isOpen, onClose, onSave }) {
           </button>
           <button
             onClick={handleSave}
-            disabled={isLoading || !config.apiKey.trim()}
+            disabled={isLoading || !config.model.trim()}
             className="px-4 py-2 text-sm font-medium text-white bg-blue-600 border border-transparent rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed"
           >
             {isLoading ? 'Saving...' : 'Save'}
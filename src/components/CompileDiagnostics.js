@@ -0,0 +1,95 @@
+/**
+ * Compile Diagnostics Component
+ * Lists parsed LaTeX log errors/warnings and jumps to the source line on click
+ */
+
+'use client';
+
+import { useState } from 'react';
+
+const SEVERITY_STYLES = {
+  error: {
+    badge: 'bg-red-100 dark:bg-red-900 text-red-800 dark:text-red-200',
+    border: 'border-red-200 dark:border-red-800'
+  },
+  warning: {
+    badge: 'bg-yellow-100 dark:bg-yellow-900 text-yellow-800 dark:text-yellow-200',
+    border: 'border-yellow-200 dark:border-yellow-800'
+  },
+  info: {
+    badge: 'bg-gray-100 dark:bg-gray-800 text-gray-700 dark:text-gray-300',
+    border: 'border-gray-200 dark:border-gray-700'
+  }
+};
+
+export default function CompileDiagnostics({
+  diagnostics,
+  rawLog = '',
+  onSelect,
+  canSelect = () => true,
+  isDark = false
+}) {
+  const [showRawLog, setShowRawLog] = useState(false);
+
+  const hasDiagnostics = diagnostics && diagnostics.length > 0;
+
+  return (
+    <div className="space-y-3">
+      {hasDiagnostics && diagnostics.map((diagnostic, index) => {
+        const styles = SEVERITY_STYLES[diagnostic.severity] || SEVERITY_STYLES.info;
+        const clickable = diagnostic.line !== null && !!onSelect && canSelect(diagnostic);
+
+        return (
+          <button
+            key={index}
+            type="button"
+            onClick={() => clickable && onSelect(diagnostic)}
+            disabled={!clickable}
+            className={`w-full text-left border rounded-lg px-3 py-2 bg-white dark:bg-gray-900 ${styles.border} ${
+              clickable ? 'hover:bg-gray-50 dark:hover:bg-gray-800 cursor-pointer' : 'cursor-default'
+            }`}
+          >
+            <div className="flex items-center space-x-2">
+              <span className={`text-xs px-2 py-0.5 rounded font-medium capitalize ${styles.badge}`}>
+                {diagnostic.severity}
+              </span>
+              {(diagnostic.file || diagnostic.line !== null) && (
+                <span className="text-xs font-mono text-gray-500 dark:text-gray-400">
+                  {diagnostic.file || 'unknown file'}{diagnostic.line !== null ? `:${diagnostic.line}` : ''}
+                </span>
+              )}
+            </div>
+            <div className="mt-1 text-sm text-gray-800 dark:text-gray-200">
+              {diagnostic.message}
+            </div>
+            {diagnostic.context && (
+              <pre className="mt-1 text-xs font-mono whitespace-pre-wrap text-gray-500 dark:text-gray-400">
+                {diagnostic.context}
+              </pre>
+            )}
+          </button>
+        );
+      })}
+
+      {/* Fall back to the raw log when nothing could be parsed */}
+      {rawLog && (
+        hasDiagnostics ? (
+          <div>
+            <button
+              type="button"
+              onClick={() => setShowRawLog(!showRawLog)}
+              className="text-xs text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200 font-medium"
+            >
+              {showRawLog ? 'Hide raw log' : 'Show raw log'}
+            </button>
+            {showRawLog && (
+              <pre className="mt-2 text-xs whitespace-pre-wrap text-gray-600 dark:text-gray-400">{rawLog}</pre>
+            )}
+          </div>
+        ) : (
+          <pre className="text-sm whitespace-pre-wrap text-red-700 dark:text-red-300">{rawLog}</pre>
+        )
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,66 @@
+/**
+ * Compile Warnings Component
+ * Summarizes warnings from a successful compile by category, with a filterable list
+ */
+
+'use client';
+
+import { useState } from 'react';
+import CompileDiagnostics from './CompileDiagnostics.js';
+import { WARNING_CATEGORIES, groupWarnings } from '../lib/latexLog.js';
+
+export default function CompileWarnings({
+  diagnostics,
+  onSelect,
+  canSelect,
+  isDark = false
+}) {
+  const [activeCategory, setActiveCategory] = useState(null);
+
+  const groups = groupWarnings(diagnostics || []);
+  const total = Object.values(groups).reduce((sum, group) => sum + group.length, 0);
+
+  if (total === 0) {
+    return (
+      <div className="flex items-center justify-center h-full text-gray-500 dark:text-gray-400">
+        <div className="text-center">
+          <p className="text-lg mb-2">No warnings</p>
+          <p className="text-sm">The last compile finished cleanly</p>
+        </div>
+      </div>
+    );
+  }
+
+  const visible = activeCategory
+    ? groups[activeCategory]
+    : WARNING_CATEGORIES.flatMap(category => groups[category.id]);
+
+  return (
+    <div className="p-6 space-y-4">
+      {/* Counts per category; click to filter */}
+      <div className="flex flex-wrap gap-2">
+        {WARNING_CATEGORIES.filter(category => groups[category.id].length > 0).map(category => (
+          <button
+            key={category.id}
+            type="button"
+            onClick={() => setActiveCategory(activeCategory === category.id ? null : category.id)}
+            className={`text-xs px-2 py-1 rounded border font-medium ${
+              activeCategory === category.id
+                ? 'bg-yellow-100 dark:bg-yellow-900 border-yellow-300 dark:border-yellow-700 text-yellow-800 dark:text-yellow-200'
+                : 'bg-white dark:bg-gray-900 border-gray-200 dark:border-gray-700 text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-800'
+            }`}
+          >
+            {category.label}: {groups[category.id].length}
+          </button>
+        ))}
+      </div>
+
+      <CompileDiagnostics
+        diagnostics={visible}
+        onSelect={onSelect}
+        canSelect={canSelect}
+        isDark={isDark}
+      />
+    </div>
+  );
+}
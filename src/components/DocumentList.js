@@ -0,0 +1,106 @@
+/**
+ * Document List Component
+ * Header dropdown for switching between saved documents, creating and deleting them
+ */
+
+'use client';
+
+import { useState, useRef, useEffect } from 'react';
+
+export default function DocumentList({
+  documents,
+  currentId,
+  onSelect,
+  onCreate,
+  onDelete,
+  disabled = false,
+  isDark = false
+}) {
+  const [isOpen, setIsOpen] = useState(false);
+  const containerRef = useRef(null);
+
+  // Close when clicking outside
+  useEffect(() => {
+    if (!isOpen) return;
+
+    const handleClick = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) {
+        setIsOpen(false);
+      }
+    };
+
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, [isOpen]);
+
+  const handleDelete = (e, doc) => {
+    e.stopPropagation();
+    if (window.confirm(`Delete "${doc.title || 'Untitled'}"? This cannot be undone.`)) {
+      onDelete(doc.id);
+    }
+  };
+
+  return (
+    <div ref={containerRef} className="relative">
+      <button
+        type="button"
+        onClick={() => setIsOpen(!isOpen)}
+        disabled={disabled}
+        className="text-xs px-2 py-1 rounded border border-gray-200 dark:border-gray-700 text-gray-600 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-800 disabled:opacity-50"
+        title={disabled ? 'Documents can be switched once the AI has finished' : 'Documents'}
+      >
+        Documents ({documents.length}) ▾
+      </button>
+
+      {isOpen && !disabled && (
+        <div className="absolute left-0 mt-2 w-72 bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg shadow-lg z-20">
+          <div className="max-h-80 overflow-y-auto py-1">
+            {documents.map(doc => (
+              <div
+                key={doc.id}
+                onClick={() => {
+                  onSelect(doc.id);
+                  setIsOpen(false);
+                }}
+                className={`group flex items-center justify-between px-3 py-2 cursor-pointer ${
+                  doc.id === currentId
+                    ? 'bg-gray-100 dark:bg-gray-700'
+                    : 'hover:bg-gray-50 dark:hover:bg-gray-700/50'
+                }`}
+              >
+                <div className="min-w-0">
+                  <div className="text-sm text-gray-900 dark:text-gray-100 truncate">{doc.title || 'Untitled'}</div>
+                  <div className="text-xs text-gray-500 dark:text-gray-400">
+                    Edited {new Date(doc.updatedAt).toLocaleString()}
+                  </div>
+                </div>
+                {doc.id !== currentId && (
+                  <button
+                    type="button"
+                    onClick={(e) => handleDelete(e, doc)}
+                    className="hidden group-hover:block text-xs text-gray-400 hover:text-red-600 ml-2"
+                    title="Delete document"
+                  >
+                    ✕
+                  </button>
+                )}
+              </div>
+            ))}
+          </div>
+          <div className="border-t border-gray-200 dark:border-gray-700 p-2">
+            <button
+              type="button"
+              onClick={() => {
+                onCreate();
+                setIsOpen(false);
+              }}
+              className="w-full text-xs px-3 py-2 rounded bg-gray-700 hover:bg-gray-800 dark:bg-gray-600 dark:hover:bg-gray-500 text-white font-medium"
+            >
+              New document
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
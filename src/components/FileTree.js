@@ -0,0 +1,223 @@
+/**
+ * File Tree Component
+ * Sidebar listing the project files with create/rename/delete/upload and main file selection
+ */
+
+'use client';
+
+import { useState } from 'react';
+import { buildFileTree, isTexPath } from '../lib/project.js';
+
+export default function FileTree({
+  project,
+  activeFile,
+  onOpen,
+  onCreate,
+  onRename,
+  onDelete,
+  onSetMain,
+  onUpload,
+  isDark = false
+}) {
+  const [editing, setEditing] = useState(null); // { mode: 'new' | 'rename', path }
+  const [editValue, setEditValue] = useState('');
+  const [error, setError] = useState(null);
+  const [collapsed, setCollapsed] = useState(new Set());
+
+  const tree = buildFileTree(project.files);
+
+  const startEditing = (mode, path = '') => {
+    setEditing({ mode, path });
+    setEditValue(path);
+    setError(null);
+  };
+
+  // Run a project operation and show its error inline instead of throwing
+  const runAction = (action) => {
+    try {
+      action();
+      setError(null);
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    }
+  };
+
+  const commitEdit = () => {
+    if (!editing) return;
+    const value = editValue.trim();
+    if (!value || (editing.mode === 'rename' && value === editing.path)) {
+      setEditing(null);
+      return;
+    }
+
+    const succeeded = runAction(() => {
+      if (editing.mode === 'new') {
+        onCreate(value);
+      } else {
+        onRename(editing.path, value);
+      }
+    });
+    if (succeeded) setEditing(null);
+  };
+
+  const handleEditKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      commitEdit();
+    } else if (e.key === 'Escape') {
+      setEditing(null);
+      setError(null);
+    }
+  };
+
+  const toggleFolder = (path) => {
+    setCollapsed(prev => {
+      const next = new Set(prev);
+      if (next.has(path)) {
+        next.delete(path);
+      } else {
+        next.add(path);
+      }
+      return next;
+    });
+  };
+
+  const handleDelete = (path) => {
+    if (window.confirm(`Delete ${path}?`)) {
+      runAction(() => onDelete(path));
+    }
+  };
+
+  const handleUpload = (e) => {
+    if (e.target.files?.length) {
+      onUpload(Array.from(e.target.files));
+    }
+    e.target.value = '';
+  };
+
+  const editInput = (
+    <input
+      autoFocus
+      value={editValue}
+      onChange={(e) => setEditValue(e.target.value)}
+      onKeyDown={handleEditKeyDown}
+      onBlur={commitEdit}
+      placeholder="chapters/intro.tex"
+      className="w-full px-2 py-1 text-xs font-mono bg-white dark:bg-gray-900 border border-gray-300 dark:border-gray-600 rounded outline-none text-gray-900 dark:text-gray-100"
+    />
+  );
+
+  const renderNodes = (nodes, depth = 0) => nodes.map(node => {
+    const indent = { paddingLeft: `${8 + depth * 12}px` };
+
+    if (node.type === 'folder') {
+      const isCollapsed = collapsed.has(node.path);
+      return (
+        <div key={node.path}>
+          <button
+            type="button"
+            onClick={() => toggleFolder(node.path)}
+            style={indent}
+            className="w-full flex items-center space-x-1 pr-2 py-1 text-xs text-gray-600 dark:text-gray-400 hover:bg-gray-100 dark:hover:bg-gray-800"
+          >
+            <span className="w-3 text-gray-400">{isCollapsed ? '▸' : '▾'}</span>
+            <span className="truncate">{node.name}</span>
+          </button>
+          {!isCollapsed && renderNodes(node.children, depth + 1)}
+        </div>
+      );
+    }
+
+    if (editing?.mode === 'rename' && editing.path === node.path) {
+      return <div key={node.path} style={indent} className="pr-2 py-0.5">{editInput}</div>;
+    }
+
+    const isActive = node.path === activeFile;
+    const isMain = node.path === project.mainFile;
+
+    return (
+      <div
+        key={node.path}
+        style={indent}
+        className={`group flex items-center justify-between pr-2 py-1 text-xs cursor-pointer ${
+          isActive
+            ? 'bg-gray-200 dark:bg-gray-700 text-gray-900 dark:text-gray-100'
+            : 'text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-800'
+        }`}
+        onClick={() => onOpen(node.path)}
+        title={node.path}
+      >
+        <span className="flex items-center space-x-1 min-w-0">
+          <span className="w-3" />
+          <span className="truncate font-mono">{node.name}</span>
+          {isMain && (
+            <span className="text-[10px] px-1 rounded bg-green-100 dark:bg-green-900 text-green-800 dark:text-green-200">main</span>
+          )}
+        </span>
+        <span className="hidden group-hover:flex items-center space-x-1 flex-shrink-0">
+          {!isMain && isTexPath(node.path) && (
+            <button
+              type="button"
+              onClick={(e) => { e.stopPropagation(); runAction(() => onSetMain(node.path)); }}
+              className="text-gray-400 hover:text-green-600"
+              title="Set as main file"
+            >
+              ★
+            </button>
+          )}
+          <button
+            type="button"
+            onClick={(e) => { e.stopPropagation(); startEditing('rename', node.path); }}
+            className="text-gray-400 hover:text-gray-700 dark:hover:text-gray-200"
+            title="Rename"
+          >
+            ✎
+          </button>
+          <button
+            type="button"
+            onClick={(e) => { e.stopPropagation(); handleDelete(node.path); }}
+            className="text-gray-400 hover:text-red-600"
+            title="Delete"
+          >
+            ✕
+          </button>
+        </span>
+      </div>
+    );
+  });
+
+  return (
+    <div className="h-full flex flex-col bg-gray-50 dark:bg-[#1a1a1a]">
+      <div className="flex items-center justify-between px-3 py-2 border-b border-gray-100 dark:border-gray-800">
+        <span className="text-xs font-medium text-gray-600 dark:text-gray-400 uppercase">Files</span>
+        <div className="flex items-center space-x-2">
+          <button
+            type="button"
+            onClick={() => startEditing('new')}
+            className="text-xs text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200 font-medium"
+            title="New file"
+          >
+            New
+          </button>
+          <label className="text-xs text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200 font-medium cursor-pointer" title="Upload files (e.g. figures)">
+            Upload
+            <input type="file" multiple className="hidden" onChange={handleUpload} />
+          </label>
+        </div>
+      </div>
+
+      <div className="flex-1 overflow-y-auto py-1">
+        {renderNodes(tree)}
+        {editing?.mode === 'new' && <div className="px-2 py-0.5">{editInput}</div>}
+      </div>
+
+      {error && (
+        <div className="px-3 py-2 text-xs text-red-600 dark:text-red-400 border-t border-gray-100 dark:border-gray-800">
+          {error}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -8,11 +8,21 @@
 import { useState } from 'react';
 
 export default function LatexDiffViewer({ 
-  changes, 
+  changes = [], 
+  rejected = [],
+  issues = [], // batch problems from validateDiffBatch; index points into changes
   autoApplied = false,
   streaming = false,
+  statuses, // per-change 'pending' | 'accepted' | 'rejected' | 'failed' in review mode
+  errors = {}, // per-change reason an accepted change could not be applied
+  onAccept,
+  onReject,
+  onAcceptAll,
+  onRejectAll,
+  onFeedback,
   isDark = false 
 }) {
+  const isReview = !!statuses;
 
   const getOperationIcon = (operation) => {
     switch (operation) {
@@ -40,54 +50,163 @@ export default function LatexDiffViewer({
     }
   };
 
-  // All changes are automatically applied, no status needed
+  // Search/replace edits have no line number until they are located
+  const lineNumber = (change, offset) => change.line ? change.line + offset : '';
 
-  if (!changes || changes.length === 0) {
+  // Highlight the changed words/characters of a line when it has an inline diff
+  const renderLine = (line, segments, highlight) => {
+    if (!segments) return line;
+    return segments.map((segment, segmentIndex) => (
+      <span key={segmentIndex} className={segment.changed ? `${highlight} rounded-sm` : ''}>
+        {segment.text}
+      </span>
+    ));
+  };
+
+  // Problems involving a change, whether it is the offending block or the one it collides with
+  const getIssues = (index) => issues.filter(issue => issue.index === index || issue.otherIndex === index);
+
+  const countStatus = (status) => statuses ? statuses.filter(s => s === status).length : 0;
+  const pendingCount = countStatus('pending');
+
+  const STATUS_BADGES = {
+    accepted: { label: 'accepted', className: 'bg-green-100 dark:bg-green-900 text-green-800 dark:text-green-200' },
+    rejected: { label: 'rejected', className: 'bg-gray-100 dark:bg-gray-800 text-gray-600 dark:text-gray-300' },
+    failed: { label: 'could not apply', className: 'bg-red-100 dark:bg-red-900 text-red-800 dark:text-red-200' }
+  };
+
+  if (changes.length === 0 && rejected.length === 0) {
     return null;
   }
 
   return (
     <div className="space-y-4">
       {/* Header with status and actions */}
-      <div className={`flex items-center justify-between p-3 rounded-lg border ${
-        streaming 
-          ? 'bg-blue-50 dark:bg-blue-900/20 border-blue-200 dark:border-blue-800'
-          : 'bg-green-50 dark:bg-green-900/20 border-green-200 dark:border-green-800'
-      }`}>
-        <div className="flex items-center space-x-2">
-          {streaming ? (
-            <>
-              <div className="flex space-x-0.5">
-                <div className="w-1 h-1 bg-blue-500 rounded-full animate-pulse"></div>
-                <div className="w-1 h-1 bg-blue-500 rounded-full animate-pulse" style={{ animationDelay: '0.2s' }}></div>
-                <div className="w-1 h-1 bg-blue-500 rounded-full animate-pulse" style={{ animationDelay: '0.4s' }}></div>
-              </div>
-              <span className="text-sm font-medium text-blue-700 dark:text-blue-300">
-                {changes.length} change{changes.length !== 1 ? 's' : ''} incoming...
-              </span>
-            </>
-          ) : (
-            <>
-              <svg className="w-4 h-4 text-green-600 dark:text-green-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 13l4 4L19 7" />
-              </svg>
-              <span className="text-sm font-medium text-green-700 dark:text-green-300">
-                {changes.length} change{changes.length !== 1 ? 's' : ''} applied automatically
+      {changes.length > 0 && isReview && !streaming && (
+        <div className="flex items-center justify-between p-3 rounded-lg border bg-yellow-50 dark:bg-yellow-900/20 border-yellow-200 dark:border-yellow-800">
+          <span className="text-sm font-medium text-yellow-800 dark:text-yellow-200">
+            {pendingCount > 0
+              ? `${pendingCount} change${pendingCount !== 1 ? 's' : ''} to review`
+              : `Reviewed: ${countStatus('accepted')} accepted, ${countStatus('rejected')} rejected`}
+          </span>
+          <div className="flex items-center space-x-2">
+            {pendingCount > 0 && (
+              <>
+                <button
+                  type="button"
+                  onClick={onAcceptAll}
+                  className="text-xs px-2 py-1 rounded bg-green-600 hover:bg-green-700 text-white font-medium"
+                >
+                  Accept all
+                </button>
+                <button
+                  type="button"
+                  onClick={onRejectAll}
+                  className="text-xs px-2 py-1 rounded border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-800 font-medium"
+                >
+                  Reject all
+                </button>
+              </>
+            )}
+            {pendingCount === 0 && countStatus('rejected') > 0 && onFeedback && (
+              <button
+                type="button"
+                onClick={onFeedback}
+                className="text-xs text-gray-600 dark:text-gray-300 hover:text-gray-900 dark:hover:text-gray-100 underline"
+                title="Tell the AI which changes you rejected and why"
+              >
+                Send feedback
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+
+      {changes.length > 0 && (!isReview || streaming) && (
+        <div className={`flex items-center justify-between p-3 rounded-lg border ${
+          streaming 
+            ? 'bg-blue-50 dark:bg-blue-900/20 border-blue-200 dark:border-blue-800'
+            : autoApplied
+              ? 'bg-green-50 dark:bg-green-900/20 border-green-200 dark:border-green-800'
+              : 'bg-red-50 dark:bg-red-900/20 border-red-200 dark:border-red-800'
+        }`}>
+          <div className="flex items-center space-x-2">
+            {streaming ? (
+              <>
+                <div className="flex space-x-0.5">
+                  <div className="w-1 h-1 bg-blue-500 rounded-full animate-pulse"></div>
+                  <div className="w-1 h-1 bg-blue-500 rounded-full animate-pulse" style={{ animationDelay: '0.2s' }}></div>
+                  <div className="w-1 h-1 bg-blue-500 rounded-full animate-pulse" style={{ animationDelay: '0.4s' }}></div>
+                </div>
+                <span className="text-sm font-medium text-blue-700 dark:text-blue-300">
+                  {changes.length} change{changes.length !== 1 ? 's' : ''} incoming...
+                </span>
+              </>
+            ) : autoApplied ? (
+              <>
+                <svg className="w-4 h-4 text-green-600 dark:text-green-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 13l4 4L19 7" />
+                </svg>
+                <span className="text-sm font-medium text-green-700 dark:text-green-300">
+                  {changes.length} change{changes.length !== 1 ? 's' : ''} applied automatically
+                </span>
+              </>
+            ) : (
+              <span className="text-sm font-medium text-red-700 dark:text-red-300">
+                {issues.length > 0 || rejected.length > 0
+                  ? 'No changes applied: edits are applied all together or not at all'
+                  : 'Changes not applied'}
               </span>
-            </>
-          )}
+            )}
+          </div>
+          
         </div>
-        
-      </div>
+      )}
+
+      {/* Problems with the batch as a whole */}
+      {issues.length > 0 && !streaming && (
+        <div className="p-3 rounded-lg border bg-red-50 dark:bg-red-900/20 border-red-200 dark:border-red-800">
+          <div className="text-sm font-medium text-red-700 dark:text-red-300">
+            {issues.length} problem{issues.length !== 1 ? 's' : ''} in these edits
+          </div>
+          <ul className="mt-1 space-y-1">
+            {issues.map((issue, index) => (
+              <li key={index} className="text-xs text-red-700 dark:text-red-300">{issue.message}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {/* Edits whose expected original lines weren't found */}
+      {rejected.length > 0 && (
+        <div className="p-3 rounded-lg border bg-red-50 dark:bg-red-900/20 border-red-200 dark:border-red-800">
+          <div className="text-sm font-medium text-red-700 dark:text-red-300">
+            {rejected.length} change{rejected.length !== 1 ? 's' : ''} not applied
+          </div>
+          <ul className="mt-1 space-y-1">
+            {rejected.map(({ block, reason }, index) => (
+              <li key={index} className="text-xs text-red-700 dark:text-red-300">
+                {block.line ? (
+                  <><span className="capitalize">{block.operation}</span> at line {block.line}</>
+                ) : block.operation === 'search-replace' ? 'Search/replace' : (
+                  <span className="capitalize">{block.operation}</span>
+                )}: {reason}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
 
       {/* Individual changes */}
       {changes.map((change, index) => {
         const operationColor = getOperationColor(change.operation);
+        const changeIssues = streaming ? [] : getIssues(index);
+        const isFlagged = changeIssues.length > 0 || change.invalid;
         
         return (
           <div 
             key={index} 
-            className={`border rounded-lg overflow-hidden ${operationColor}`}
+            className={`border rounded-lg overflow-hidden ${operationColor} ${isFlagged ? 'ring-2 ring-red-400 dark:ring-red-500' : ''}`}
           >
             {/* Change header */}
             <div className="px-4 py-2 bg-white dark:bg-gray-900 border-b border-gray-200 dark:border-gray-700 flex items-center justify-between">
@@ -97,23 +216,86 @@ export default function LatexDiffViewer({
                   <span className="text-sm font-medium text-gray-700 dark:text-gray-300 capitalize">
                     {change.operation}
                   </span>
-                  <span className="text-xs text-gray-500 dark:text-gray-400">
-                    line {change.line}
-                  </span>
+                  {change.line ? (
+                    <span className="text-xs text-gray-500 dark:text-gray-400">
+                      line {change.line}
+                    </span>
+                  ) : change.error ? (
+                    <span className="text-xs text-red-600 dark:text-red-400">{change.error}</span>
+                  ) : (
+                    <span className="text-xs text-gray-500 dark:text-gray-400">locating...</span>
+                  )}
+                  {change.description && (
+                    <span className="text-xs text-gray-600 dark:text-gray-300">{change.description}</span>
+                  )}
+                  {change.relocatedFrom && (
+                    <span className="text-xs text-yellow-700 dark:text-yellow-300" title="The expected lines had moved, so the edit was applied where they are now">
+                      (moved from line {change.relocatedFrom})
+                    </span>
+                  )}
                 </div>
                 
-                {streaming ? (
+                {streaming && change.invalid ? (
+                  <span className="text-xs px-2 py-0.5 rounded font-medium bg-red-100 dark:bg-red-900 text-red-800 dark:text-red-200">
+                    invalid
+                  </span>
+                ) : streaming ? (
                   <span className="text-xs px-2 py-0.5 rounded font-medium bg-blue-100 dark:bg-blue-900 text-blue-800 dark:text-blue-200">
                     streaming...
                   </span>
-                ) : (
+                ) : isReview && STATUS_BADGES[statuses[index]] ? (
+                  <span className={`text-xs px-2 py-0.5 rounded font-medium ${STATUS_BADGES[statuses[index]].className}`}>
+                    {STATUS_BADGES[statuses[index]].label}
+                  </span>
+                ) : !isReview && autoApplied ? (
                   <span className="text-xs px-2 py-0.5 rounded font-medium bg-green-100 dark:bg-green-900 text-green-800 dark:text-green-200">
                     applied
                   </span>
-                )}
+                ) : !isReview ? (
+                  <span className="text-xs px-2 py-0.5 rounded font-medium bg-red-100 dark:bg-red-900 text-red-800 dark:text-red-200">
+                    not applied
+                  </span>
+                ) : null}
               </div>
+
+              {isReview && !streaming && statuses[index] === 'pending' && (
+                <div className="flex items-center space-x-2">
+                  <button
+                    type="button"
+                    onClick={() => onAccept(index)}
+                    className="text-xs px-2 py-0.5 rounded bg-green-600 hover:bg-green-700 text-white font-medium"
+                  >
+                    Accept
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => onReject(index)}
+                    className="text-xs px-2 py-0.5 rounded border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-800 font-medium"
+                  >
+                    Reject
+                  </button>
+                </div>
+              )}
             </div>
 
+            {change.invalid && change.line && change.error && (
+              <div className="px-4 py-1 text-xs text-red-700 dark:text-red-300 bg-red-50 dark:bg-red-900/20">
+                {change.error}
+              </div>
+            )}
+
+            {changeIssues.map((issue, issueIndex) => (
+              <div key={issueIndex} className="px-4 py-1 text-xs text-red-700 dark:text-red-300 bg-red-50 dark:bg-red-900/20">
+                {issue.message}
+              </div>
+            ))}
+
+            {errors[index] && (
+              <div className="px-4 py-1 text-xs text-red-700 dark:text-red-300 bg-red-50 dark:bg-red-900/20">
+                {errors[index]}
+              </div>
+            )}
+
             {/* Diff content */}
             <div className="bg-gray-50 dark:bg-gray-900">
               {/* Context before */}
@@ -121,7 +303,7 @@ export default function LatexDiffViewer({
                 <div className="px-4 py-1">
                   {change.context.before.map((line, lineIndex) => (
                     <div key={`before-${lineIndex}`} className="text-xs font-mono text-gray-500 dark:text-gray-400">
-                      <span className="inline-block w-8 text-right mr-2">{change.line - change.context.before.length + lineIndex}</span>
+                      <span className="inline-block w-8 text-right mr-2">{lineNumber(change, lineIndex - change.context.before.length)}</span>
                       <span className="text-gray-400 dark:text-gray-600 mr-2">  </span>
                       {line}
                     </div>
@@ -134,9 +316,9 @@ export default function LatexDiffViewer({
                 <div className="px-4 py-1 bg-red-50 dark:bg-red-900/10">
                   {change.before.map((line, lineIndex) => (
                     <div key={`removed-${lineIndex}`} className="text-xs font-mono text-red-800 dark:text-red-200">
-                      <span className="inline-block w-8 text-right mr-2">{change.line + lineIndex}</span>
+                      <span className="inline-block w-8 text-right mr-2">{lineNumber(change, lineIndex)}</span>
                       <span className="text-red-600 dark:text-red-400 mr-2">- </span>
-                      {line}
+                      {renderLine(line, change.inline?.before[lineIndex], 'bg-red-200 dark:bg-red-800/60')}
                     </div>
                   ))}
                 </div>
@@ -147,9 +329,9 @@ export default function LatexDiffViewer({
                 <div className="px-4 py-1 bg-green-50 dark:bg-green-900/10">
                   {change.after.map((line, lineIndex) => (
                     <div key={`added-${lineIndex}`} className="text-xs font-mono text-green-800 dark:text-green-200">
-                      <span className="inline-block w-8 text-right mr-2">{change.line + lineIndex}</span>
+                      <span className="inline-block w-8 text-right mr-2">{lineNumber(change, lineIndex)}</span>
                       <span className="text-green-600 dark:text-green-400 mr-2">+ </span>
-                      {line}
+                      {renderLine(line, change.inline?.after[lineIndex], 'bg-green-200 dark:bg-green-800/60')}
                     </div>
                   ))}
                 </div>
@@ -161,7 +343,7 @@ export default function LatexDiffViewer({
                   {change.context.after.map((line, lineIndex) => (
                     <div key={`after-${lineIndex}`} className="text-xs font-mono text-gray-500 dark:text-gray-400">
                       <span className="inline-block w-8 text-right mr-2">
-                        {change.line + (change.before?.length || 0) + (change.after?.length || 0) + lineIndex}
+                        {lineNumber(change, (change.before?.length || 0) + (change.after?.length || 0) + lineIndex)}
                       </span>
                       <span className="text-gray-400 dark:text-gray-600 mr-2">  </span>
                       {line}
@@ -13,15 +13,50 @@ const LatexEditor = forwardRef(function LatexEditor({
   onKeyDown, 
   placeholder = "Write your LaTeX code here...",
   className = "",
+  readOnly = false,
   isDark = false 
 }, ref) {
   const internalRef = useRef(null);
 
+  const getTextarea = () => internalRef.current?._input || internalRef.current?.textarea || null;
+
   useImperativeHandle(ref, () => ({
     getCursorPosition: () => {
-      const ta = internalRef.current?._input || internalRef.current?.textarea || null;
+      const ta = getTextarea();
       if (!ta) return 0;
       try { return ta.selectionStart || 0; } catch { return 0; }
+    },
+    // Selected text with its character offsets, or null when nothing is selected
+    getSelection: () => {
+      const ta = getTextarea();
+      if (!ta || ta.selectionStart === ta.selectionEnd) return null;
+      return {
+        start: ta.selectionStart,
+        end: ta.selectionEnd,
+        text: ta.value.slice(ta.selectionStart, ta.selectionEnd)
+      };
+    },
+    // Select a 1-based line and scroll it into view
+    goToLine: (lineNumber) => {
+      const ta = getTextarea();
+      if (!ta) return;
+      const lines = ta.value.split('\n');
+      const index = Math.min(Math.max(lineNumber, 1), lines.length) - 1;
+      const start = lines.slice(0, index).reduce((offset, line) => offset + line.length + 1, 0);
+
+      ta.focus({ preventScroll: true });
+      ta.setSelectionRange(start, start + lines[index].length);
+
+      // The textarea grows with its content, so scroll the nearest scrollable ancestor instead
+      let container = ta.parentElement;
+      while (container && !/(auto|scroll)/.test(getComputedStyle(container).overflowY)) {
+        container = container.parentElement;
+      }
+      if (container) {
+        const lineHeight = parseFloat(getComputedStyle(ta).lineHeight) || 21;
+        const textareaTop = ta.getBoundingClientRect().top - container.getBoundingClientRect().top + container.scrollTop;
+        container.scrollTop = textareaTop + index * lineHeight - container.clientHeight / 3;
+      }
     }
   }), []);
   return (
@@ -48,7 +83,9 @@ const LatexEditor = forwardRef(function LatexEditor({
       <Editor
         ref={internalRef}
         value={value}
-        onValueChange={onChange}
+        // The editor's own key handling (Tab, auto-indent) edits through onValueChange, so drop those too
+        onValueChange={readOnly ? () => {} : onChange}
+        readOnly={readOnly}
         highlight={(code) => Prism.highlight(code, Prism.languages.latex, 'latex')}
         padding={0}
         className="latex-editor"
@@ -0,0 +1,82 @@
+/**
+ * Merge Conflicts Component
+ * Shown in the chat when the user's edits and an AI response touched the same lines;
+ * the user keeps their version or takes the AI's for each conflict
+ */
+
+'use client';
+
+import { useState } from 'react';
+
+export default function MergeConflicts({
+  merge,
+  onResolve,
+  isDark = false
+}) {
+  const conflicts = merge.chunks.filter(chunk => chunk.type === 'conflict');
+  const [choices, setChoices] = useState(() => conflicts.map(() => 'mine'));
+
+  const choose = (index, side) => {
+    setChoices(prev => prev.map((choice, i) => i === index ? side : choice));
+  };
+
+  const renderLines = (lines, tone) => (
+    <pre className={`px-3 py-1 text-xs font-mono whitespace-pre-wrap break-all ${tone}`}>
+      {lines.length > 0 ? lines.join('\n') : <span className="italic opacity-60">(removed)</span>}
+    </pre>
+  );
+
+  return (
+    <div className="space-y-3">
+      <div className="p-3 rounded-lg border bg-yellow-50 dark:bg-yellow-900/20 border-yellow-200 dark:border-yellow-800">
+        <div className="text-sm font-medium text-yellow-800 dark:text-yellow-200">
+          {conflicts.length} conflict{conflicts.length !== 1 ? 's' : ''} with your edits
+        </div>
+        <p className="mt-1 text-xs text-yellow-700 dark:text-yellow-300">
+          You changed the same lines while the AI was responding. The rest of the AI&apos;s changes merge cleanly; pick a version for each conflict.
+        </p>
+      </div>
+
+      {conflicts.map((conflict, index) => (
+        <div key={index} className="border border-gray-200 dark:border-gray-700 rounded-lg overflow-hidden">
+          <div className="px-3 py-2 bg-white dark:bg-gray-900 border-b border-gray-200 dark:border-gray-700 flex items-center justify-between">
+            <span className="text-xs font-medium text-gray-700 dark:text-gray-300">
+              Conflict {index + 1} of {conflicts.length}
+            </span>
+            <div className="flex items-center space-x-2">
+              {[
+                { side: 'mine', label: 'Keep mine' },
+                { side: 'theirs', label: 'Use AI' }
+              ].map(option => (
+                <button
+                  key={option.side}
+                  type="button"
+                  onClick={() => choose(index, option.side)}
+                  className={`text-xs px-2 py-0.5 rounded border font-medium ${
+                    choices[index] === option.side
+                      ? 'border-gray-700 dark:border-gray-300 text-gray-900 dark:text-gray-100 bg-gray-100 dark:bg-gray-800'
+                      : 'border-gray-200 dark:border-gray-700 text-gray-500 dark:text-gray-400'
+                  }`}
+                >
+                  {option.label}
+                </button>
+              ))}
+            </div>
+          </div>
+          <div className="text-[10px] uppercase px-3 pt-1 text-gray-500 dark:text-gray-400">Yours</div>
+          {renderLines(conflict.mine, choices[index] === 'mine' ? 'text-gray-900 dark:text-gray-100' : 'text-gray-400 dark:text-gray-500 line-through')}
+          <div className="text-[10px] uppercase px-3 pt-1 text-gray-500 dark:text-gray-400 border-t border-gray-100 dark:border-gray-800">AI</div>
+          {renderLines(conflict.theirs, choices[index] === 'theirs' ? 'text-gray-900 dark:text-gray-100' : 'text-gray-400 dark:text-gray-500 line-through')}
+        </div>
+      ))}
+
+      <button
+        type="button"
+        onClick={() => onResolve(choices)}
+        className="text-xs px-3 py-1.5 rounded bg-gray-700 hover:bg-gray-800 dark:bg-gray-600 dark:hover:bg-gray-500 text-white font-medium"
+      >
+        Apply merge
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,317 @@
+/**
+ * Version History Component
+ * Lists a document's snapshots, compares any two of them side by side and restores one
+ */
+
+'use client';
+
+import { useState, useEffect, useMemo, useCallback } from 'react';
+import { listVersions, getVersionProject, createVersion, deleteVersion, getVersionLabel } from '../lib/storage/versionStore.js';
+import { buildSideBySide, countLineChanges } from '../lib/textDiff.js';
+
+// Pseudo-version id for the project as it is in the editor right now
+const CURRENT = 'current';
+
+const ROW_STYLES = {
+  equal: '',
+  change: 'bg-yellow-50 dark:bg-yellow-900/20',
+  delete: 'bg-red-50 dark:bg-red-900/20',
+  insert: 'bg-green-50 dark:bg-green-900/20'
+};
+
+export default function VersionHistory({
+  documentId,
+  project,
+  onRestore,
+  onClose,
+  isDark = false
+}) {
+  const [versions, setVersions] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [snapshotName, setSnapshotName] = useState('');
+  const [baseId, setBaseId] = useState(null); // left side of the comparison
+  const [compareId, setCompareId] = useState(CURRENT); // right side
+  const [selectedPath, setSelectedPath] = useState(null);
+  const [projects, setProjects] = useState({}); // version id -> project, loaded when compared
+
+  const refresh = useCallback(async () => {
+    try {
+      const stored = await listVersions(documentId);
+      setVersions(stored);
+      setProjects({}); // an edit version may have been updated since it was loaded
+      setBaseId(prev => prev && stored.some(v => v.id === prev) ? prev : stored[0]?.id || null);
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [documentId]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  // Load the projects of the versions being compared
+  useEffect(() => {
+    const missing = [baseId, compareId].filter(id => id && id !== CURRENT && !(id in projects));
+    if (missing.length === 0) return;
+
+    let cancelled = false;
+    Promise.all(missing.map(async id => [id, await getVersionProject(id)]))
+      .then(entries => {
+        if (!cancelled) setProjects(prev => ({ ...prev, ...Object.fromEntries(entries) }));
+      })
+      .catch(err => {
+        if (!cancelled) setError(err.message);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [baseId, compareId, projects]);
+
+  const getProject = (id) => id === CURRENT ? project : projects[id];
+  const getLabel = (id) => {
+    if (id === CURRENT) return 'Current';
+    const version = versions.find(v => v.id === id);
+    return version ? `${getVersionLabel(version)} · ${new Date(version.createdAt).toLocaleString()}` : '';
+  };
+
+  const baseProject = getProject(baseId);
+  const compareProject = getProject(compareId);
+
+  // Every text file in either version with its added/removed line counts
+  const fileChanges = useMemo(() => {
+    if (!baseProject || !compareProject) return [];
+    const paths = [...new Set([...baseProject.files, ...compareProject.files].map(file => file.path))].sort();
+    return paths.map(path => {
+      const before = baseProject.files.find(file => file.path === path);
+      const after = compareProject.files.find(file => file.path === path);
+      const isBinary = before?.encoding === 'base64' || after?.encoding === 'base64';
+      const counts = isBinary
+        ? { added: 0, removed: 0 }
+        : countLineChanges(before?.content || '', after?.content || '');
+      const changed = isBinary ? before?.content !== after?.content : counts.added + counts.removed > 0;
+      return { path, before, after, isBinary, changed, ...counts };
+    });
+  }, [baseProject, compareProject]);
+
+  const selectedChange = fileChanges.find(change => change.path === selectedPath)
+    || fileChanges.find(change => change.changed)
+    || fileChanges[0];
+
+  const rows = useMemo(() => {
+    if (!selectedChange || selectedChange.isBinary) return [];
+    return buildSideBySide(selectedChange.before?.content || '', selectedChange.after?.content || '');
+  }, [selectedChange]);
+
+  const handleSnapshot = async (e) => {
+    e.preventDefault();
+    try {
+      await createVersion(documentId, project, { kind: 'manual', label: snapshotName });
+      setSnapshotName('');
+      await refresh();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleRestore = async (version) => {
+    if (!window.confirm(`Restore "${getVersionLabel(version)}"? The current state is saved as a version first.`)) {
+      return;
+    }
+    try {
+      await onRestore(version);
+      await refresh();
+      setCompareId(CURRENT);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleDelete = async (version) => {
+    if (!window.confirm(`Delete "${getVersionLabel(version)}"?`)) return;
+    try {
+      await deleteVersion(version.id);
+      if (compareId === version.id) setCompareId(CURRENT);
+      await refresh();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const versionOptions = [
+    { id: CURRENT, label: 'Current' },
+    ...versions.map(version => ({ id: version.id, label: getLabel(version.id) }))
+  ];
+
+  return (
+    <div className="fixed inset-0 z-30 bg-black/40 flex items-center justify-center p-6" onClick={onClose}>
+      <div
+        className="w-full max-w-6xl h-full max-h-[85vh] bg-white dark:bg-[#1a1a1a] rounded-lg shadow-xl border border-gray-200 dark:border-gray-700 flex flex-col"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between px-4 py-3 border-b border-gray-200 dark:border-gray-700">
+          <h3 className="text-sm font-semibold text-gray-800 dark:text-gray-200">Version history</h3>
+          <button
+            type="button"
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-700 dark:hover:text-gray-200"
+            title="Close"
+          >
+            ✕
+          </button>
+        </div>
+
+        <div className="flex flex-1 min-h-0">
+          {/* Version list */}
+          <div className="w-72 flex-shrink-0 border-r border-gray-200 dark:border-gray-700 flex flex-col">
+            <form onSubmit={handleSnapshot} className="p-3 border-b border-gray-100 dark:border-gray-800 flex space-x-2">
+              <input
+                value={snapshotName}
+                onChange={(e) => setSnapshotName(e.target.value)}
+                placeholder="Snapshot name"
+                className="flex-1 min-w-0 px-2 py-1 text-xs bg-white dark:bg-gray-900 border border-gray-300 dark:border-gray-600 rounded outline-none text-gray-900 dark:text-gray-100"
+              />
+              <button
+                type="submit"
+                className="text-xs px-3 py-1 rounded bg-gray-700 hover:bg-gray-800 dark:bg-gray-600 dark:hover:bg-gray-500 text-white font-medium"
+              >
+                Save
+              </button>
+            </form>
+
+            <div className="flex-1 overflow-y-auto py-1">
+              {isLoading ? (
+                <div className="px-3 py-2 text-xs text-gray-500 dark:text-gray-400">Loading...</div>
+              ) : versions.length === 0 ? (
+                <div className="px-3 py-2 text-xs text-gray-500 dark:text-gray-400">
+                  No versions yet. Versions are saved when you compile, before AI edits, and when you save a snapshot.
+                </div>
+              ) : versions.map(version => (
+                <div
+                  key={version.id}
+                  onClick={() => setBaseId(version.id)}
+                  className={`group px-3 py-2 cursor-pointer ${
+                    version.id === baseId
+                      ? 'bg-gray-100 dark:bg-gray-700'
+                      : 'hover:bg-gray-50 dark:hover:bg-gray-700/50'
+                  }`}
+                >
+                  <div className="flex items-center justify-between">
+                    <span className={`text-sm truncate ${version.kind === 'manual' ? 'font-medium text-gray-900 dark:text-gray-100' : 'text-gray-700 dark:text-gray-300'}`}>
+                      {getVersionLabel(version)}
+                    </span>
+                    <span className="hidden group-hover:flex items-center space-x-2 flex-shrink-0 ml-2">
+                      <button
+                        type="button"
+                        onClick={(e) => { e.stopPropagation(); handleRestore(version); }}
+                        className="text-xs text-gray-500 hover:text-green-600"
+                        title="Restore this version"
+                      >
+                        Restore
+                      </button>
+                      <button
+                        type="button"
+                        onClick={(e) => { e.stopPropagation(); handleDelete(version); }}
+                        className="text-xs text-gray-400 hover:text-red-600"
+                        title="Delete version"
+                      >
+                        ✕
+                      </button>
+                    </span>
+                  </div>
+                  <div className="text-xs text-gray-500 dark:text-gray-400">
+                    {new Date(version.createdAt).toLocaleString()}
+                  </div>
+                </div>
+              ))}
+            </div>
+
+            {error && (
+              <div className="px-3 py-2 text-xs text-red-600 dark:text-red-400 border-t border-gray-100 dark:border-gray-800">
+                {error}
+              </div>
+            )}
+          </div>
+
+          {/* Comparison */}
+          <div className="flex-1 min-w-0 flex flex-col">
+            {!baseProject ? (
+              <div className="flex items-center justify-center h-full text-sm text-gray-500 dark:text-gray-400">
+                Select a version to compare
+              </div>
+            ) : (
+              <>
+                <div className="px-4 py-2 border-b border-gray-100 dark:border-gray-800 flex items-center space-x-2 text-xs text-gray-600 dark:text-gray-300">
+                  <span className="truncate">{getLabel(baseId)}</span>
+                  <span className="text-gray-400">→</span>
+                  <select
+                    value={compareId}
+                    onChange={(e) => setCompareId(e.target.value)}
+                    className="text-xs bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300 border border-gray-200 dark:border-gray-600 rounded px-2 py-1 focus:outline-none"
+                  >
+                    {versionOptions.map(option => (
+                      <option key={option.id} value={option.id}>{option.label}</option>
+                    ))}
+                  </select>
+                </div>
+
+                <div className="px-4 py-2 border-b border-gray-100 dark:border-gray-800 flex flex-wrap gap-2">
+                  {fileChanges.map(change => (
+                    <button
+                      key={change.path}
+                      type="button"
+                      onClick={() => setSelectedPath(change.path)}
+                      className={`text-xs font-mono px-2 py-0.5 rounded border ${
+                        change.path === selectedChange?.path
+                          ? 'border-gray-700 dark:border-gray-300 text-gray-900 dark:text-gray-100'
+                          : 'border-gray-200 dark:border-gray-700 text-gray-500 dark:text-gray-400'
+                      }`}
+                    >
+                      {change.path}
+                      {change.changed && !change.isBinary && (
+                        <span className="ml-1">
+                          <span className="text-green-600">+{change.added}</span>{' '}
+                          <span className="text-red-600">-{change.removed}</span>
+                        </span>
+                      )}
+                      {change.changed && change.isBinary && <span className="ml-1 text-yellow-600">changed</span>}
+                    </button>
+                  ))}
+                </div>
+
+                <div className="flex-1 overflow-auto font-mono text-xs">
+                  {selectedChange?.isBinary ? (
+                    <div className="p-4 text-gray-500 dark:text-gray-400">
+                      Binary file {selectedChange.changed ? 'changed' : 'unchanged'}
+                    </div>
+                  ) : (
+                    <table className="w-full border-collapse table-fixed">
+                      <tbody>
+                        {rows.map((row, index) => (
+                          <tr key={index} className={ROW_STYLES[row.type]}>
+                            <td className="w-10 px-2 text-right text-gray-400 select-none align-top">{row.left?.line}</td>
+                            <td className={`px-2 whitespace-pre-wrap break-all align-top border-r border-gray-200 dark:border-gray-700 ${row.left && row.type !== 'equal' ? 'text-red-700 dark:text-red-300' : 'text-gray-800 dark:text-gray-200'}`}>
+                              {row.left?.text}
+                            </td>
+                            <td className="w-10 px-2 text-right text-gray-400 select-none align-top">{row.right?.line}</td>
+                            <td className={`px-2 whitespace-pre-wrap break-all align-top ${row.right && row.type !== 'equal' ? 'text-green-700 dark:text-green-300' : 'text-gray-800 dark:text-gray-200'}`}>
+                              {row.right?.text}
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  )}
+                </div>
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -1,6 +1,6 @@
 /**
  * AI Service - Abstraction layer for different AI providers
- * Supports OpenAI, Anthropic Claude, and other providers
+ * Supports OpenAI, Anthropic Claude, and local OpenAI-compatible servers
  */
 
 class AIService {
@@ -8,12 +8,16 @@ class AIService {
     this.providers = new Map();
     this.currentProvider = null;
     this.apiKey = null;
+    this.providerStatus = {}; // provider key -> { configured, error? } as reported by the server
     this.config = {
       model: 'gpt-4',
       temperature: 0.7,
       maxTokens: 10000,
       stream: true
     };
+    
+    // Register available providers
+    this.registerProviders();
   }
 
   /**
@@ -25,9 +29,6 @@ class AIService {
     // Check API key availability via API route
     await this.checkApiKeyAvailability();
     
-    // Register available providers
-    this.registerProviders();
-    
     // Set default provider
     this.setProvider(config.provider || 'openai');
     
@@ -41,6 +42,7 @@ class AIService {
     try {
       const response = await fetch('/api/ai-config');
       const data = await response.json();
+      this.providerStatus = Object.fromEntries((data.providers || []).map(({ key, ...status }) => [key, status]));
       
       if (data.hasApiKey) {
         this.apiKey = 'server-side-key'; // Placeholder to indicate key is available
@@ -60,45 +62,58 @@ class AIService {
 
   /**
    * Register AI providers
+   * Requests go through /api/ai-chat, which talks to each provider (see providerAdapters.js)
    */
   registerProviders() {
     // OpenAI Provider
     this.providers.set('openai', {
       name: 'OpenAI',
-      models: ['gpt-4', 'gpt-4-turbo', 'gpt-3.5-turbo'],
-      endpoint: 'https://api.openai.com/v1/chat/completions',
-      headers: (apiKey) => ({
-        'Authorization': `Bearer ${apiKey}`,
-        'Content-Type': 'application/json'
-      }),
-      formatRequest: (messages, config) => ({
-        model: config.model,
-        messages,
-        temperature: config.temperature,
-        max_tokens: config.maxTokens,
-        stream: config.stream
-      })
+      models: ['gpt-4', 'gpt-4-turbo', 'gpt-3.5-turbo']
     });
 
     // Anthropic Claude Provider
     this.providers.set('anthropic', {
       name: 'Anthropic',
-      models: ['claude-3-opus-20240229', 'claude-3-sonnet-20240229', 'claude-3-haiku-20240307'],
-      endpoint: 'https://api.anthropic.com/v1/messages',
-      headers: (apiKey) => ({
-        'x-api-key': apiKey,
-        'Content-Type': 'application/json',
-        'anthropic-version': '2023-06-01'
-      }),
-      formatRequest: (messages, config) => ({
-        model: config.model,
-        messages: messages.slice(1), // Remove system message for Claude
-        system: messages[0]?.role === 'system' ? messages[0].content : undefined,
-        max_tokens: config.maxTokens,
-        temperature: config.temperature,
-        stream: config.stream
-      })
+      models: ['claude-sonnet-4-0', 'claude-3-5-haiku-latest']
     });
+
+    // Local OpenAI-compatible server (Ollama, llama.cpp, vLLM); its models are discovered
+    this.providers.set('local', {
+      name: 'Local (OpenAI-compatible)',
+      models: [],
+      discoverModels: true
+    });
+  }
+
+  /**
+   * Ask the server which models a provider offers, and remember them
+   */
+  async discoverModels(providerName) {
+    const provider = this.providers.get(providerName);
+    if (!provider) {
+      throw new Error(`Provider ${providerName} is not registered`);
+    }
+    
+    const response = await fetch(`/api/ai-models?provider=${encodeURIComponent(providerName)}`);
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(data.error || `Model discovery failed: ${response.status}`);
+    }
+    
+    provider.models = data.models;
+    return data.models;
+  }
+
+  /**
+   * Tokens and estimated cost used over the last day, as counted by the server (see /api/ai-usage)
+   */
+  async getUsage() {
+    const response = await fetch('/api/ai-usage');
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(data.error || `Usage request failed: ${response.status}`);
+    }
+    return data;
   }
 
   /**
@@ -156,6 +171,7 @@ class AIService {
         body: JSON.stringify({
           messages: messages,
           model: config.model,
+          provider: this.currentProvider,
           temperature: config.temperature,
           maxTokens: config.maxTokens,
           stream: config.stream
@@ -215,26 +231,17 @@ class AIService {
 
   /**
    * Extract content from API response
+   * /api/ai-chat returns every provider's replies in the OpenAI format
    */
   extractContent(data) {
-    if (this.currentProvider === 'openai') {
-      return data.choices?.[0]?.message?.content || '';
-    } else if (this.currentProvider === 'anthropic') {
-      return data.content?.[0]?.text || '';
-    }
-    return '';
+    return data.choices?.[0]?.message?.content || '';
   }
 
   /**
    * Extract content from streaming response
    */
   extractStreamContent(data) {
-    if (this.currentProvider === 'openai') {
-      return data.choices?.[0]?.delta?.content || '';
-    } else if (this.currentProvider === 'anthropic') {
-      return data.delta?.text || '';
-    }
-    return '';
+    return data.choices?.[0]?.delta?.content || '';
   }
 
 
@@ -245,7 +252,9 @@ class AIService {
     return Array.from(this.providers.entries()).map(([key, provider]) => ({
       key,
       name: provider.name,
-      models: provider.models
+      models: provider.models,
+      discoverModels: !!provider.discoverModels,
+      status: this.providerStatus[key] || null
     }));
   }
 
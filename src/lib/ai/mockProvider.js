@@ -0,0 +1,169 @@
+/**
+ * Mock Provider - Replays scripted replies from fixture files instead of calling a model
+ * Selected with AI_PROVIDER=mock. Replies come back in OpenAI's format; streamed ones are split
+ * into chunks at arbitrary but repeatable boundaries, so every run streams the same way
+ */
+
+import { readdir, readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { estimateTokens } from '../chatHistory.js';
+
+const DEFAULT_FIXTURES_DIR = path.join(process.cwd(), 'fixtures', 'ai');
+const DEFAULT_FIXTURE = 'default';
+
+// Longest streamed chunk, in characters, and the pause between chunks
+const MAX_CHUNK_LENGTH = 12;
+const DEFAULT_CHUNK_DELAY_MS = 15;
+
+const encoder = new TextEncoder();
+
+/**
+ * Parse a fixture file: optional front matter (match, status) between --- lines, then the reply
+ * match is a case-insensitive substring of the last user message, or a /regex/flags
+ */
+export function parseFixture(name, text) {
+  const fixture = { name, match: null, status: 200, response: text };
+
+  const frontMatter = text.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?/);
+  if (!frontMatter) return fixture;
+
+  fixture.response = text.slice(frontMatter[0].length);
+  for (const line of frontMatter[1].split(/\r?\n/)) {
+    const separator = line.indexOf(':');
+    if (separator === -1) continue;
+    const key = line.slice(0, separator).trim();
+    const value = line.slice(separator + 1).trim();
+
+    if (key === 'match') {
+      const regex = value.match(/^\/(.+)\/([a-z]*)$/);
+      fixture.match = regex ? new RegExp(regex[1], regex[2]) : value.toLowerCase();
+    } else if (key === 'status') {
+      fixture.status = parseInt(value) || 200;
+    }
+  }
+  return fixture;
+}
+
+/**
+ * Read every .md fixture in a directory, ordered by file name
+ */
+export async function loadFixtures(dir = process.env.AI_MOCK_FIXTURES_DIR || DEFAULT_FIXTURES_DIR) {
+  const files = (await readdir(dir)).filter(file => file.endsWith('.md')).sort();
+  return Promise.all(files.map(async file => parseFixture(
+    path.basename(file, '.md'),
+    await readFile(path.join(dir, file), 'utf8')
+  )));
+}
+
+/**
+ * The first fixture matching the last user message, or the default one
+ */
+export function selectFixture(fixtures, messages) {
+  const lastUser = [...messages].reverse().find(message => message.role === 'user');
+  const text = lastUser?.content || '';
+
+  const matched = fixtures.find(fixture => fixture.match && (typeof fixture.match === 'string'
+    ? text.toLowerCase().includes(fixture.match)
+    : fixture.match.test(text)));
+  return matched || fixtures.find(fixture => fixture.name === DEFAULT_FIXTURE) || null;
+}
+
+/**
+ * 32-bit FNV-1a hash, used to seed the chunking
+ */
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Split text into chunks of 1 to MAX_CHUNK_LENGTH characters; the same seed gives the same chunks
+ */
+export function chunkText(text, seed) {
+  // mulberry32
+  let state = hashString(String(seed));
+  const random = () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  const chunks = [];
+  for (let i = 0; i < text.length;) {
+    const length = 1 + Math.floor(random() * MAX_CHUNK_LENGTH);
+    chunks.push(text.slice(i, i + length));
+    i += length;
+  }
+  return chunks;
+}
+
+/**
+ * Token usage in OpenAI's shape, estimated the way /api/ai-chat estimates it
+ */
+function estimateUsage(messages, response) {
+  const promptTokens = estimateTokens(messages.map(message => message.content || '').join('\n'));
+  const completionTokens = estimateTokens(response);
+  return { prompt_tokens: promptTokens, completion_tokens: completionTokens, total_tokens: promptTokens + completionTokens };
+}
+
+/**
+ * Answer a chat request from the fixtures, as the Response an OpenAI-compatible server would send
+ * Streams stop early when signal aborts
+ */
+export async function createMockResponse({ messages, model, stream }, signal) {
+  const fixture = selectFixture(await loadFixtures(), messages);
+  if (!fixture) {
+    return Response.json({ error: { message: `No mock fixture matches the request and there is no ${DEFAULT_FIXTURE}.md` } }, { status: 404 });
+  }
+  if (fixture.status !== 200) {
+    return Response.json({ error: { message: fixture.response.trim() || `Mock fixture ${fixture.name}` } }, { status: fixture.status });
+  }
+  console.log('[MockProvider] Replying with fixture', fixture.name);
+
+  const id = `mock-${fixture.name}`;
+  const usage = estimateUsage(messages, fixture.response);
+
+  if (!stream) {
+    return Response.json({
+      id,
+      object: 'chat.completion',
+      model,
+      choices: [{ index: 0, message: { role: 'assistant', content: fixture.response }, finish_reason: 'stop' }],
+      usage
+    });
+  }
+
+  const delay = parseInt(process.env.AI_MOCK_CHUNK_DELAY_MS ?? DEFAULT_CHUNK_DELAY_MS) || 0;
+  const events = [
+    ...chunkText(fixture.response, `${fixture.name}:${process.env.AI_MOCK_SEED || ''}`).map(content => ({
+      id, object: 'chat.completion.chunk', model, choices: [{ index: 0, delta: { content }, finish_reason: null }]
+    })),
+    { id, object: 'chat.completion.chunk', model, choices: [{ index: 0, delta: {}, finish_reason: 'stop' }], usage }
+  ];
+
+  let next = 0;
+  const body = new ReadableStream({
+    async pull(controller) {
+      if (signal?.aborted) {
+        controller.close();
+        return;
+      }
+      if (next === events.length) {
+        controller.enqueue(encoder.encode('data: [DONE]\n\n'));
+        controller.close();
+        return;
+      }
+      if (delay > 0 && next > 0) {
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+      controller.enqueue(encoder.encode(`data: ${JSON.stringify(events[next++])}\n\n`));
+    }
+  });
+
+  return new Response(body, { headers: { 'Content-Type': 'text/event-stream' } });
+}
@@ -0,0 +1,62 @@
+/**
+ * Model Pricing - Estimated cost of a request from its token counts
+ * Prices are USD per million tokens; AI_MODEL_PRICING (JSON, same shape) adds or overrides models
+ */
+
+export const MODEL_PRICING = {
+  'gpt-4': { input: 30, output: 60 },
+  'gpt-4-turbo': { input: 10, output: 30 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+  'claude-sonnet-4': { input: 3, output: 15 },
+  'claude-3-5-haiku': { input: 0.8, output: 4 }
+};
+
+// Charged for models without a price while a cost budget is set (the dearest model above), so
+// naming a model missing from the table doesn't get around the budget
+export const FALLBACK_PRICING = { input: 30, output: 60 };
+
+/**
+ * Prices for a model: an exact entry, or the longest entry the name starts with
+ * (so dated versions and -latest aliases share their family's price). Null when unknown
+ */
+export function getModelPricing(model = '', overrides = readPricingOverrides()) {
+  const pricing = { ...MODEL_PRICING, ...overrides };
+  if (pricing[model]) return pricing[model];
+
+  const family = Object.keys(pricing)
+    .filter(name => model.startsWith(name))
+    .sort((a, b) => b.length - a.length)[0];
+  return family ? pricing[family] : null;
+}
+
+/**
+ * Prices set in AI_MODEL_PRICING, e.g. {"llama3.1": {"input": 0, "output": 0}}
+ */
+function readPricingOverrides() {
+  if (typeof process === 'undefined' || !process.env.AI_MODEL_PRICING) return {};
+  try {
+    return JSON.parse(process.env.AI_MODEL_PRICING);
+  } catch {
+    console.warn('[ModelPricing] AI_MODEL_PRICING is not valid JSON; using the built-in prices');
+    return {};
+  }
+}
+
+/**
+ * Cost in USD of a number of tokens at the given prices
+ */
+export function priceTokens(pricing, promptTokens, completionTokens) {
+  return (promptTokens * pricing.input + completionTokens * pricing.output) / 1e6;
+}
+
+/**
+ * Estimated cost in USD, or null for models without a price (local and mock models cost nothing)
+ */
+export function estimateCost(model, promptTokens, completionTokens, provider) {
+  if (provider === 'local' || provider === 'mock') return 0;
+  const pricing = getModelPricing(model);
+  if (!pricing) return null;
+  return priceTokens(pricing, promptTokens, completionTokens);
+}
@@ -0,0 +1,263 @@
+/**
+ * Provider Adapters - Server-side request and response mapping for each AI provider
+ * (OpenAI, Anthropic, and a local OpenAI-compatible server such as Ollama, llama.cpp or vLLM)
+ * Every adapter turns the chat request into the provider's API call and its replies into the
+ * OpenAI chat completion shape, so clients read one format whichever provider answered
+ * Adapters with send() answer requests themselves instead of returning one for the route to fetch
+ */
+
+import { createMockResponse } from './mockProvider.js';
+
+const encoder = new TextEncoder();
+
+// How long to wait for a server's model list
+const MODEL_LIST_TIMEOUT_MS = 5000;
+
+/**
+ * Rewrite a server-sent event stream: onEvent(data, emit) is called with each parsed data payload
+ * and emits OpenAI-style chunks. The result ends with data: [DONE] like an OpenAI stream
+ */
+function transformEventStream(body, onEvent) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  const handleLine = (line, controller) => {
+    if (!line.startsWith('data:')) return;
+    try {
+      onEvent(JSON.parse(line.slice(5).trim()), (chunk) => {
+        controller.enqueue(encoder.encode(`data: ${JSON.stringify(chunk)}\n\n`));
+      });
+    } catch (e) {
+      // Skip invalid JSON
+    }
+  };
+
+  return body.pipeThrough(new TransformStream({
+    transform(value, controller) {
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop(); // Keep incomplete line in buffer
+      lines.forEach(line => handleLine(line, controller));
+    },
+    flush(controller) {
+      handleLine(buffer, controller);
+      controller.enqueue(encoder.encode('data: [DONE]\n\n'));
+    }
+  }));
+}
+
+/**
+ * Anthropic takes system prompts separately and needs user and assistant turns to alternate
+ */
+function toAnthropicMessages(messages) {
+  const system = messages.filter(message => message.role === 'system').map(message => message.content);
+  const turns = [];
+
+  for (const message of messages) {
+    if (message.role === 'system') continue;
+    const last = turns[turns.length - 1];
+    if (last?.role === message.role) {
+      last.content += `\n\n${message.content}`;
+    } else {
+      turns.push({ role: message.role, content: message.content });
+    }
+  }
+
+  return { system: system.length > 0 ? system.join('\n\n') : undefined, messages: turns };
+}
+
+const ANTHROPIC_STOP_REASONS = {
+  end_turn: 'stop',
+  stop_sequence: 'stop',
+  max_tokens: 'length',
+  tool_use: 'tool_calls'
+};
+
+/**
+ * Adapter for a server speaking the OpenAI chat completions API
+ * baseUrl() is the API root including /v1; apiKey() may return nothing for servers without auth
+ * streamUsage asks for token usage at the end of streams (not every compatible server accepts it)
+ */
+function openAICompatible({ name, baseUrl, apiKey, configError, streamUsage = false }) {
+  const authHeaders = () => (apiKey() ? { 'Authorization': `Bearer ${apiKey()}` } : {});
+
+  return {
+    name,
+    configError,
+    request: ({ messages, model, temperature, maxTokens, stream }) => ({
+      url: `${baseUrl()}/chat/completions`,
+      headers: {
+        ...authHeaders(),
+        'Content-Type': 'application/json'
+      },
+      body: {
+        model,
+        messages,
+        temperature,
+        max_tokens: maxTokens,
+        stream,
+        ...(stream && streamUsage ? { stream_options: { include_usage: true } } : {})
+      }
+    }),
+    // Already in the client's format
+    parseResponse: (data) => data,
+    normalizeStream: (body) => body,
+    listModels: async () => {
+      const response = await fetch(`${baseUrl()}/models`, {
+        headers: authHeaders(),
+        signal: AbortSignal.timeout(MODEL_LIST_TIMEOUT_MS)
+      });
+      if (!response.ok) {
+        throw new Error(`${name} model list failed: ${response.status}`);
+      }
+      const data = await response.json();
+      return (data.data || []).map(model => model.id).sort();
+    }
+  };
+}
+
+/**
+ * Base URL of the local OpenAI-compatible server, without a trailing slash
+ */
+function localBaseUrl() {
+  return (process.env.LOCAL_AI_BASE_URL || '').replace(/\/+$/, '');
+}
+
+/**
+ * Models listed in LOCAL_AI_MODELS (comma separated), if any
+ */
+function configuredLocalModels() {
+  return (process.env.LOCAL_AI_MODELS || '').split(',').map(model => model.trim()).filter(Boolean);
+}
+
+const openAIKey = () => process.env.OPENAI_KEY || process.env.OPENAI_API_KEY;
+
+const localAdapter = openAICompatible({
+  name: 'Local',
+  baseUrl: localBaseUrl,
+  apiKey: () => process.env.LOCAL_AI_API_KEY,
+  configError: () => (localBaseUrl() ? null : 'No local model server configured on server (LOCAL_AI_BASE_URL)')
+});
+
+const ADAPTERS = {
+  openai: openAICompatible({
+    name: 'OpenAI',
+    baseUrl: () => 'https://api.openai.com/v1',
+    apiKey: openAIKey,
+    configError: () => (openAIKey() ? null : 'No OpenAI API key configured on server'),
+    streamUsage: true
+  }),
+
+  anthropic: {
+    name: 'Anthropic',
+    configError: () => (process.env.ANTHROPIC_API_KEY ? null : 'No Anthropic API key configured on server'),
+    request: ({ messages, model, temperature, maxTokens, stream }) => ({
+      url: 'https://api.anthropic.com/v1/messages',
+      headers: {
+        'x-api-key': process.env.ANTHROPIC_API_KEY,
+        'Content-Type': 'application/json',
+        'anthropic-version': '2023-06-01'
+      },
+      body: {
+        model,
+        ...toAnthropicMessages(messages),
+        max_tokens: maxTokens,
+        temperature: Math.min(temperature, 1), // Anthropic accepts 0-1
+        stream
+      }
+    }),
+    parseResponse: (data) => ({
+      id: data.id,
+      model: data.model,
+      choices: [{
+        index: 0,
+        message: {
+          role: 'assistant',
+          content: (data.content || []).filter(block => block.type === 'text').map(block => block.text).join('')
+        },
+        finish_reason: ANTHROPIC_STOP_REASONS[data.stop_reason] || data.stop_reason
+      }],
+      usage: {
+        prompt_tokens: data.usage?.input_tokens || 0,
+        completion_tokens: data.usage?.output_tokens || 0,
+        total_tokens: (data.usage?.input_tokens || 0) + (data.usage?.output_tokens || 0)
+      }
+    }),
+    normalizeStream: (body) => {
+      let promptTokens = 0;
+      return transformEventStream(body, (event, emit) => {
+        if (event.type === 'message_start') {
+          promptTokens = event.message?.usage?.input_tokens || 0;
+        } else if (event.type === 'content_block_delta' && event.delta?.type === 'text_delta') {
+          emit({ choices: [{ index: 0, delta: { content: event.delta.text }, finish_reason: null }] });
+        } else if (event.type === 'message_delta') {
+          const completionTokens = event.usage?.output_tokens || 0;
+          emit({
+            choices: [{
+              index: 0,
+              delta: {},
+              finish_reason: ANTHROPIC_STOP_REASONS[event.delta?.stop_reason] || event.delta?.stop_reason || null
+            }],
+            usage: {
+              prompt_tokens: promptTokens,
+              completion_tokens: completionTokens,
+              total_tokens: promptTokens + completionTokens
+            }
+          });
+        } else if (event.type === 'error') {
+          emit({ error: { message: event.error?.message || 'Unknown error', type: event.error?.type } });
+        }
+      });
+    }
+  },
+
+  local: {
+    ...localAdapter,
+    // The configured list wins; otherwise ask the server what it has loaded
+    listModels: async () => {
+      const configured = configuredLocalModels();
+      return configured.length > 0 ? configured : localAdapter.listModels();
+    }
+  },
+
+  // Scripted replies for tests and offline demos (see mockProvider.js)
+  mock: {
+    name: 'Mock',
+    configError: () => (process.env.AI_PROVIDER === 'mock' ? null : 'The mock provider is only available with AI_PROVIDER=mock'),
+    send: (params, signal) => createMockResponse(params, signal),
+    parseResponse: (data) => data,
+    normalizeStream: (body) => body
+  }
+};
+
+/**
+ * Provider serving a model, for requests that don't name one
+ * Local models have arbitrary names, so requests for them must name the provider
+ */
+export function providerForModel(model = '') {
+  return model.startsWith('claude') ? 'anthropic' : 'openai';
+}
+
+/**
+ * Provider that answers a request: AI_PROVIDER, when set, overrides the request's choice
+ */
+export function resolveProvider(provider, model) {
+  return process.env.AI_PROVIDER || provider || providerForModel(model);
+}
+
+/**
+ * Whether each provider is configured on the server: [{ key, name, configured, error? }]
+ */
+export function getProviderStatus() {
+  return Object.entries(ADAPTERS).map(([key, adapter]) => {
+    const error = adapter.configError();
+    return error ? { key, name: adapter.name, configured: false, error } : { key, name: adapter.name, configured: true };
+  });
+}
+
+/**
+ * Adapter for a provider, or null if there is none
+ */
+export function getProviderAdapter(provider) {
+  return ADAPTERS[provider] || null;
+}
@@ -1,15 +1,60 @@
 /**
  * Rate Limiter - Manages API request limits and prevents abuse
+ * Counts requests per minute, hour and day, and the tokens and estimated cost used per day.
+ * /api/ai-chat enforces the limits per client on the server; the browser instance only advises
  */
 
-class RateLimiter {
-  constructor() {
-    this.requests = new Map(); // userId -> request history
-    this.limits = {
-      perMinute: 20,
-      perHour: 100,
-      perDay: 500
-    };
+import { FALLBACK_PRICING, estimateCost, priceTokens } from './modelPricing.js';
+
+// tokensPerDay and costPerDay (USD) are unlimited when null
+const DEFAULT_LIMITS = {
+  perMinute: 20,
+  perHour: 100,
+  perDay: 500,
+  tokensPerDay: null,
+  costPerDay: null
+};
+
+const LIMIT_ENV_VARS = {
+  perMinute: 'AI_RATE_LIMIT_PER_MINUTE',
+  perHour: 'AI_RATE_LIMIT_PER_HOUR',
+  perDay: 'AI_RATE_LIMIT_PER_DAY',
+  tokensPerDay: 'AI_TOKEN_LIMIT_PER_DAY',
+  costPerDay: 'AI_COST_LIMIT_PER_DAY'
+};
+
+/**
+ * Limits set in the environment (AI_RATE_LIMIT_PER_MINUTE, _PER_HOUR, _PER_DAY, AI_TOKEN_LIMIT_PER_DAY
+ * and AI_COST_LIMIT_PER_DAY in USD); unset or invalid ones keep their default
+ */
+export function getLimitsFromEnv(env = process.env) {
+  const limits = { ...DEFAULT_LIMITS };
+  for (const [key, name] of Object.entries(LIMIT_ENV_VARS)) {
+    const value = key === 'costPerDay' ? parseFloat(env[name]) : parseInt(env[name]);
+    if (value > 0) limits[key] = value;
+  }
+  return limits;
+}
+
+/**
+ * Add up usage entries
+ */
+function sumUsage(entries) {
+  return entries.reduce((totals, entry) => ({
+    requests: totals.requests + 1,
+    promptTokens: totals.promptTokens + entry.promptTokens,
+    completionTokens: totals.completionTokens + entry.completionTokens,
+    totalTokens: totals.totalTokens + entry.promptTokens + entry.completionTokens,
+    cost: totals.cost + (entry.cost || 0)
+  }), { requests: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, cost: 0 });
+}
+
+export class RateLimiter {
+  constructor(limits = {}) {
+    this.requests = new Map(); // userId -> request history, oldest first
+    this.usage = new Map(); // userId -> token usage of the last day, oldest first
+    this.lastSweep = Date.now();
+    this.limits = { ...DEFAULT_LIMITS, ...limits };
     this.windows = {
       minute: 60 * 1000,
       hour: 60 * 60 * 1000,
@@ -19,8 +64,10 @@ class RateLimiter {
 
   /**
    * Check if request is allowed for user
+   * options.promptTokens (the estimated size of the request) counts against the daily budgets,
+   * priced for options.model and options.provider
    */
-  isAllowed(userId = 'anonymous') {
+  isAllowed(userId = 'anonymous', options = {}) {
     const now = Date.now();
     const userRequests = this.getUserRequests(userId);
     
@@ -49,6 +96,11 @@ class RateLimiter {
       }
     }
 
+    const overBudget = this.checkBudget(userId, now, options);
+    if (overBudget) {
+      return overBudget;
+    }
+
     return {
       allowed: true,
       remaining: {
@@ -59,6 +111,166 @@ class RateLimiter {
     };
   }
 
+  /**
+   * Check the daily token and cost budgets; returns the refusal, or null when within budget
+   */
+  checkBudget(userId, now, { promptTokens = 0, model, provider } = {}) {
+    const entries = this.getUserUsage(userId, now);
+    const totals = sumUsage(entries);
+    // Budget frees up as the oldest usage of the day expires
+    const resetTime = (entries.length > 0 ? entries[0].time : now) + this.windows.day;
+
+    if (this.limits.tokensPerDay && totals.totalTokens + promptTokens > this.limits.tokensPerDay) {
+      return {
+        allowed: false,
+        reason: `Token budget exceeded: ${this.limits.tokensPerDay} tokens per day (${totals.totalTokens} used, this request needs about ${promptTokens})`,
+        resetTime,
+        remaining: 0
+      };
+    }
+
+    const promptCost = model ? this.priceUsage(model, provider, promptTokens, 0).cost : 0;
+    if (this.limits.costPerDay && (totals.cost >= this.limits.costPerDay || totals.cost + promptCost > this.limits.costPerDay)) {
+      return {
+        allowed: false,
+        reason: `Cost budget exceeded: $${this.limits.costPerDay} per day`,
+        resetTime,
+        remaining: 0
+      };
+    }
+    return null;
+  }
+
+  /**
+   * Estimated cost of tokens on a model: { cost, unpriced }
+   * Models without a price cost null, or the fallback price while a cost budget is set
+   */
+  priceUsage(model, provider, promptTokens, completionTokens) {
+    const cost = estimateCost(model, promptTokens, completionTokens, provider);
+    if (cost === null && this.limits.costPerDay) {
+      return { cost: priceTokens(FALLBACK_PRICING, promptTokens, completionTokens), unpriced: true };
+    }
+    return { cost, unpriced: cost === null };
+  }
+
+  /**
+   * Record the tokens a request used
+   * usage: { model, provider, promptTokens, completionTokens, estimated } where estimated marks counts
+   * that were estimated locally because the provider didn't report them. Returns the stored entry
+   */
+  recordUsage(userId = 'anonymous', { model, provider, promptTokens, completionTokens, estimated = false }) {
+    const now = Date.now();
+    const entry = {
+      time: now,
+      model,
+      provider,
+      promptTokens,
+      completionTokens,
+      ...this.priceUsage(model, provider, promptTokens, completionTokens),
+      estimated
+    };
+    if (!this.usage.has(userId)) {
+      this.usage.set(userId, []);
+    }
+    this.getUserUsage(userId, now).push(entry);
+    return entry;
+  }
+
+  /**
+   * Hold a request's estimated prompt tokens against the budgets while it runs, so requests
+   * made in parallel can't all pass the budget check. Returns the entry for settleUsage/releaseUsage
+   */
+  reserveUsage(userId = 'anonymous', { model, provider, promptTokens }) {
+    return this.recordUsage(userId, { model, provider, promptTokens, completionTokens: 0, estimated: true });
+  }
+
+  /**
+   * Replace a reservation with the tokens the request actually used
+   */
+  settleUsage(entry, { promptTokens, completionTokens, estimated = false }) {
+    Object.assign(entry, {
+      promptTokens,
+      completionTokens,
+      ...this.priceUsage(entry.model, entry.provider, promptTokens, completionTokens),
+      estimated
+    });
+    return entry;
+  }
+
+  /**
+   * Drop a reservation for a request the provider never answered
+   */
+  releaseUsage(userId, entry) {
+    const entries = this.getUserUsage(userId);
+    const index = entries.indexOf(entry);
+    if (index !== -1) entries.splice(index, 1);
+  }
+
+  /**
+   * Usage of the last day, with old entries dropped
+   */
+  getUserUsage(userId, now = Date.now()) {
+    const entries = this.usage.get(userId) || [];
+    const firstKept = entries.findIndex(entry => now - entry.time < this.windows.day);
+    entries.splice(0, firstKept === -1 ? entries.length : firstKept);
+    return entries;
+  }
+
+  /**
+   * Token and cost summary of the last day, for the usage dashboard
+   * Returns the totals ({ requests, promptTokens, completionTokens, totalTokens, cost }) with
+   * byModel (the same totals per model), unpricedRequests (models without a known price, which
+   * cost nothing or the fallback price while a cost budget is set),
+   * estimatedRequests (token counts estimated locally), limits and what remains of them
+   */
+  getUsageSummary(userId = 'anonymous') {
+    const entries = this.getUserUsage(userId);
+    const totals = sumUsage(entries);
+
+    const models = [...new Set(entries.map(entry => entry.model))];
+    const byModel = models.map(model => ({
+      model,
+      ...sumUsage(entries.filter(entry => entry.model === model))
+    })).sort((a, b) => b.totalTokens - a.totalTokens);
+
+    return {
+      ...totals,
+      byModel,
+      unpricedRequests: entries.filter(entry => entry.unpriced).length,
+      estimatedRequests: entries.filter(entry => entry.estimated).length,
+      limits: { tokensPerDay: this.limits.tokensPerDay, costPerDay: this.limits.costPerDay },
+      remainingTokens: this.limits.tokensPerDay ? Math.max(0, this.limits.tokensPerDay - totals.totalTokens) : null,
+      remainingCost: this.limits.costPerDay ? Math.max(0, this.limits.costPerDay - totals.cost) : null
+    };
+  }
+
+  /**
+   * The window closest to its limit, for X-RateLimit-* headers
+   * Returns { window, limit, remaining, resetTime } where resetTime is when the oldest request
+   * in the window expires (or a full window from now when it is empty)
+   */
+  getQuota(userId = 'anonymous') {
+    const now = Date.now();
+    const userRequests = this.getUserRequests(userId);
+    this.cleanOldRequests(userRequests, now);
+
+    const quotas = [
+      { window: 'minute', limit: this.limits.perMinute, duration: this.windows.minute },
+      { window: 'hour', limit: this.limits.perHour, duration: this.windows.hour },
+      { window: 'day', limit: this.limits.perDay, duration: this.windows.day }
+    ].map(({ window, limit, duration }) => {
+      const recent = userRequests.filter(timestamp => now - timestamp < duration);
+      return {
+        window,
+        limit,
+        remaining: Math.max(0, limit - recent.length),
+        resetTime: (recent.length > 0 ? recent[0] : now) + duration
+      };
+    });
+
+    return quotas.reduce((tightest, quota) => (quota.remaining < tightest.remaining ? quota : tightest));
+  }
+
   /**
    * Record a request for user
    */
@@ -73,28 +285,48 @@ class RateLimiter {
     if (userRequests.length % 10 === 0) {
       this.cleanOldRequests(userRequests, now);
     }
+    if (now - this.lastSweep > this.windows.minute) {
+      this.sweep(now);
+    }
   }
 
   /**
-   * Get user request history
+   * Get user request history (an empty one, not yet stored, for new users)
    */
   getUserRequests(userId) {
-    if (!this.requests.has(userId)) {
-      this.requests.set(userId, []);
+    return this.requests.get(userId) || [];
+  }
+
+  /**
+   * Forget users with no requests or usage left in the last day, so memory only grows with
+   * the number of recently active users
+   */
+  sweep(now = Date.now()) {
+    for (const [userId, userRequests] of this.requests) {
+      if (this.cleanOldRequests(userRequests, now).length === 0) {
+        this.requests.delete(userId);
+      }
+    }
+    for (const userId of this.usage.keys()) {
+      if (this.getUserUsage(userId, now).length === 0) {
+        this.usage.delete(userId);
+      }
     }
-    return this.requests.get(userId);
+    this.lastSweep = now;
   }
 
   /**
    * Clean old requests outside all windows
+   * Removes them from the history in place, so the stored history stays bounded
    */
   cleanOldRequests(userRequests, now) {
     const maxWindow = Math.max(...Object.values(this.windows));
     const cutoff = now - maxWindow;
     
-    // Remove requests older than the longest window
-    const filtered = userRequests.filter(timestamp => timestamp > cutoff);
-    return filtered;
+    // Remove requests older than the longest window (the history is in time order)
+    const firstKept = userRequests.findIndex(timestamp => timestamp > cutoff);
+    userRequests.splice(0, firstKept === -1 ? userRequests.length : firstKept);
+    return userRequests;
   }
 
   /**
@@ -132,6 +364,7 @@ class RateLimiter {
    */
   resetUser(userId) {
     this.requests.delete(userId);
+    this.usage.delete(userId);
   }
 
   /**
@@ -139,6 +372,7 @@ class RateLimiter {
    */
   clear() {
     this.requests.clear();
+    this.usage.clear();
   }
 }
 
@@ -0,0 +1,151 @@
+/**
+ * Server Rate Limiter - The limiter the API routes enforce, and how they identify clients
+ * Requests and usage are kept in memory for the life of the server process
+ */
+
+import { createHmac, randomBytes, randomUUID, timingSafeEqual } from 'crypto';
+import { RateLimiter, getLimitsFromEnv } from './rateLimiter.js';
+
+// Cookie that identifies a browser session when the client's IP address can't be trusted
+const SESSION_COOKIE = 'latex-editor-ai-session';
+const SESSION_MAX_AGE_SECONDS = 365 * 24 * 60 * 60;
+
+// Kept on globalThis so every route (and hot reloads in development) share one instance
+const rateLimiter = globalThis.__latexEditorRateLimiter
+  || (globalThis.__latexEditorRateLimiter = new RateLimiter(getLimitsFromEnv()));
+
+export default rateLimiter;
+
+/**
+ * Key for signing session cookies; without AI_SESSION_SECRET one is made per server process, so
+ * sessions start over when the server restarts
+ */
+function getSessionSecret() {
+  return process.env.AI_SESSION_SECRET
+    || globalThis.__latexEditorSessionSecret
+    || (globalThis.__latexEditorSessionSecret = randomBytes(32).toString('hex'));
+}
+
+function signSession(id) {
+  return createHmac('sha256', getSessionSecret()).update(id).digest('base64url');
+}
+
+/**
+ * The session id from the request's session cookie, or null when it is missing or not signed by us
+ */
+function readSession(request) {
+  const match = (request.headers.get('cookie') || '').match(new RegExp(`(?:^|;\\s*)${SESSION_COOKIE}=([^;]+)`));
+  if (!match) return null;
+
+  const [id, signature = ''] = match[1].split('.');
+  const expected = signSession(id);
+  return signature.length === expected.length && timingSafeEqual(Buffer.from(signature), Buffer.from(expected))
+    ? id
+    : null;
+}
+
+/**
+ * Identify the client: by IP address when proxies in front of the server report it, otherwise by
+ * a signed session cookie (route handlers can't see the socket address)
+ * Each proxy appends the address it received the request from to X-Forwarded-For, so with
+ * AI_TRUSTED_PROXY_HOPS proxies the client is that many entries from the right; anything further
+ * left was sent by the client. Returns { id, headers }, where headers sets the cookie of a new session
+ */
+export function identifyClient(request) {
+  const hops = parseInt(process.env.AI_TRUSTED_PROXY_HOPS) || 0;
+  if (hops > 0) {
+    const forwarded = (request.headers.get('x-forwarded-for') || '')
+      .split(',')
+      .map(entry => entry.trim())
+      .filter(Boolean);
+    const ip = forwarded.length > 0
+      ? forwarded[Math.max(0, forwarded.length - hops)]
+      : request.headers.get('x-real-ip');
+    return { id: `ip:${ip || 'unknown'}`, headers: {} };
+  }
+
+  const session = readSession(request);
+  if (session) {
+    return { id: `session:${session}`, headers: {} };
+  }
+
+  const id = randomUUID();
+  const secure = new URL(request.url).protocol === 'https:' ? '; Secure' : '';
+  return {
+    id: `session:${id}`,
+    headers: {
+      'Set-Cookie': `${SESSION_COOKIE}=${id}.${signSession(id)}; Path=/api; Max-Age=${SESSION_MAX_AGE_SECONDS}; HttpOnly; SameSite=Lax${secure}`
+    }
+  };
+}
+
+/**
+ * X-RateLimit-* headers for the window closest to its limit (reset is in Unix seconds)
+ */
+export function rateLimitHeaders(quota) {
+  return {
+    'X-RateLimit-Limit': String(quota.limit),
+    'X-RateLimit-Remaining': String(quota.remaining),
+    'X-RateLimit-Reset': String(Math.ceil(quota.resetTime / 1000)),
+    'X-RateLimit-Window': quota.window
+  };
+}
+
+/**
+ * Pass an OpenAI-style event stream through unchanged, watching it for the reply text and the
+ * usage the provider reports. onEnd({ text, usage }) is called once, when the stream ends, fails
+ * or is cancelled by the client; usage is null if the provider never sent it
+ */
+export function meterStream(body, onEnd) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let text = '';
+  let usage = null;
+  let ended = false;
+
+  const scan = (line) => {
+    if (!line.startsWith('data:')) return;
+    const data = line.slice(5).trim();
+    if (data === '[DONE]') return;
+    try {
+      const parsed = JSON.parse(data);
+      if (parsed.usage) usage = parsed.usage;
+      text += parsed.choices?.[0]?.delta?.content || '';
+    } catch (e) {
+      // Skip invalid JSON
+    }
+  };
+
+  const end = () => {
+    if (ended) return;
+    ended = true;
+    onEnd({ text, usage });
+  };
+
+  return new ReadableStream({
+    async pull(controller) {
+      try {
+        const { done, value } = await reader.read();
+        if (done) {
+          scan(buffer);
+          end();
+          controller.close();
+          return;
+        }
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop(); // Keep incomplete line in buffer
+        lines.forEach(scan);
+        controller.enqueue(value);
+      } catch (error) {
+        end();
+        controller.error(error);
+      }
+    },
+    cancel(reason) {
+      end();
+      return reader.cancel(reason);
+    }
+  });
+}
@@ -0,0 +1,99 @@
+/**
+ * Chat History
+ * Turns the chat's messages into the conversation sent with the next request: assistant edits are
+ * summarized instead of resent in full, and the oldest turns are dropped to stay within a token budget
+ */
+
+// Tokens of earlier conversation sent with each request (the document itself is sent separately)
+export const HISTORY_TOKEN_BUDGET = 3000;
+
+// Longest excerpt of an edit's new text kept in its summary
+const EXCERPT_LENGTH = 160;
+
+const FENCED_BLOCK = /```[\w-]*\n[\s\S]*?(?:```|$)/g;
+
+const REVIEW_OUTCOMES = {
+  accepted: 'accepted by the user',
+  rejected: 'rejected by the user',
+  failed: 'could not be applied',
+  pending: 'not reviewed yet'
+};
+
+/**
+ * Rough token count (about four characters per token)
+ */
+export function estimateTokens(text) {
+  return Math.ceil(text.length / 4);
+}
+
+/**
+ * What happened to the n-th change of an assistant message
+ */
+function describeOutcome(message, index) {
+  if (message.review) {
+    return REVIEW_OUTCOMES[message.hunkStatuses?.[index]] || REVIEW_OUTCOMES.pending;
+  }
+  return message.autoApplied ? 'applied' : 'not applied';
+}
+
+/**
+ * One line describing a change: where it was, what it put there and whether it went in
+ */
+function summarizeChange(message, change, index) {
+  const lastLine = change.line + Math.max(change.before.length, 1) - 1;
+  const where = change.description || (change.line
+    ? `${change.operation} line${lastLine > change.line ? `s ${change.line}-${lastLine}` : ` ${change.line}`}`
+    : change.operation);
+
+  const newText = change.after.join(' ').replace(/\s+/g, ' ').trim();
+  const excerpt = newText.length > EXCERPT_LENGTH ? `${newText.slice(0, EXCERPT_LENGTH)}...` : newText;
+
+  return `${index + 1}. ${where}${excerpt ? `: "${excerpt}"` : ''} (${describeOutcome(message, index)})`;
+}
+
+/**
+ * Condense an assistant message: its explanation without code blocks, plus a list of its edits
+ */
+export function summarizeAssistantMessage(message) {
+  const text = (message.content || '').replace(FENCED_BLOCK, '').replace(/\n{3,}/g, '\n\n').trim();
+  const lines = text ? [text] : [];
+
+  if (message.changes?.length > 0) {
+    lines.push(`[Edits I proposed:\n${message.changes.map((change, index) => summarizeChange(message, change, index)).join('\n')}]`);
+  } else if (message.documentUpdated) {
+    lines.push('[I replaced the whole document]');
+  }
+  if (message.rejected?.length > 0) {
+    lines.push(`[Edits that could not be placed: ${message.rejected.map(entry => entry.reason).join('; ')}]`);
+  }
+
+  return lines.join('\n\n');
+}
+
+/**
+ * Build the conversation to send before a new question
+ * Error and still-streaming messages are left out; the newest messages that fit the budget are kept,
+ * and the result always starts with a user message
+ */
+export function buildHistory(messages, budget = HISTORY_TOKEN_BUDGET) {
+  const turns = messages
+    .filter(message => !message.isError && !message.isStreaming)
+    .map(message => ({
+      role: message.role,
+      content: message.role === 'assistant' ? summarizeAssistantMessage(message) : message.content
+    }))
+    .filter(turn => turn.content);
+
+  const kept = [];
+  let used = 0;
+  for (let i = turns.length - 1; i >= 0; i--) {
+    used += estimateTokens(turns[i].content);
+    if (used > budget) break;
+    kept.unshift(turns[i]);
+  }
+
+  while (kept.length > 0 && kept[0].role !== 'user') {
+    kept.shift();
+  }
+  return kept;
+}
@@ -0,0 +1,40 @@
+/**
+ * Bibliography Detection
+ * Decides whether a project needs a BibTeX or Biber pass between LaTeX runs
+ */
+
+/**
+ * Remove LaTeX comments so commented-out \bibliography commands are ignored
+ */
+function stripComments(source) {
+  return source
+    .split('\n')
+    .map(line => line.replace(/(^|[^\\])%.*$/, '$1'))
+    .join('\n');
+}
+
+/**
+ * Detect the bibliography tool a project needs: 'biber', 'bibtex' or null
+ * - biblatex (\addbibresource) uses Biber unless loaded with backend=bibtex
+ * - classic \bibliography{...} uses BibTeX
+ */
+export function detectBibliographyTool(files) {
+  const sources = files
+    .filter(file => /\.tex$/i.test(file.path) && file.encoding !== 'base64')
+    .map(file => stripComments(file.content))
+    .join('\n');
+
+  if (/\\addbibresource\s*(\[[^\]]*\])?\s*\{/.test(sources)) {
+    const biblatexOptions = sources.match(/\\usepackage\s*\[([^\]]*)\]\s*\{biblatex\}/);
+    if (biblatexOptions && /backend\s*=\s*bibtex/.test(biblatexOptions[1])) {
+      return 'bibtex';
+    }
+    return 'biber';
+  }
+
+  if (/\\bibliography\s*\{/.test(sources)) {
+    return 'bibtex';
+  }
+
+  return null;
+}
@@ -0,0 +1,32 @@
+/**
+ * LaTeX Compiler Registry
+ * Selects the compile backend used by /api/latex (LATEX_COMPILER env var)
+ */
+
+import texliveCompiler from './texliveCompiler.js';
+import localCompiler from './localCompiler.js';
+
+const compilers = new Map([
+  [texliveCompiler.name, texliveCompiler],
+  [localCompiler.name, localCompiler]
+]);
+
+export const DEFAULT_COMPILER = 'texlive';
+
+/**
+ * Get the configured compiler backend
+ */
+export function getCompiler(name = process.env.LATEX_COMPILER || DEFAULT_COMPILER) {
+  const compiler = compilers.get(name);
+  if (!compiler) {
+    throw new Error(`Unknown LaTeX compiler "${name}" (available: ${[...compilers.keys()].join(', ')})`);
+  }
+  return compiler;
+}
+
+/**
+ * List registered compiler backends
+ */
+export function getCompilers() {
+  return Array.from(compilers.values()).map(({ name, description }) => ({ name, description }));
+}
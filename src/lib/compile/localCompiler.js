@@ -0,0 +1,279 @@
+/**
+ * Local TeX Compiler Backend
+ * Runs an installed latexmk or TeX engine inside a throwaway temp directory
+ */
+
+import { spawn } from 'child_process';
+import { mkdtemp, mkdir, writeFile, readFile, rm, stat, open } from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { detectBibliographyTool } from './bibliography.js';
+import { normalizePath } from '../project.js';
+
+const SUPPORTED_COMMANDS = ['latexmk', 'engine'];
+
+// latexmk switches that select each engine
+const LATEXMK_ENGINE_FLAGS = {
+  pdflatex: '-pdf',
+  xelatex: '-pdfxe',
+  lualatex: '-pdflua'
+};
+
+/**
+ * Read local compiler settings from the environment
+ * An engine name (LATEX_LOCAL_COMMAND=pdflatex, as accepted before engine selection) still works:
+ * it means "engine" with that engine for every document
+ */
+function getLocalConfig() {
+  let command = process.env.LATEX_LOCAL_COMMAND || 'latexmk';
+  let engine = null;
+  if (Object.hasOwn(LATEXMK_ENGINE_FLAGS, command)) {
+    engine = command;
+    command = 'engine';
+  }
+  if (!SUPPORTED_COMMANDS.includes(command)) {
+    throw new Error(`Unsupported LATEX_LOCAL_COMMAND "${command}" (expected ${SUPPORTED_COMMANDS.join(' or ')})`);
+  }
+
+  return {
+    command,
+    engine,
+    binDir: process.env.LATEX_BIN_DIR || '',
+    timeoutMs: parseInt(process.env.LATEX_COMPILE_TIMEOUT_MS) || 60 * 1000,
+    maxPdfBytes: parseInt(process.env.LATEX_MAX_PDF_BYTES) || 20 * 1024 * 1024,
+    maxLogBytes: parseInt(process.env.LATEX_MAX_LOG_BYTES) || 1024 * 1024
+  };
+}
+
+/**
+ * Name of the files TeX writes for the main file (main.log, main.aux, main.pdf, ...)
+ * They go to the directory it runs in, the project root, even when the main file is in a subfolder
+ */
+function jobName(mainFile) {
+  return path.basename(mainFile).replace(/\.tex$/, '');
+}
+
+/**
+ * Plan the processes to run for the configured tool, engine and bibliography tool
+ * latexmk works out the latex/bibtex/biber sequence itself; otherwise we run
+ * latex -> bibtex/biber -> latex -> latex
+ * File arguments start with ./ so a name beginning with - is never read as an option
+ */
+function planPasses(config, engine, mainFile, bibTool) {
+  const executable = (binary) => config.binDir ? path.join(config.binDir, binary) : binary;
+  const mainArg = `./${mainFile}`;
+
+  if (config.command === 'latexmk') {
+    return [{
+      executable: executable('latexmk'),
+      // -norc: never run a latexmkrc (it is Perl) from the system, the user or the project
+      args: ['-norc', LATEXMK_ENGINE_FLAGS[engine], '-interaction=nonstopmode', '-halt-on-error', '-no-shell-escape', mainArg]
+    }];
+  }
+
+  const latexPass = {
+    executable: executable(engine),
+    args: ['-interaction=nonstopmode', '-halt-on-error', '-no-shell-escape', mainArg]
+  };
+
+  if (!bibTool) {
+    return [latexPass];
+  }
+
+  return [
+    latexPass,
+    // A failing bibliography run should not stop the remaining passes; its log explains why
+    { executable: executable(bibTool), args: [`./${jobName(mainFile)}`], bibliography: true },
+    latexPass,
+    latexPass
+  ];
+}
+
+/**
+ * Resolve a project-relative path inside the work directory, refusing anything that escapes it
+ * and the hidden and rc files normalizePath rejects
+ */
+function resolveInside(workDir, filePath) {
+  const target = path.resolve(workDir, normalizePath(filePath));
+  if (path.isAbsolute(filePath) || !target.startsWith(workDir + path.sep)) {
+    throw new Error(`Invalid file path: ${filePath}`);
+  }
+  return target;
+}
+
+/**
+ * Run a process with a wall-clock timeout and a cap on captured output
+ */
+function runProcess(executable, args, { cwd, timeoutMs, maxOutputBytes }) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(executable, args, {
+      cwd,
+      // Own process group so the timeout also kills latexmk's children
+      detached: true,
+      stdio: ['ignore', 'pipe', 'pipe'],
+      env: {
+        ...process.env,
+        // kpathsea "paranoid" mode: no reading/writing outside the work directory
+        openin_any: 'p',
+        openout_any: 'p',
+        shell_escape: 'f',
+        TEXMFOUTPUT: cwd
+      }
+    });
+
+    const chunks = [];
+    let outputBytes = 0;
+    let truncated = false;
+    let timedOut = false;
+
+    // Keep at most maxOutputBytes bytes of output; the rest is dropped as it arrives
+    const collect = (data) => {
+      if (truncated) return;
+      const room = maxOutputBytes - outputBytes;
+      if (data.length > room) {
+        chunks.push(data.subarray(0, room));
+        outputBytes = maxOutputBytes;
+        truncated = true;
+        return;
+      }
+      chunks.push(data);
+      outputBytes += data.length;
+    };
+
+    child.stdout.on('data', collect);
+    child.stderr.on('data', collect);
+
+    const timer = setTimeout(() => {
+      timedOut = true;
+      try {
+        process.kill(-child.pid, 'SIGKILL');
+      } catch {
+        child.kill('SIGKILL');
+      }
+    }, timeoutMs);
+
+    child.on('error', (error) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+
+    child.on('close', (code) => {
+      clearTimeout(timer);
+      resolve({ code, output: Buffer.concat(chunks).toString('utf8'), truncated, timedOut });
+    });
+  });
+}
+
+/**
+ * Read a text file, capped at maxBytes (only that much is read); returns '' if it does not exist
+ */
+async function readCapped(filePath, maxBytes) {
+  let handle;
+  try {
+    handle = await open(filePath, 'r');
+  } catch {
+    return '';
+  }
+
+  try {
+    // One byte more than the cap tells whether the file was longer
+    const buffer = Buffer.alloc(maxBytes + 1);
+    const { bytesRead } = await handle.read(buffer, 0, buffer.length, 0);
+    const text = buffer.subarray(0, Math.min(bytesRead, maxBytes)).toString('utf8');
+    return bytesRead > maxBytes ? text + '\n[log truncated]' : text;
+  } catch {
+    return '';
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Compile files with a locally installed TeX distribution
+ */
+async function compile({ files, mainFile, engine }) {
+  const config = getLocalConfig();
+  const workDir = await mkdtemp(path.join(os.tmpdir(), 'latex-compile-'));
+
+  try {
+    for (const file of files) {
+      const target = resolveInside(workDir, file.path);
+      await mkdir(path.dirname(target), { recursive: true });
+      await writeFile(target, file.encoding === 'base64' ? Buffer.from(file.content, 'base64') : file.content);
+    }
+
+    const bibTool = detectBibliographyTool(files);
+    const passes = planPasses(config, config.engine || engine, mainFile, bibTool);
+    const deadline = Date.now() + config.timeoutMs;
+
+    let result;
+    let failedPass = null;
+    for (const pass of passes) {
+      console.log('[LocalCompiler] Running', pass.executable, pass.args.join(' '), 'in', workDir);
+      try {
+        result = await runProcess(pass.executable, pass.args, {
+          cwd: workDir,
+          timeoutMs: Math.max(deadline - Date.now(), 0),
+          maxOutputBytes: config.maxLogBytes
+        });
+      } catch (error) {
+        const hint = error.code === 'ENOENT' ? ` (is ${path.basename(pass.executable)} installed and on PATH?)` : '';
+        return { success: false, log: `Failed to run ${pass.executable}: ${error.message}${hint}` };
+      }
+
+      if (result.timedOut) break;
+      if (result.code !== 0 && !pass.bibliography) {
+        failedPass = pass;
+        break;
+      }
+    }
+
+    const baseName = jobName(mainFile);
+    const latexLog = await readCapped(path.join(workDir, `${baseName}.log`), config.maxLogBytes) || result.output;
+
+    // Append the BibTeX/Biber log so its errors show up in the diagnostics
+    const bibLog = bibTool ? await readCapped(path.join(workDir, `${baseName}.blg`), config.maxLogBytes) : '';
+    const logText = bibLog ? `${latexLog}\n\n**** ${bibTool} log (${baseName}.blg) ****\n${bibLog}` : latexLog;
+
+    if (result.timedOut) {
+      return {
+        success: false,
+        log: `Compilation timed out after ${config.timeoutMs} ms\n\n${logText}`
+      };
+    }
+
+    const pdfPath = path.join(workDir, `${baseName}.pdf`);
+    const pdfStat = await stat(pdfPath).catch(() => null);
+
+    if (failedPass || !pdfStat) {
+      const command = path.basename((failedPass || passes[passes.length - 1]).executable);
+      return { success: false, log: logText || `${command} exited with code ${result.code}` };
+    }
+
+    if (pdfStat.size > config.maxPdfBytes) {
+      return {
+        success: false,
+        log: `Output PDF is ${pdfStat.size} bytes, which exceeds the ${config.maxPdfBytes} byte limit`
+      };
+    }
+
+    return {
+      success: true,
+      pdf: await readFile(pdfPath),
+      log: logText
+    };
+  } finally {
+    await rm(workDir, { recursive: true, force: true }).catch((error) => {
+      console.error('[LocalCompiler] Failed to clean up', workDir, error);
+    });
+  }
+}
+
+const localCompiler = {
+  name: 'local',
+  description: 'Locally installed TeX distribution',
+  providesLog: true,
+  compile
+};
+
+export default localCompiler;
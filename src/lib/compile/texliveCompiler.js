@@ -0,0 +1,83 @@
+/**
+ * texlive.net Compiler Backend
+ * Sends the document to the public latexcgi service and returns the PDF
+ */
+
+const TEXLIVE_ENDPOINT = 'https://texlive.net/cgi-bin/latexcgi';
+
+/**
+ * Build the latexcgi multipart/form-data body
+ */
+function buildFormData(files, engine, returnType) {
+  const formData = new FormData();
+  for (const file of files) {
+    if (file.encoding === 'base64') continue;
+    formData.append('filename[]', file.path);
+    formData.append('filecontents[]', file.content);
+  }
+  formData.append('engine', engine);
+  formData.append('return', returnType);
+  return formData;
+}
+
+/**
+ * Compile files with texlive.net using its multipart/form-data format
+ * latexcgi drives the engine through latexmk, so BibTeX/Biber passes happen upstream
+ */
+async function compile({ files, engine }) {
+  const endpoint = process.env.LATEX_TEXLIVE_URL || TEXLIVE_ENDPOINT;
+
+  // latexcgi only takes text file contents, so binary assets cannot be sent
+  const skipped = files.filter(file => file.encoding === 'base64').map(file => file.path);
+  const note = skipped.length > 0
+    ? `Note: texlive.net only accepts text files; not uploaded: ${skipped.join(', ')}\n\n`
+    : '';
+  const result = await compileText(endpoint, files, engine);
+  return { ...result, log: note + result.log };
+}
+
+/**
+ * Compile the text files of a project
+ * latexcgi answers with either the PDF or the log, never both, so successful compiles come
+ * back without a log (asking again for it would compile the whole project a second time)
+ */
+async function compileText(endpoint, files, engine) {
+  const upstream = await fetch(endpoint, {
+    method: 'POST',
+    body: buildFormData(files, engine, 'pdf'),
+  });
+
+  const contentType = upstream.headers.get('content-type') || '';
+
+  if (!upstream.ok) {
+    const logText = await upstream.text();
+    return {
+      success: false,
+      log: logText || `Compile failed (status ${upstream.status})`
+    };
+  }
+
+  if (contentType.includes('application/pdf')) {
+    return {
+      success: true,
+      pdf: Buffer.from(await upstream.arrayBuffer()),
+      log: ''
+    };
+  }
+
+  // If not PDF, it's probably an error log
+  return {
+    success: false,
+    log: await upstream.text()
+  };
+}
+
+const texliveCompiler = {
+  name: 'texlive',
+  description: 'texlive.net remote service',
+  // Successful compiles come back without a log, so there are no warnings to show
+  providesLog: false,
+  compile
+};
+
+export default texliveCompiler;
@@ -0,0 +1,131 @@
+/**
+ * Compile and Fix
+ * Agent loop that compiles the project, asks the model to fix the reported errors with latex-diff
+ * edits, and recompiles until the document builds, no progress is made or the limit is reached
+ */
+
+import { parseLatexLog } from './latexLog.js';
+import { getDocument, getDocumentPath } from './simpleAgent.js';
+
+export const DEFAULT_MAX_FIX_ITERATIONS = 3;
+export const MAX_FIX_ITERATIONS_LIMIT = 10;
+
+// Source lines shown around each error, and how many errors go into one request
+const CONTEXT_LINES = 3;
+const MAX_ERRORS_PER_REQUEST = 5;
+
+export const FIX_OUTCOMES = {
+  compiled: 'The document compiles.',
+  limit: 'Stopped: reached the iteration limit with errors remaining.',
+  stuck: 'Stopped: the same errors came back after the last fix.',
+  'not-applied': 'Stopped: the proposed fixes could not be applied.',
+  'other-files': 'Stopped: the remaining errors are in other files. Open the file to let the agent fix it.',
+  'no-errors': 'Stopped: compilation failed without errors the agent can fix.',
+  stopped: 'Stopped by you.'
+};
+
+/**
+ * LaTeX errors from a compile log
+ */
+export function getCompileErrors(log) {
+  return parseLatexLog(log).filter(diagnostic => diagnostic.severity === 'error');
+}
+
+/**
+ * Whether an error belongs to the file being edited (errors without a file are assumed to)
+ */
+function isInFile(error, path) {
+  return !error.file || error.file === path;
+}
+
+/**
+ * Identify a set of errors independently of line numbers, which shift as fixes are applied
+ */
+function errorSignature(errors) {
+  return errors.map(error => `${error.file || ''}: ${error.message}`).sort().join('\n');
+}
+
+/**
+ * One-line summary of errors for the chat
+ */
+export function describeErrors(errors) {
+  const shown = errors.slice(0, 3).map(error => `${error.message}${error.line ? ` (line ${error.line})` : ''}`);
+  const more = errors.length > shown.length ? `, and ${errors.length - shown.length} more` : '';
+  return `${errors.length} error${errors.length !== 1 ? 's' : ''}: ${shown.join('; ')}${more}`;
+}
+
+/**
+ * Build the request asking the model to fix errors, with the source lines around each one
+ */
+export function buildFixRequest(errors, content, path) {
+  const lines = content.split('\n');
+  const described = errors.slice(0, MAX_ERRORS_PER_REQUEST).map((error, index) => {
+    const parts = [`${index + 1}. ${error.message}${error.line ? ` at line ${error.line}` : ''}`];
+    if (error.context) parts.push(`   TeX stopped at: ${error.context}`);
+    if (error.line) {
+      const start = Math.max(1, error.line - CONTEXT_LINES);
+      const end = Math.min(lines.length, error.line + CONTEXT_LINES);
+      for (let n = start; n <= end; n++) {
+        parts.push(`${n === error.line ? '>' : ' '}${String(n).padStart(4, ' ')}: ${lines[n - 1]}`);
+      }
+    }
+    return parts.join('\n');
+  });
+
+  return `The document ${path} fails to compile. Fix these LaTeX errors with latex-diff edits, changing only what is needed:
+
+${described.join('\n\n')}
+
+If an error is caused by a missing package, add the \\usepackage line to the preamble.`;
+}
+
+/**
+ * Run the compile-and-fix loop
+ * compile() resolves to { ok, log }; requestFix(request, { iteration, errors }) asks the model for fixes
+ * and resolves to the askAI result (with stopped set when the user stopped it). Edits are made to the
+ * file open in the agent.
+ * Returns { status, iterations, errors } where status is a key of FIX_OUTCOMES
+ */
+export async function runCompileFixLoop({ compile, requestFix, maxIterations = DEFAULT_MAX_FIX_ITERATIONS }) {
+  let previousSignature = null;
+
+  for (let iteration = 0; ; iteration++) {
+    const { ok, log } = await compile();
+    if (ok) {
+      return { status: 'compiled', iterations: iteration, errors: [] };
+    }
+
+    const errors = getCompileErrors(log);
+    console.log('[CompileFix] Iteration', iteration, 'found', errors.length, 'errors');
+    if (errors.length === 0) {
+      return { status: 'no-errors', iterations: iteration, errors };
+    }
+
+    const signature = errorSignature(errors);
+    if (signature === previousSignature) {
+      return { status: 'stuck', iterations: iteration, errors };
+    }
+    if (iteration >= maxIterations) {
+      return { status: 'limit', iterations: iteration, errors };
+    }
+
+    const path = getDocumentPath();
+    const fixable = errors.filter(error => isInFile(error, path));
+    if (fixable.length === 0) {
+      return { status: 'other-files', iterations: iteration, errors };
+    }
+
+    const result = await requestFix(buildFixRequest(fixable, getDocument(), path), {
+      iteration: iteration + 1,
+      errors: fixable
+    });
+    if (result?.stopped) {
+      return { status: 'stopped', iterations: iteration + 1, errors };
+    }
+    if (!result?.documentUpdated) {
+      return { status: 'not-applied', iterations: iteration + 1, errors };
+    }
+
+    previousSignature = signature;
+  }
+}
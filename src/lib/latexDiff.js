@@ -3,6 +3,114 @@
  * Handles parsing AI responses with selective edit operations
  */
 
+import { diffLineBlock } from './textDiff.js';
+import { isStructuralOperation, compileStructuralBlock } from './latexOutline.js';
+
+// Marks the optional expected-original-content section at the top of a diff block
+const ORIGINAL_MARKER = /^---\s*original\s*$/i;
+const ORIGINAL_SEPARATOR = '+++';
+
+// Search/replace blocks address text by content instead of line number
+const SEARCH_MARKER = '<<<<<<< SEARCH';
+const SEARCH_SEPARATOR = '=======';
+const REPLACE_MARKER = '>>>>>>> REPLACE';
+
+// key:value, where the value may be quoted to hold spaces; only the first colon separates key and value
+const METADATA_PAIR = /([\w-]+):(?:"([^"]*)"|'([^']*)'|(\S*))/g;
+
+/**
+ * Parse "key:value key:value" diff metadata
+ * Unquoted numbers become numbers: line:10 gives 10, label:eq:main gives "eq:main", section:"Related Work"
+ * gives "Related Work"
+ */
+function parseMetadata(metadataStr) {
+  const metadata = {};
+  
+  for (const [, key, doubleQuoted, singleQuoted, bare] of metadataStr.matchAll(METADATA_PAIR)) {
+    if (bare !== undefined) {
+      metadata[key] = /^\d+$/.test(bare) ? parseInt(bare) : bare;
+    } else {
+      metadata[key] = doubleQuoted !== undefined ? doubleQuoted : singleQuoted;
+    }
+  }
+  
+  return metadata;
+}
+
+/**
+ * Split a diff block body into the expected original lines (null when absent) and the new content
+ */
+function splitDiffBody(code) {
+  const lines = code.split('\n');
+  if (!ORIGINAL_MARKER.test(lines[0].trim())) {
+    return { original: null, insert: code };
+  }
+
+  const separator = lines.findIndex((line, index) => index > 0 && line.trim() === ORIGINAL_SEPARATOR);
+  if (separator === -1) {
+    // Deletes have nothing to insert, so the separator may be left out
+    const original = lines.slice(1);
+    if (original.length > 0 && original[original.length - 1] === '') original.pop();
+    return { original, insert: '' };
+  }
+
+  return {
+    original: lines.slice(1, separator),
+    insert: lines.slice(separator + 1).join('\n')
+  };
+}
+
+/**
+ * Split a latex-diff block body into its SEARCH/REPLACE pairs
+ * complete is false for a pair whose REPLACE marker hasn't arrived yet (while streaming)
+ */
+function parseSearchReplaceBody(body) {
+  const pairs = [];
+  let current = null;
+  let section = null;
+
+  for (const line of body.split('\n')) {
+    const marker = line.trim();
+    if (marker === SEARCH_MARKER) {
+      current = { search: [], replace: [], complete: false };
+      pairs.push(current);
+      section = 'search';
+    } else if (!current) {
+      continue;
+    } else if (marker === SEARCH_SEPARATOR && section === 'search') {
+      section = 'replace';
+    } else if (marker === REPLACE_MARKER && section === 'replace') {
+      current.complete = true;
+      current = null;
+    } else {
+      current[section].push(line);
+    }
+  }
+
+  return pairs.map(pair => ({
+    search: pair.search.join('\n'),
+    replace: pair.replace.join('\n'),
+    complete: pair.complete
+  }));
+}
+
+/**
+ * Build the diff block for a SEARCH/REPLACE pair
+ * It has no line number until resolveLatexDiffs (or applyLatexDiffs) finds the search text
+ */
+function createSearchReplaceBlock(pair, raw) {
+  return {
+    operation: 'search-replace',
+    line: null,
+    deleteCount: 0,
+    search: pair.search,
+    insertContent: pair.replace, // not trimmed: indentation is part of the replacement
+    original: null,
+    metadata: {},
+    raw
+  };
+}
+
 /**
  * Parse a LaTeX diff block with metadata
  * Expected format:
@@ -10,6 +118,34 @@
  * @@ operation:replace line:10 delete:3 @@
  * new content here
  * ```
+ *
+ * The body may start with the lines the edit expects to find, which are verified before applying:
+ * ```latex-diff
+ * @@ operation:replace line:10 delete:1 @@
+ * --- original
+ * old line 10
+ * +++
+ * new content here
+ * ```
+ * For replace/delete the original lines are the ones being removed; for add they are the lines
+ * directly above the insertion point.
+ *
+ * Structural operations address the document by section title or label instead of line number
+ * (see latexOutline.js) and are compiled to line edits when they are resolved:
+ * ```latex-diff
+ * @@ operation:replace-section section:"Results" @@
+ * new body of the section
+ * ```
+ * Also move-section (section, before|after), insert-after (label|section) and wrap (environment, line, delete).
+ *
+ * A block can instead hold one or more search/replace pairs, located by their text:
+ * ```latex-diff
+ * <<<<<<< SEARCH
+ * exact existing text
+ * =======
+ * new text
+ * >>>>>>> REPLACE
+ * ```
  */
 export function parseLatexDiff(content) {
   const diffBlocks = [];
@@ -26,24 +162,21 @@ export function parseLatexDiff(content) {
       fullMatch: match[0]
     });
     
-    // Parse metadata
-    const metadata = {};
-    const metadataPairs = metadataStr.split(/\s+/);
+    const metadata = parseMetadata(metadataStr);
+    const { original, insert } = splitDiffBody(code);
     
-    for (const pair of metadataPairs) {
-      const [key, value] = pair.split(':');
-      if (key && value !== undefined) {
-        metadata[key] = isNaN(value) ? value : parseInt(value);
-      }
-    }
-    
-    // Validate required fields
-    if (!metadata.operation || metadata.line === undefined) {
+    // Validate required fields; structural operations are addressed without a line number
+    if (!metadata.operation || (metadata.line === undefined && !isStructuralOperation(metadata.operation))) {
       console.warn('Invalid diff block metadata:', metadataStr);
       console.warn('Full match:', match[0]);
       continue;
     }
     
+    // The original lines are authoritative for how many lines a replace/delete removes
+    if (original && original.length > 0 && metadata.operation !== 'add') {
+      metadata.delete = original.length;
+    }
+    
     // Special handling for delete operations
     if (metadata.operation === 'delete' && !metadata.delete) {
       console.warn('Delete operation missing delete count, defaulting to 1');
@@ -51,27 +184,282 @@ export function parseLatexDiff(content) {
     }
     
     diffBlocks.push({
-      operation: metadata.operation, // 'add', 'replace', 'delete'
-      line: metadata.line, // 1-based line number
+      operation: metadata.operation, // 'add', 'replace', 'delete' or a structural operation
+      line: metadata.line ?? null, // 1-based line number
       deleteCount: metadata.delete || (metadata.operation === 'delete' ? 1 : 0), // number of lines to delete
-      insertContent: code.trim(),
+      insertContent: insert.trim(),
+      original: original && original.length > 0 ? original : null, // expected lines, verified by resolveLatexDiffs
       metadata: metadata,
       raw: match[0]
     });
   }
+
+  const searchBlockRegex = /```latex-diff\s*\n(\s*<<<<<<< SEARCH[\s\S]*?)```/g;
+  while ((match = searchBlockRegex.exec(content)) !== null) {
+    for (const pair of parseSearchReplaceBody(match[1])) {
+      if (!pair.complete) {
+        console.warn('[LatexDiff] Search/replace block is missing its REPLACE marker:', match[0]);
+        continue;
+      }
+      diffBlocks.push(createSearchReplaceBlock(pair, match[0]));
+    }
+  }
   
   return diffBlocks;
 }
 
+/**
+ * Escape a string for use in a regular expression
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Find the only occurrence of search text in the content
+ * Tries an exact match first, then one where runs of whitespace may differ
+ * Returns { start, end, match } (character offsets) or { error }
+ */
+function locateSearchText(content, search) {
+  if (!search.trim()) {
+    return { error: 'search text is empty' };
+  }
+
+  const exact = [];
+  for (let index = content.indexOf(search); index !== -1; index = content.indexOf(search, index + 1)) {
+    exact.push({ start: index, end: index + search.length });
+  }
+
+  let found = exact;
+  let match = 'exact';
+  if (found.length === 0) {
+    const pattern = new RegExp(search.trim().split(/\s+/).map(escapeRegExp).join('\\s+'), 'g');
+    found = [...content.matchAll(pattern)].map(m => ({ start: m.index, end: m.index + m[0].length }));
+    match = 'whitespace';
+  }
+
+  const preview = search.trim().split('\n')[0];
+  if (found.length === 0) {
+    return { error: `search text "${preview}" was not found in the document` };
+  }
+  if (found.length > 1) {
+    return { error: `search text "${preview}" is ambiguous (found ${found.length} times); include more surrounding text` };
+  }
+  return { ...found[0], match };
+}
+
+/**
+ * Turn a search/replace block into a line replace covering the matched text
+ * Text before and after the match on its first and last line is kept
+ * Returns { block } or { error }
+ */
+function resolveSearchReplace(content, block) {
+  const location = locateSearchText(content, block.search);
+  if (location.error) return { error: location.error };
+
+  const lineStart = location.start === 0 ? 0 : content.lastIndexOf('\n', location.start - 1) + 1;
+  const nextNewline = content.indexOf('\n', location.end);
+  const lineEnd = nextNewline === -1 ? content.length : nextNewline;
+
+  const prefix = content.slice(lineStart, location.start);
+  const suffix = content.slice(location.end, lineEnd);
+
+  return {
+    block: {
+      ...block,
+      operation: 'replace',
+      line: content.slice(0, lineStart).split('\n').length,
+      deleteCount: content.slice(lineStart, lineEnd).split('\n').length,
+      insertContent: prefix + block.insertContent + suffix,
+      searchReplace: true,
+      anchorMatch: location.match
+    }
+  };
+}
+
+/**
+ * Check whether a block is addressed by text or structure and needs resolving to a line block
+ */
+function isAddressedBlock(block) {
+  return block.operation === 'search-replace' || isStructuralOperation(block.operation);
+}
+
+/**
+ * Turn a search/replace or structural block into a line block; line blocks are returned as they are
+ * Returns { block } or { error }
+ */
+function resolveAddressedBlock(content, block) {
+  if (block.operation === 'search-replace') return resolveSearchReplace(content, block);
+  if (isStructuralOperation(block.operation)) return compileStructuralBlock(content, block);
+  return { block };
+}
+
+/**
+ * Collapse whitespace so indentation and spacing differences don't break anchors
+ */
+function normalizeWhitespace(line) {
+  return line.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Find where an anchor's lines are in the document
+ * Tries the stated position first, then the nearest match elsewhere; exact matches win over
+ * whitespace-insensitive ones. Returns { start, match } or { error }
+ */
+function locateAnchor(lines, anchor, expectedStart) {
+  const strategies = [
+    { match: 'exact', normalize: line => line },
+    { match: 'whitespace', normalize: normalizeWhitespace }
+  ];
+
+  for (const { match, normalize } of strategies) {
+    const target = anchor.map(normalize);
+    const fitsAt = start => start >= 0 &&
+      start + target.length <= lines.length &&
+      target.every((line, i) => normalize(lines[start + i]) === line);
+
+    if (fitsAt(expectedStart)) {
+      return { start: expectedStart, match };
+    }
+
+    const candidates = [];
+    for (let start = 0; start + target.length <= lines.length; start++) {
+      if (fitsAt(start)) candidates.push(start);
+    }
+    if (candidates.length === 0) continue;
+
+    const distance = start => Math.abs(start - expectedStart);
+    candidates.sort((a, b) => distance(a) - distance(b));
+    if (candidates.length > 1 && distance(candidates[0]) === distance(candidates[1])) {
+      return {
+        error: `expected content matches lines ${candidates[0] + 1} and ${candidates[1] + 1} equally well`
+      };
+    }
+    return { start: candidates[0], match };
+  }
+
+  const preview = anchor.find(line => line.trim()) || anchor[0];
+  return { error: `expected content "${preview.trim()}" was not found in the document` };
+}
+
+/**
+ * Verify diff blocks that carry original lines against the current content
+ * Blocks whose lines moved are relocated (relocatedFrom holds the stated line); blocks whose
+ * original lines can't be found are rejected instead of being applied to the wrong lines.
+ * Search/replace blocks become line replaces, or are rejected when their text is missing or ambiguous;
+ * structural blocks are compiled against the outline, or rejected when their section or label isn't found.
+ * Blocks without original lines are passed through unchanged.
+ * Returns { resolved: [blocks], rejected: [{ block, reason }] }
+ */
+export function resolveLatexDiffs(content, diffBlocks) {
+  const lines = content.split('\n');
+  const resolved = [];
+  const rejected = [];
+
+  for (const diffBlock of diffBlocks) {
+    const addressed = resolveAddressedBlock(content, diffBlock);
+    if (addressed.error) {
+      console.warn('[LatexDiff] Rejected', diffBlock.operation + ':', addressed.error);
+      rejected.push({ block: diffBlock, reason: addressed.error });
+      continue;
+    }
+    const { block } = addressed;
+
+    if (!block.original) {
+      resolved.push(block);
+      continue;
+    }
+
+    // For add the anchor sits directly above the insertion point
+    const isAdd = block.operation === 'add';
+    const expectedStart = isAdd ? block.line - 1 - block.original.length : block.line - 1;
+    const location = locateAnchor(lines, block.original, expectedStart);
+
+    if (location.error) {
+      console.warn('[LatexDiff] Rejected', block.operation, 'at line', block.line + ':', location.error);
+      rejected.push({ block: diffBlock, reason: location.error });
+      continue;
+    }
+
+    const line = isAdd ? location.start + block.original.length + 1 : location.start + 1;
+    if (line !== block.line) {
+      console.log('[LatexDiff] Relocated', block.operation, 'from line', block.line, 'to', line);
+    }
+    resolved.push({
+      ...block,
+      line,
+      relocatedFrom: line !== block.line ? block.line : undefined,
+      anchorMatch: location.match
+    });
+  }
+
+  return { resolved, rejected };
+}
+
+/**
+ * Attach the lines a block currently targets as its original lines, so it can be verified
+ * (and relocated) when it is applied later, e.g. after other edits have shifted the document
+ */
+export function anchorDiffBlock(content, block) {
+  if (block.original || isAddressedBlock(block)) return block;
+
+  const lines = content.split('\n');
+  const start = block.line - 1;
+  if (block.operation === 'add') {
+    const above = lines.slice(Math.max(0, start - 2), start);
+    return above.length > 0 ? { ...block, original: above } : block;
+  }
+  return { ...block, original: lines.slice(start, start + (block.deleteCount || 1)) };
+}
+
+/**
+ * Net number of lines a block adds to the document (negative when it removes lines)
+ */
+export function getLineDelta(block) {
+  const inserted = block.insertContent ? block.insertContent.split('\n').length : 0;
+  switch (block.operation) {
+    case 'add':
+      return inserted;
+    case 'replace':
+      return inserted - (block.deleteCount || 1);
+    case 'delete':
+      return -(block.deleteCount || 1);
+    default:
+      return 0;
+  }
+}
+
+/**
+ * Resolve search/replace and structural blocks in the content, throwing when one can't be placed
+ */
+function toLineBlocks(content, diffBlocks) {
+  return diffBlocks.map(block => {
+    const result = resolveAddressedBlock(content, block);
+    if (result.error) {
+      const kind = block.operation === 'search-replace' ? 'search/replace' : block.operation;
+      throw new Error(`Cannot apply ${kind} edit: ${result.error}`);
+    }
+    return result.block;
+  });
+}
+
 /**
  * Apply diff blocks to LaTeX content
+ * The batch is all or nothing: throws without applying anything if a search/replace block's text
+ * is missing or ambiguous, a structural block's target isn't found, or validateDiffBatch finds a problem
  */
 export function applyLatexDiffs(originalContent, diffBlocks) {
   const lines = originalContent.split('\n');
+  const lineBlocks = toLineBlocks(originalContent, diffBlocks);
+  
+  const { valid, issues } = validateDiffBatch(originalContent, lineBlocks);
+  if (!valid) {
+    throw new Error(`Cannot apply diff blocks: ${issues.map(issue => issue.message).join('; ')}`);
+  }
   
   // Sort diff blocks by line number (descending) to apply from bottom up
   // This prevents line number shifts from affecting subsequent operations
-  const sortedBlocks = [...diffBlocks].sort((a, b) => b.line - a.line);
+  const sortedBlocks = lineBlocks.sort((a, b) => b.line - a.line);
   
   for (const block of sortedBlocks) {
     const { operation, line, deleteCount, insertContent } = block;
@@ -108,15 +496,48 @@ export function applyLatexDiffs(originalContent, diffBlocks) {
   return lines.join('\n');
 }
 
+// Inline diffs of recent previews; a streaming preview is rebuilt on every chunk, and diffing a
+// long replacement word by word is too slow to repeat that often
+const INLINE_CACHE_SIZE = 50;
+const inlineCache = new Map();
+
+/**
+ * diffLineBlock, remembering recent results
+ */
+function cachedLineBlockDiff(before, after) {
+  const key = `${before.join('\n')}\u0000${after.join('\n')}`;
+  if (inlineCache.has(key)) return inlineCache.get(key);
+
+  const inline = diffLineBlock(before, after);
+  inlineCache.set(key, inline);
+  if (inlineCache.size > INLINE_CACHE_SIZE) {
+    inlineCache.delete(inlineCache.keys().next().value);
+  }
+  return inline;
+}
+
 /**
  * Generate a preview of what changes would be made
+ * Search/replace and structural blocks that can't be placed are listed last with an error and no line number
+ * With options.inline false, replaced lines get no word-level diff (used while a block is still streaming)
  */
-export function previewLatexDiffs(originalContent, diffBlocks) {
+export function previewLatexDiffs(originalContent, diffBlocks, { inline = true } = {}) {
   const lines = originalContent.split('\n');
   const changes = [];
+  const unplaced = [];
+  
+  const lineBlocks = [];
+  for (const block of diffBlocks) {
+    const result = resolveAddressedBlock(originalContent, block);
+    if (result.error) {
+      unplaced.push(unplacedChange(block, result.error, inline));
+    } else {
+      lineBlocks.push(result.block);
+    }
+  }
   
   // Sort by line number for preview
-  const sortedBlocks = [...diffBlocks].sort((a, b) => a.line - b.line);
+  const sortedBlocks = lineBlocks.sort((a, b) => a.line - b.line);
   
   for (const block of sortedBlocks) {
     const { operation, line, deleteCount, insertContent } = block;
@@ -125,6 +546,8 @@ export function previewLatexDiffs(originalContent, diffBlocks) {
     const change = {
       operation,
       line,
+      relocatedFrom: block.relocatedFrom,
+      description: block.description,
       before: [],
       after: [],
       context: {
@@ -141,6 +564,9 @@ export function previewLatexDiffs(originalContent, diffBlocks) {
       case 'replace':
         change.before = lines.slice(zeroBasedLine, zeroBasedLine + (deleteCount || 1));
         change.after = insertContent ? insertContent.split('\n') : [];
+        if (inline) {
+          change.inline = cachedLineBlockDiff(change.before, change.after);
+        }
         break;
         
       case 'delete':
@@ -151,14 +577,31 @@ export function previewLatexDiffs(originalContent, diffBlocks) {
     changes.push(change);
   }
   
-  return changes;
+  return [...changes, ...unplaced];
+}
+
+/**
+ * Preview entry for a search/replace or structural block that has no line number (yet)
+ */
+function unplacedChange(block, error, inline = true) {
+  const before = block.search ? block.search.split('\n') : block.original || [];
+  const after = block.insertContent ? block.insertContent.split('\n') : [];
+  return {
+    operation: block.operation === 'search-replace' ? 'replace' : block.operation,
+    line: null,
+    before,
+    after,
+    inline: inline ? cachedLineBlockDiff(before, after) : undefined,
+    context: { before: [], after: [] },
+    error
+  };
 }
 
 /**
  * Check if content contains LaTeX diff blocks
  */
 export function hasLatexDiffs(content) {
-  return /```latex-diff\s*\n@@.*?@@/g.test(content);
+  return /```latex-diff\s*\n(?:@@.*?@@|\s*<<<<<<< SEARCH)/.test(content);
 }
 
 /**
@@ -177,25 +620,32 @@ export function parseStreamingDiff(content) {
     const metadataStr = match[1];
     const code = match[2];
     
-    // Parse metadata
-    const metadata = {};
-    const metadataPairs = metadataStr.split(/\s+/);
-    
-    for (const pair of metadataPairs) {
-      const [key, value] = pair.split(':');
-      if (key && value !== undefined) {
-        metadata[key] = isNaN(value) ? value : parseInt(value);
-      }
-    }
+    const metadata = parseMetadata(metadataStr);
+    const { original, insert } = splitDiffBody(code);
     
     // Create a diff block for streaming
-    if (metadata.operation && metadata.line) {
+    if (metadata.operation && (metadata.line || isStructuralOperation(metadata.operation))) {
+      const hasOriginal = original && original.length > 0;
       diffBlocks.push({
         operation: metadata.operation,
-        line: metadata.line,
-        deleteCount: metadata.delete || 0,
-        insertContent: code.trim(),
+        line: metadata.line || null,
+        deleteCount: hasOriginal && metadata.operation !== 'add' ? original.length : metadata.delete || 0,
+        insertContent: insert.trim(),
+        original: hasOriginal ? original : null,
         metadata: metadata,
+        complete: /\n```$/.test(match[0]),
+        streaming: true,
+        blockIndex: blockIndex++
+      });
+    }
+  }
+
+  const searchBlockRegex = /```latex-diff\s*\n(\s*<<<<<<< SEARCH[\s\S]*?)(?:\n```|$)/g;
+  while ((match = searchBlockRegex.exec(content)) !== null) {
+    for (const pair of parseSearchReplaceBody(match[1])) {
+      diffBlocks.push({
+        ...createSearchReplaceBlock(pair, match[0]),
+        complete: pair.complete,
         streaming: true,
         blockIndex: blockIndex++
       });
@@ -213,15 +663,68 @@ export function parseStreamingDiff(content) {
  * Check if content has streaming latex-diff blocks
  */
 export function hasStreamingLatexDiffs(content) {
-  return /```latex-diff\s*\n@@.*?@@/g.test(content);
+  return /```latex-diff\s*\n(?:@@.*?@@|\s*<<<<<<< SEARCH)/.test(content);
+}
+
+/**
+ * Preview a streaming block against the document the model is editing
+ * Blocks pointing outside the document are marked invalid as soon as their header arrives;
+ * search text is located as it streams and only reported missing once the block is complete.
+ * Word-level diffs wait for the block to close, so they are worked out once rather than per chunk
+ */
+function createDocumentStreamingChange(block, documentContent) {
+  const inline = !!block.complete;
+
+  if (block.operation === 'search-replace') {
+    const result = block.search.trim() ? resolveSearchReplace(documentContent, block) : { error: 'search text is empty' };
+    if (!result.error) {
+      return { ...previewLatexDiffs(documentContent, [result.block], { inline })[0], streaming: true };
+    }
+    return block.complete
+      ? { ...unplacedChange(block, result.error), streaming: true, invalid: true }
+      : { ...unplacedChange(block, undefined, false), streaming: true };
+  }
+
+  // Structural targets are in the header, so a missing section or label is known straight away
+  if (isStructuralOperation(block.operation)) {
+    const result = compileStructuralBlock(documentContent, block);
+    return result.error
+      ? { ...unplacedChange(block, result.error, inline), streaming: true, invalid: true }
+      : { ...previewLatexDiffs(documentContent, [result.block], { inline })[0], streaming: true };
+  }
+
+  const { valid, errors } = validateDiffBlock(documentContent, block);
+  if (!valid) {
+    return {
+      operation: block.operation,
+      line: block.line,
+      before: block.original || [],
+      after: block.insertContent ? block.insertContent.split('\n') : [],
+      context: { before: [], after: [] },
+      streaming: true,
+      invalid: true,
+      error: errors.join('; ')
+    };
+  }
+
+  return { ...previewLatexDiffs(documentContent, [block], { inline })[0], streaming: true };
 }
 
 /**
  * Create preview changes for streaming diff blocks (for git diff UI)
- * This creates a mock preview since we don't have the original document during streaming
+ * With documentContent (the document the model was shown) the preview has the real removed lines
+ * and context; without it, placeholders stand in for them
  */
-export function createStreamingChanges(diffBlocks) {
+export function createStreamingChanges(diffBlocks, documentContent) {
   return diffBlocks.map((block, index) => {
+    if (documentContent !== undefined) {
+      return createDocumentStreamingChange(block, documentContent);
+    }
+
+    if (isAddressedBlock(block)) {
+      return { ...unplacedChange(block, undefined, !!block.complete), streaming: true };
+    }
+
     const change = {
       operation: block.operation,
       line: block.line,
@@ -240,12 +743,12 @@ export function createStreamingChanges(diffBlocks) {
         break;
         
       case 'replace':
-        change.before = [`[${block.deleteCount || 1} line(s) to be replaced]`];
+        change.before = block.original || [`[${block.deleteCount || 1} line(s) to be replaced]`];
         change.after = block.insertContent ? block.insertContent.split('\n') : [];
         break;
         
       case 'delete':
-        change.before = [`[${block.deleteCount || 1} line(s) to be deleted]`];
+        change.before = block.original || [`[${block.deleteCount || 1} line(s) to be deleted]`];
         break;
     }
     
@@ -306,4 +809,82 @@ export function validateDiffBlock(content, diffBlock) {
     valid: errors.length === 0,
     errors
   };
-}
\ No newline at end of file
+}
+
+/**
+ * Lines a block touches: the removed range for replace/delete, the insertion point for add
+ */
+function getBlockRange(block) {
+  if (block.operation === 'add') {
+    return { start: block.line, end: block.line - 1 };
+  }
+  return { start: block.line, end: block.line + (block.deleteCount || 1) - 1 };
+}
+
+/**
+ * Check whether two blocks would interfere when applied together
+ */
+function blocksConflict(a, b) {
+  const rangeA = getBlockRange(a);
+  const rangeB = getBlockRange(b);
+  const isAddA = a.operation === 'add';
+  const isAddB = b.operation === 'add';
+
+  // Two inserts at the same point have no defined order
+  if (isAddA && isAddB) return rangeA.start === rangeB.start;
+
+  // An insert conflicts with a removed range if it lands at its start or inside it
+  if (isAddA) return rangeA.start >= rangeB.start && rangeA.start <= rangeB.end;
+  if (isAddB) return rangeB.start >= rangeA.start && rangeB.start <= rangeA.end;
+
+  return rangeA.start <= rangeB.end && rangeB.start <= rangeA.end;
+}
+
+/**
+ * Validate a batch of line-addressed diff blocks before applying any of them
+ * Detects out-of-range lines, unknown operations, duplicated blocks and blocks whose lines overlap
+ * Returns { valid, issues: [{ type: 'range' | 'operation' | 'duplicate' | 'overlap', index, otherIndex, message }] }
+ * where index/otherIndex are positions in diffBlocks
+ */
+export function validateDiffBatch(content, diffBlocks) {
+  const issues = [];
+
+  diffBlocks.forEach((block, index) => {
+    if (!['add', 'replace', 'delete'].includes(block.operation)) {
+      issues.push({ type: 'operation', index, message: `Unknown operation "${block.operation}"` });
+      return;
+    }
+    for (const error of validateDiffBlock(content, block).errors) {
+      issues.push({ type: 'range', index, message: error });
+    }
+  });
+
+  for (let i = 0; i < diffBlocks.length; i++) {
+    for (let j = i + 1; j < diffBlocks.length; j++) {
+      const a = diffBlocks[i];
+      const b = diffBlocks[j];
+      const isDuplicate = a.operation === b.operation &&
+        a.line === b.line &&
+        (a.deleteCount || 0) === (b.deleteCount || 0) &&
+        a.insertContent === b.insertContent;
+
+      if (isDuplicate) {
+        issues.push({
+          type: 'duplicate',
+          index: j,
+          otherIndex: i,
+          message: `The ${b.operation} at line ${b.line} is repeated`
+        });
+      } else if (blocksConflict(a, b)) {
+        issues.push({
+          type: 'overlap',
+          index: j,
+          otherIndex: i,
+          message: `The ${b.operation} at line ${b.line} overlaps the ${a.operation} at line ${a.line}`
+        });
+      }
+    }
+  }
+
+  return { valid: issues.length === 0, issues };
+}
@@ -0,0 +1,67 @@
+/**
+ * LaTeX Engine Selection
+ * Shared by the compile route and the editor to pick pdfLaTeX, XeLaTeX or LuaLaTeX
+ */
+
+export const ENGINES = [
+  { id: 'pdflatex', label: 'pdfLaTeX' },
+  { id: 'xelatex', label: 'XeLaTeX' },
+  { id: 'lualatex', label: 'LuaLaTeX' }
+];
+
+export const DEFAULT_ENGINE = 'pdflatex';
+
+// Magic comments are only honoured near the top of the file, like TeXShop/TeXstudio do
+const MAGIC_COMMENT_LINES = 20;
+
+const ENGINE_ALIASES = {
+  pdflatex: 'pdflatex',
+  pdftex: 'pdflatex',
+  latex: 'pdflatex',
+  xelatex: 'xelatex',
+  xetex: 'xelatex',
+  lualatex: 'lualatex',
+  luatex: 'lualatex'
+};
+
+/**
+ * Check whether an engine id is supported
+ */
+export function isValidEngine(engine) {
+  return ENGINES.some(e => e.id === engine);
+}
+
+/**
+ * Get the display label for an engine id
+ */
+export function getEngineLabel(engine) {
+  return ENGINES.find(e => e.id === engine)?.label || engine;
+}
+
+/**
+ * Detect the engine from a magic comment such as "% !TEX program = xelatex"
+ * Returns null when there is no (recognised) magic comment
+ */
+export function detectEngine(content) {
+  if (!content) return null;
+
+  const lines = content.split('\n').slice(0, MAGIC_COMMENT_LINES);
+  for (const line of lines) {
+    const match = line.match(/^\s*%\s*!\s*TeX\s+(?:TS-)?program\s*=\s*([\w-]+)/i);
+    if (match) {
+      return ENGINE_ALIASES[match[1].toLowerCase()] || null;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Resolve the engine to compile with: an explicit choice wins, then the magic comment, then the default
+ */
+export function resolveEngine(choice, content) {
+  if (choice && choice !== 'auto' && isValidEngine(choice)) {
+    return choice;
+  }
+  return detectEngine(content) || DEFAULT_ENGINE;
+}
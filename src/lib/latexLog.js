@@ -0,0 +1,355 @@
+/**
+ * LaTeX Log Parser
+ * Turns the raw TeX log returned by /api/latex into structured diagnostics
+ */
+
+// TeX wraps log lines at 79 characters
+const LOG_LINE_WIDTH = 79;
+
+// How far after a "! ..." error line to look for the "l.<n>" location line
+const ERROR_LOOKAHEAD = 12;
+
+const FILE_OPEN_REGEX = /^\(([^\s()[\]{}"]+\.(?:tex|sty|cls|clo|cfg|def|fd|bbl|aux|toc|ltx|bib|bst|out))/;
+
+export const WARNING_CATEGORIES = [
+  { id: 'reference', label: 'Undefined references' },
+  { id: 'citation', label: 'Undefined citations' },
+  { id: 'box', label: 'Overfull/underfull boxes' },
+  { id: 'font', label: 'Font substitutions' },
+  { id: 'bibliography', label: 'Bibliography (BibTeX/Biber)' },
+  { id: 'other', label: 'Other warnings' }
+];
+
+/**
+ * Classify a diagnostic so warnings can be grouped ("??" references, missing citations, ...)
+ */
+function categorize(message) {
+  if (/^(?:Overfull|Underfull) \\[hv]box/.test(message)) return 'box';
+  if (/Citation .* undefined|There were undefined citations|Empty bibliography/i.test(message)) return 'citation';
+  if (/Reference .* undefined|There were undefined references|Label\(s\) may have changed/i.test(message)) return 'reference';
+  if (/Font shape .* undefined|Some font shapes were not available|Missing character|font .* not found/i.test(message)) return 'font';
+  return 'other';
+}
+
+/**
+ * Normalize a file path as it appears in the log ("./chapters/intro.tex" -> "chapters/intro.tex")
+ */
+function normalizeFile(file) {
+  return file ? file.replace(/^\.\//, '') : null;
+}
+
+/**
+ * Re-join lines that TeX hard-wrapped at the log width
+ */
+function unwrapLines(log) {
+  const rawLines = log.replace(/\r\n?/g, '\n').split('\n');
+  const lines = [];
+
+  for (const line of rawLines) {
+    const previous = lines[lines.length - 1];
+    if (previous !== undefined && previous.length === LOG_LINE_WIDTH && !/^[!(]|^l\.\d+/.test(line)) {
+      lines[lines.length - 1] = previous + line;
+    } else {
+      lines.push(line);
+    }
+  }
+
+  return lines;
+}
+
+/**
+ * Track which file TeX is reading by following "(file" / ")" pairs on a line
+ */
+function updateFileStack(line, fileStack) {
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (char === '(') {
+      const match = line.slice(i).match(FILE_OPEN_REGEX);
+      if (match) {
+        fileStack.push(normalizeFile(match[1]));
+        i += match[0].length - 1;
+      } else {
+        // Unrelated parenthesis; keep the stack balanced
+        fileStack.push(null);
+      }
+    } else if (char === ')') {
+      fileStack.pop();
+    }
+  }
+}
+
+/**
+ * Remove the "(file" and ")" tokens TeX mixes into a warning's lines, keeping parentheses that are
+ * part of the message itself
+ */
+function stripFileTokens(text) {
+  let result = '';
+  const opened = []; // true for a "(file", false for a parenthesis in the message
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (char === '(') {
+      const match = text.slice(i).match(FILE_OPEN_REGEX);
+      if (match) {
+        opened.push(true);
+        i += match[0].length - 1;
+        continue;
+      }
+      opened.push(false);
+    } else if (char === ')' && (opened.length === 0 || opened.pop())) {
+      continue;
+    }
+    result += char;
+  }
+  return result.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Get the innermost known file on the stack
+ */
+function currentFile(fileStack) {
+  for (let i = fileStack.length - 1; i >= 0; i--) {
+    if (fileStack[i]) return fileStack[i];
+  }
+  return null;
+}
+
+/**
+ * Collect the continuation lines of a package warning, e.g. "(hyperref)   more text"
+ */
+function collectContinuation(lines, start, packageName) {
+  const parts = [];
+  let i = start;
+  const prefix = `(${packageName})`;
+
+  while (i < lines.length && lines[i].startsWith(prefix)) {
+    parts.push(lines[i].slice(prefix.length).trim());
+    i++;
+  }
+
+  return { text: parts.join(' '), next: i };
+}
+
+/**
+ * Extract the source line number from a warning message ("... on input line 12.")
+ */
+function extractInputLine(message) {
+  const match = message.match(/on input line (\d+)/);
+  return match ? parseInt(match[1]) : null;
+}
+
+/**
+ * Map a file name from a BibTeX/Biber message to a project path
+ * Biber reports its temporary copy, e.g. "/tmp/biber_tmp_x/refs.bib_1234.utf8"
+ */
+function normalizeBibFile(file) {
+  return normalizeFile(file.replace(/_\d+\.utf8$/, '').replace(/^.*\/(?=[^/]+\.bib$)/, ''));
+}
+
+/**
+ * Parse a BibTeX or Biber (.blg) message, returning null for other lines
+ */
+function parseBibliographyLine(line, previousLine) {
+  // BibTeX: 'Warning--I didn't find a database entry for "knuth"'
+  const bibtexWarning = line.match(/^Warning--(.*)$/);
+  if (bibtexWarning) {
+    const message = bibtexWarning[1];
+    return {
+      severity: 'warning',
+      category: /didn't find a database entry/.test(message) ? 'citation' : 'bibliography',
+      file: null,
+      line: null,
+      message: `BibTeX: ${message}`,
+      context: ''
+    };
+  }
+
+  // BibTeX errors carry their location after "---", sometimes on a line of their own
+  const bibtexError = line.match(/^(.*?)---(?:line (\d+) of file (\S+)|while reading file (\S+))/);
+  if (bibtexError) {
+    const message = bibtexError[1].trim() || previousLine.trim();
+    return {
+      severity: 'error',
+      category: 'bibliography',
+      file: normalizeBibFile(bibtexError[3] || bibtexError[4]),
+      line: bibtexError[2] ? parseInt(bibtexError[2]) : null,
+      message: `BibTeX: ${message}`,
+      context: ''
+    };
+  }
+
+  // Biber: "[120] Utils.pm:411> ERROR - BibTeX subsystem: /tmp/.../refs.bib_12.utf8, line 5, syntax error: ..."
+  const biberMessage = line.match(/^(?:\[\d+\] [^>]*> )?(WARN|ERROR) - (.*)$/);
+  if (biberMessage) {
+    const message = biberMessage[2];
+    const location = message.match(/(\S+\.bib(?:_\d+\.utf8)?), line (\d+)/);
+    return {
+      severity: biberMessage[1] === 'ERROR' ? 'error' : 'warning',
+      category: /didn't find a database entry/.test(message) ? 'citation' : 'bibliography',
+      file: location ? normalizeBibFile(location[1]) : null,
+      line: location ? parseInt(location[2]) : null,
+      message: `Biber: ${message}`,
+      context: ''
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Parse a TeX error starting at a "! ..." line
+ */
+function parseError(lines, index, file) {
+  const message = lines[index].slice(2).trim();
+  let line = null;
+  let context = '';
+  let next = index + 1;
+
+  for (let i = index + 1; i < Math.min(lines.length, index + ERROR_LOOKAHEAD); i++) {
+    const locationMatch = lines[i].match(/^l\.(\d+)\s?(.*)$/);
+    if (locationMatch) {
+      line = parseInt(locationMatch[1]);
+      // TeX splits the offending line at the point of the error; the rest is indented to line up
+      const rest = lines[i + 1] ? lines[i + 1].slice(lines[i].length) : '';
+      context = `${locationMatch[2]}${rest}`.trim();
+      next = i + 1;
+      break;
+    }
+    if (lines[i].startsWith('! ')) break;
+  }
+
+  return {
+    diagnostic: { severity: 'error', category: 'error', file, line, message, context },
+    next
+  };
+}
+
+/**
+ * Parse a raw LaTeX log into diagnostics
+ * Each diagnostic: { severity: 'error'|'warning'|'info', category, file, line, message, context }
+ */
+export function parseLatexLog(log) {
+  if (!log) return [];
+
+  const lines = unwrapLines(log);
+  const diagnostics = [];
+  const fileStack = [];
+
+  let i = 0;
+  while (i < lines.length) {
+    const line = lines[i];
+    const file = currentFile(fileStack);
+
+    // Errors in -file-line-error style: "./document.tex:12: Undefined control sequence."
+    const fileLineMatch = line.match(/^(\.?\/?[^:\s]+\.tex):(\d+): (.*)$/);
+    if (fileLineMatch) {
+      const { diagnostic, next } = parseError(['! ' + fileLineMatch[3], ...lines.slice(i + 1)], 0, normalizeFile(fileLineMatch[1]));
+      diagnostic.line = parseInt(fileLineMatch[2]);
+      diagnostics.push(diagnostic);
+      i += Math.max(1, next);
+      continue;
+    }
+
+    // Classic errors: "! Undefined control sequence."
+    if (line.startsWith('! ')) {
+      const { diagnostic, next } = parseError(lines, i, file);
+      diagnostics.push(diagnostic);
+      i = next;
+      continue;
+    }
+
+    // BibTeX/Biber messages (the local compiler appends the .blg to the log)
+    const bibliographyDiagnostic = parseBibliographyLine(line, lines[i - 1] || '');
+    if (bibliographyDiagnostic) {
+      diagnostics.push(bibliographyDiagnostic);
+      i++;
+      continue;
+    }
+
+    // LaTeX / package / class warnings
+    const warningMatch = line.match(/^(?:LaTeX|(?:Package|Class) (\S+)) (Font )?Warning: (.*)$/);
+    if (warningMatch) {
+      const packageName = warningMatch[1];
+      let message = warningMatch[3];
+      let next = i + 1;
+
+      if (packageName) {
+        const continuation = collectContinuation(lines, i + 1, packageName);
+        message = [message, continuation.text].filter(Boolean).join(' ');
+        next = continuation.next;
+      } else if (warningMatch[2]) {
+        const continuation = collectContinuation(lines, i + 1, 'Font');
+        message = [message, continuation.text].filter(Boolean).join(' ');
+        next = continuation.next;
+      } else {
+        // Plain LaTeX warnings continue until a blank line
+        while (next < lines.length && lines[next].trim() && !/^(?:LaTeX|Package|Class|!)/.test(lines[next])) {
+          message += ' ' + lines[next].trim();
+          next++;
+        }
+      }
+
+      // Files opened or closed on the warning's lines still count for what follows
+      for (let j = i; j < next; j++) {
+        updateFileStack(lines[j], fileStack);
+      }
+      message = stripFileTokens(message);
+
+      diagnostics.push({
+        severity: 'warning',
+        category: warningMatch[2] ? 'font' : categorize(message),
+        file,
+        line: extractInputLine(message),
+        message: packageName ? `${packageName}: ${message}` : message,
+        context: ''
+      });
+      i = next;
+      continue;
+    }
+
+    // Overfull / underfull boxes: "Overfull \hbox (12.0pt too wide) in paragraph at lines 20--21"
+    const boxMatch = line.match(/^(Overfull|Underfull) \\[hv]box .*?(?:at lines? (\d+)(?:--\d+)?|has occurred while \\output is active|detected at line (\d+))/);
+    if (boxMatch) {
+      // The typeset material follows as "[]\OT1/cmr/m/n/10 text", which is the most useful excerpt
+      const hasExcerpt = lines[i + 1]?.startsWith('[]');
+      diagnostics.push({
+        severity: boxMatch[1] === 'Overfull' ? 'warning' : 'info',
+        category: 'box',
+        file,
+        line: boxMatch[2] || boxMatch[3] ? parseInt(boxMatch[2] || boxMatch[3]) : null,
+        message: line.trim(),
+        context: hasExcerpt ? lines[i + 1].trim() : ''
+      });
+      i += hasExcerpt ? 2 : 1;
+      continue;
+    }
+
+    updateFileStack(line, fileStack);
+    i++;
+  }
+
+  return diagnostics;
+}
+
+/**
+ * Count diagnostics by severity
+ */
+export function countDiagnostics(diagnostics) {
+  return diagnostics.reduce((counts, diagnostic) => {
+    counts[diagnostic.severity] = (counts[diagnostic.severity] || 0) + 1;
+    return counts;
+  }, { error: 0, warning: 0, info: 0 });
+}
+
+/**
+ * Group diagnostics by warning category, leaving out LaTeX errors
+ * (bibliography errors are kept: they do not stop the PDF from being produced)
+ */
+export function groupWarnings(diagnostics) {
+  const groups = Object.fromEntries(WARNING_CATEGORIES.map(category => [category.id, []]));
+  for (const diagnostic of diagnostics) {
+    if (diagnostic.category !== 'error') {
+      groups[diagnostic.category || 'other'].push(diagnostic);
+    }
+  }
+  return groups;
+}
@@ -0,0 +1,369 @@
+/**
+ * LaTeX Outline
+ * Parses a document's sections and labelled environments, and compiles structural edits
+ * (addressed by section title or label instead of line number) down to line edits
+ */
+
+const SECTION_LEVELS = {
+  part: 0,
+  chapter: 1,
+  section: 2,
+  subsection: 3,
+  subsubsection: 4,
+  paragraph: 5,
+  subparagraph: 6
+};
+
+const SECTION_PATTERN = /^\s*\\(part|chapter|section|subsection|subsubsection|paragraph|subparagraph)\*?\s*(?:\[[^\]]*\]\s*)?\{/;
+const ENVIRONMENT_PATTERN = /\\(begin|end)\s*\{([^}]+)\}|\\label\s*\{([^}]+)\}/g;
+
+export const STRUCTURAL_OPERATIONS = ['replace-section', 'move-section', 'insert-after', 'wrap'];
+
+/**
+ * Check whether an operation is addressed by structure rather than line number
+ */
+export function isStructuralOperation(operation) {
+  return STRUCTURAL_OPERATIONS.includes(operation);
+}
+
+/**
+ * Read a {...} group starting at text[start] (which must be '{'), allowing nested braces
+ * Returns the text between the braces, or null when it isn't closed on this line
+ */
+function readBraced(text, start) {
+  let depth = 0;
+  for (let i = start; i < text.length; i++) {
+    if (text[i] === '\\') {
+      i++;
+    } else if (text[i] === '{') {
+      depth++;
+    } else if (text[i] === '}' && --depth === 0) {
+      return text.slice(start + 1, i);
+    }
+  }
+  return null;
+}
+
+/**
+ * Text before an unescaped % on a line
+ */
+function stripComment(line) {
+  const match = line.match(/(^|[^\\])%/);
+  return match ? line.slice(0, match.index + match[1].length) : line;
+}
+
+/**
+ * Parse the document outline
+ * Returns {
+ *   sections: [{ command, level, title, line, bodyEnd, end }] - heading line, last line before the next
+ *     heading of any level, and last line of the section including its subsections (1-based)
+ *   environments: [{ name, start, end }] - every closed environment except document
+ *   labels: [{ label, line, environment }] - environment is the innermost one around the label, or null
+ *   documentEnd: line of \end{document}, or null
+ * }
+ */
+export function parseOutline(content) {
+  const lines = content.split('\n');
+  const sections = [];
+  const environments = [];
+  const labels = [];
+  const open = [];
+  let documentEnd = null;
+
+  lines.forEach((rawLine, index) => {
+    const line = stripComment(rawLine);
+    const lineNumber = index + 1;
+
+    const heading = line.match(SECTION_PATTERN);
+    if (heading) {
+      const title = readBraced(line, heading[0].length - 1);
+      sections.push({
+        command: heading[1],
+        level: SECTION_LEVELS[heading[1]],
+        title: title === null ? '' : title.trim(),
+        line: lineNumber
+      });
+    }
+
+    for (const match of line.matchAll(ENVIRONMENT_PATTERN)) {
+      const [, kind, name, label] = match;
+      if (label !== undefined) {
+        labels.push({ label: label.trim(), line: lineNumber, environment: open[open.length - 1] || null });
+      } else if (kind === 'begin') {
+        if (name !== 'document') open.push({ name, start: lineNumber, end: null });
+      } else if (name === 'document') {
+        documentEnd = documentEnd || lineNumber;
+      } else {
+        // Close the innermost matching environment; anything opened inside it was left unclosed
+        const openIndex = open.map(env => env.name).lastIndexOf(name);
+        if (openIndex !== -1) {
+          const environment = open[openIndex];
+          environment.end = lineNumber;
+          environments.push(environment);
+          open.length = openIndex;
+        }
+      }
+    }
+  });
+
+  // A section runs until the next heading at the same or a higher level, or the end of the document
+  const lastLine = documentEnd ? documentEnd - 1 : lines.length;
+  sections.forEach((section, index) => {
+    const next = sections.slice(index + 1).find(other => other.level <= section.level);
+    section.end = next ? next.line - 1 : lastLine;
+    section.bodyEnd = sections[index + 1] ? Math.min(sections[index + 1].line - 1, section.end) : section.end;
+  });
+
+  return {
+    sections,
+    environments: environments.sort((a, b) => a.start - b.start),
+    labels,
+    documentEnd
+  };
+}
+
+/**
+ * Collapse whitespace and case so titles can be compared loosely
+ */
+function normalizeTitle(title) {
+  return String(title).replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+/**
+ * Find the single section with a title. Returns { section } or { error }
+ */
+export function findSection(outline, title) {
+  if (title === undefined || title === '') {
+    return { error: 'no section title given' };
+  }
+  const target = normalizeTitle(title);
+  const matches = outline.sections.filter(section => normalizeTitle(section.title) === target);
+  if (matches.length === 0) {
+    return { error: `section "${title}" was not found in the document` };
+  }
+  if (matches.length > 1) {
+    return {
+      error: `section title "${title}" is ambiguous (lines ${matches.map(section => section.line).join(', ')})`
+    };
+  }
+  return { section: matches[0] };
+}
+
+/**
+ * Find the lines covered by a label: its environment, or just the line for labels outside one
+ * Returns { start, end, environment } or { error }
+ */
+export function findLabel(outline, label) {
+  if (label === undefined || label === '') {
+    return { error: 'no label given' };
+  }
+  const matches = outline.labels.filter(entry => entry.label === String(label));
+  if (matches.length === 0) {
+    return { error: `label "${label}" was not found in the document` };
+  }
+  if (matches.length > 1) {
+    return { error: `label "${label}" is defined ${matches.length} times` };
+  }
+  const { line, environment } = matches[0];
+  return environment
+    ? { start: environment.start, end: environment.end, environment: environment.name }
+    : { start: line, end: line, environment: null };
+}
+
+/**
+ * Shrink a line range so it doesn't start or end on blank lines
+ */
+function trimBlankLines(lines, start, end) {
+  while (start <= end && !lines[start - 1].trim()) start++;
+  while (end >= start && !lines[end - 1].trim()) end--;
+  return { start, end };
+}
+
+/**
+ * Line block inserting text after a line, anchored on the (up to two) lines above it
+ */
+function insertAfterLine(lines, line, insertContent) {
+  return {
+    operation: 'add',
+    line: line + 1,
+    deleteCount: 0,
+    insertContent,
+    original: lines.slice(Math.max(0, line - 2), line)
+  };
+}
+
+/**
+ * Line block replacing lines start..end (1-based, inclusive) with new lines
+ */
+function replaceLines(lines, start, end, newLines) {
+  return {
+    operation: 'replace',
+    line: start,
+    deleteCount: end - start + 1,
+    insertContent: newLines.join('\n'),
+    original: lines.slice(start - 1, end)
+  };
+}
+
+/**
+ * replace-section: new text for a section up to its first subsection, keeping the heading,
+ * the subsections and the blank lines around the text
+ */
+function compileReplaceSection(lines, outline, block) {
+  const found = findSection(outline, block.metadata.section);
+  if (found.error) return found;
+  const { section } = found;
+
+  const body = trimBlankLines(lines, section.line + 1, section.bodyEnd);
+  if (body.start > body.end) {
+    return {
+      block: insertAfterLine(lines, section.line, block.insertContent),
+      description: `Fill section "${section.title}"`
+    };
+  }
+  const newLines = block.insertContent ? block.insertContent.split('\n') : [];
+  if (newLines.length === 0) {
+    return {
+      block: { ...replaceLines(lines, body.start, body.end, []), operation: 'delete', insertContent: '' },
+      description: `Empty section "${section.title}"`
+    };
+  }
+  return {
+    block: replaceLines(lines, body.start, body.end, newLines),
+    description: `Replace body of section "${section.title}"`
+  };
+}
+
+/**
+ * move-section: move a section (with its subsections) before or after another one
+ * Compiles to a single replace of the lines between the two positions
+ */
+function compileMoveSection(lines, outline, block) {
+  const found = findSection(outline, block.metadata.section);
+  if (found.error) return found;
+  const { section } = found;
+
+  const { before, after } = block.metadata;
+  if ((before === undefined) === (after === undefined)) {
+    return { error: 'move-section needs exactly one of before or after' };
+  }
+  const target = findSection(outline, before !== undefined ? before : after);
+  if (target.error) return target;
+
+  // Line the section should start at, in the current numbering
+  const destination = before !== undefined ? target.section.line : target.section.end + 1;
+  if (destination > section.line && destination <= section.end) {
+    return { error: `cannot move section "${section.title}" inside itself` };
+  }
+  if (destination === section.line || destination === section.end + 1) {
+    return { error: `section "${section.title}" is already there` };
+  }
+
+  const moved = lines.slice(section.line - 1, section.end);
+  const description = `Move section "${section.title}" ${before !== undefined ? 'before' : 'after'} "${target.section.title}"`;
+  if (destination < section.line) {
+    const skipped = lines.slice(destination - 1, section.line - 1);
+    return { block: replaceLines(lines, destination, section.end, [...moved, ...skipped]), description };
+  }
+  const skipped = lines.slice(section.end, destination - 1);
+  return { block: replaceLines(lines, section.line, destination - 1, [...skipped, ...moved]), description };
+}
+
+/**
+ * insert-after: insert content after a labelled environment (or labelled line) or after a section
+ */
+function compileInsertAfter(lines, outline, block) {
+  const { label, section } = block.metadata;
+  if ((label === undefined) === (section === undefined)) {
+    return { error: 'insert-after needs exactly one of label or section' };
+  }
+
+  if (label !== undefined) {
+    const found = findLabel(outline, label);
+    if (found.error) return found;
+    return {
+      block: insertAfterLine(lines, found.end, block.insertContent),
+      description: found.environment
+        ? `Insert after ${found.environment} "${label}"`
+        : `Insert after label "${label}"`
+    };
+  }
+
+  const found = findSection(outline, section);
+  if (found.error) return found;
+  const body = trimBlankLines(lines, found.section.line, found.section.end);
+  return {
+    block: insertAfterLine(lines, body.end, block.insertContent),
+    description: `Insert at end of section "${found.section.title}"`
+  };
+}
+
+/**
+ * wrap: put lines line..line+delete-1 inside \begin{environment} ... \end{environment}
+ */
+function compileWrap(lines, block) {
+  const { environment } = block.metadata;
+  if (!environment || !/^[a-zA-Z*]+$/.test(String(environment))) {
+    return { error: 'wrap needs an environment name' };
+  }
+  if (!block.line) {
+    return { error: 'wrap needs the line to start at' };
+  }
+
+  const count = block.deleteCount || 1;
+  const end = block.line + count - 1;
+  if (!block.original && (block.line < 1 || end > lines.length)) {
+    return { error: `cannot wrap lines ${block.line}-${end} (content has ${lines.length} lines)` };
+  }
+
+  // With quoted original lines the wrap is verified (and relocated) like any other replace
+  const wrapped = block.original || lines.slice(block.line - 1, end);
+  return {
+    block: {
+      operation: 'replace',
+      line: block.line,
+      deleteCount: wrapped.length,
+      insertContent: [`\\begin{${environment}}`, ...wrapped, `\\end{${environment}}`].join('\n'),
+      original: wrapped
+    },
+    description: `Wrap ${wrapped.length} line${wrapped.length !== 1 ? 's' : ''} in ${environment}`
+  };
+}
+
+/**
+ * Compile a structural block into a line block against the content
+ * The result carries the lines it targets as original lines, so it is verified and can be
+ * relocated like any other edit. Returns { block } or { error }
+ */
+export function compileStructuralBlock(content, block) {
+  const lines = content.split('\n');
+  const outline = parseOutline(content);
+
+  let result;
+  switch (block.operation) {
+    case 'replace-section':
+      result = compileReplaceSection(lines, outline, block);
+      break;
+    case 'move-section':
+      result = compileMoveSection(lines, outline, block);
+      break;
+    case 'insert-after':
+      result = compileInsertAfter(lines, outline, block);
+      break;
+    case 'wrap':
+      result = compileWrap(lines, block);
+      break;
+    default:
+      return { error: `unknown structural operation "${block.operation}"` };
+  }
+  if (result.error) return result;
+
+  return {
+    block: {
+      ...block,
+      ...result.block,
+      structural: block.operation,
+      description: result.description
+    }
+  };
+}
@@ -0,0 +1,180 @@
+/**
+ * LaTeX Project Model
+ * A project is a set of files ({ path, content, encoding? }) plus the main file to compile.
+ * All functions are pure and return a new project, so they can be used directly with React state.
+ */
+
+export const DEFAULT_MAIN_FILE = 'main.tex';
+
+// Files stored as base64 instead of text (figures and other binary assets)
+const BINARY_EXTENSIONS = ['png', 'jpg', 'jpeg', 'gif', 'pdf', 'eps'];
+
+// Names TeX tools read as configuration from the work directory (latexmk runs its rc file as Perl)
+const RESERVED_NAMES = ['latexmkrc'];
+
+/**
+ * Normalize a project-relative path ("./figures//a.png" -> "figures/a.png")
+ * Throws for empty paths, paths that try to leave the project, hidden files and tool rc files
+ */
+export function normalizePath(filePath) {
+  const segments = String(filePath || '')
+    .trim()
+    .replace(/\\/g, '/')
+    .split('/')
+    .filter(segment => segment && segment !== '.');
+
+  if (segments.length === 0) {
+    throw new Error('File name cannot be empty');
+  }
+  if (segments.some(segment => segment === '..')) {
+    throw new Error(`Invalid file path: ${filePath}`);
+  }
+  if (segments.some(segment => segment.startsWith('.') || RESERVED_NAMES.includes(segment.toLowerCase()))) {
+    throw new Error(`File name not allowed: ${filePath}`);
+  }
+
+  return segments.join('/');
+}
+
+/**
+ * Check whether a path should be stored as a binary (base64) file
+ */
+export function isBinaryPath(filePath) {
+  const extension = filePath.split('.').pop().toLowerCase();
+  return BINARY_EXTENSIONS.includes(extension);
+}
+
+/**
+ * Check whether a path can be compiled as the main file
+ */
+export function isTexPath(filePath) {
+  return /\.tex$/i.test(filePath);
+}
+
+/**
+ * Create a project, defaulting to a single empty main file
+ */
+export function createProject({ files, mainFile } = {}) {
+  const projectFiles = files && files.length > 0
+    ? files.map(file => ({ ...file, path: normalizePath(file.path) }))
+    : [{ path: DEFAULT_MAIN_FILE, content: '' }];
+
+  return {
+    files: sortFiles(projectFiles),
+    mainFile: mainFile ? normalizePath(mainFile) : projectFiles.find(file => isTexPath(file.path))?.path || DEFAULT_MAIN_FILE
+  };
+}
+
+/**
+ * Get a file by path
+ */
+export function getFile(project, filePath) {
+  return project.files.find(file => file.path === filePath) || null;
+}
+
+/**
+ * Add a new file; fails if the path is taken
+ */
+export function addFile(project, filePath, content = '', encoding) {
+  const path = normalizePath(filePath);
+  if (getFile(project, path)) {
+    throw new Error(`${path} already exists`);
+  }
+
+  const file = encoding ? { path, content, encoding } : { path, content };
+  return { ...project, files: sortFiles([...project.files, file]) };
+}
+
+/**
+ * Replace the content of an existing file
+ */
+export function updateFileContent(project, filePath, content) {
+  return {
+    ...project,
+    files: project.files.map(file => file.path === filePath ? { ...file, content } : file)
+  };
+}
+
+/**
+ * Rename a file, keeping the main file designation if it moves
+ */
+export function renameFile(project, fromPath, toPath) {
+  const path = normalizePath(toPath);
+  if (path === fromPath) return project;
+  if (!getFile(project, fromPath)) {
+    throw new Error(`${fromPath} does not exist`);
+  }
+  if (getFile(project, path)) {
+    throw new Error(`${path} already exists`);
+  }
+
+  return {
+    files: sortFiles(project.files.map(file => file.path === fromPath ? { ...file, path } : file)),
+    mainFile: project.mainFile === fromPath ? path : project.mainFile
+  };
+}
+
+/**
+ * Delete a file; the last remaining file cannot be deleted
+ */
+export function deleteFile(project, filePath) {
+  if (project.files.length <= 1) {
+    throw new Error('A project needs at least one file');
+  }
+
+  const files = project.files.filter(file => file.path !== filePath);
+  const mainFile = project.mainFile === filePath
+    ? files.find(file => isTexPath(file.path))?.path || files[0].path
+    : project.mainFile;
+
+  return { files, mainFile };
+}
+
+/**
+ * Designate the file that gets compiled
+ */
+export function setMainFile(project, filePath) {
+  if (!getFile(project, filePath)) {
+    throw new Error(`${filePath} does not exist`);
+  }
+  if (!isTexPath(filePath)) {
+    throw new Error('The main file must be a .tex file');
+  }
+  return { ...project, mainFile: filePath };
+}
+
+/**
+ * Build a nested tree for display: [{ name, path, type: 'folder', children } | { name, path, type: 'file' }]
+ */
+export function buildFileTree(files) {
+  const root = [];
+
+  for (const file of files) {
+    const segments = file.path.split('/');
+    let level = root;
+
+    segments.forEach((name, index) => {
+      const path = segments.slice(0, index + 1).join('/');
+      if (index === segments.length - 1) {
+        level.push({ name, path, type: 'file' });
+        return;
+      }
+
+      let folder = level.find(node => node.type === 'folder' && node.name === name);
+      if (!folder) {
+        folder = { name, path, type: 'folder', children: [] };
+        level.push(folder);
+      }
+      level = folder.children;
+    });
+  }
+
+  return root;
+}
+
+/**
+ * Sort files by path so the tree renders in a stable order
+ */
+function sortFiles(files) {
+  return [...files].sort((a, b) => a.path.localeCompare(b.path));
+}
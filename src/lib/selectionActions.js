@@ -0,0 +1,120 @@
+/**
+ * Selection Actions
+ * AI edits scoped to the text selected in the editor: the model sees the selection with a few
+ * lines of context and returns a replacement for the selection only
+ */
+
+// Lines of document shown to the model on each side of the selection
+const CONTEXT_LINES = 8;
+
+export const SELECTION_ACTIONS = [
+  {
+    id: 'rewrite',
+    label: 'Rewrite',
+    instruction: 'Rewrite the selected text so it reads more clearly, keeping its meaning and LaTeX markup.'
+  },
+  {
+    id: 'shorten',
+    label: 'Shorten',
+    instruction: 'Make the selected text more concise without losing information. Keep its LaTeX markup.'
+  },
+  {
+    id: 'grammar',
+    label: 'Fix grammar',
+    instruction: 'Fix grammar, spelling and punctuation in the selected text. Change nothing else.'
+  },
+  {
+    id: 'table',
+    label: 'To table',
+    instruction: 'Convert the selected content into a LaTeX table (a tabular inside a table environment with a caption).'
+  },
+  {
+    id: 'custom',
+    label: 'Custom',
+    instruction: null // typed by the user
+  }
+];
+
+/**
+ * System prompt for selection edits
+ */
+export const SELECTION_SYSTEM_PROMPT = `You are a LaTeX editing assistant working on a passage the user selected in their document.
+Reply with one short sentence saying what you changed, then the replacement for the selected text in a single \`\`\`latex block.
+The replacement takes the place of the selected text exactly: do not repeat the surrounding context, and keep leading or trailing whitespace and line breaks only if they should stay.`;
+
+/**
+ * Where the selected lines end: a selection that stops just after a line break (whole lines
+ * selected down to the start of the next one) doesn't take in the next line
+ */
+function selectionEnd(content, selection) {
+  return selection.end > selection.start && content[selection.end - 1] === '\n' ? selection.end - 1 : selection.end;
+}
+
+/**
+ * First and last line (1-based) of a selection
+ */
+export function getSelectionLines(content, selection) {
+  return {
+    startLine: content.slice(0, selection.start).split('\n').length,
+    endLine: content.slice(0, selectionEnd(content, selection)).split('\n').length
+  };
+}
+
+/**
+ * Build the request for a selection edit: the instruction, the selection and the lines around it
+ * selection: { start, end, text } with character offsets into content
+ */
+export function buildSelectionRequest(content, selection, instruction) {
+  const lines = content.split('\n');
+  const { startLine, endLine } = getSelectionLines(content, selection);
+
+  const before = lines.slice(Math.max(0, startLine - 1 - CONTEXT_LINES), startLine - 1);
+  const after = lines.slice(endLine, endLine + CONTEXT_LINES);
+
+  return `${instruction}
+
+SELECTED TEXT (lines ${startLine}-${endLine}):
+<<<SELECTION
+${selection.text}
+SELECTION>>>
+
+CONTEXT BEFORE THE SELECTION:
+${before.join('\n') || '(start of document)'}
+
+CONTEXT AFTER THE SELECTION:
+${after.join('\n') || '(end of document)'}`;
+}
+
+/**
+ * Pull the replacement text out of the model's reply (the first latex block), or null
+ */
+export function extractReplacement(response) {
+  const match = response.match(/```(?:latex|tex)?\n([\s\S]*?)\n?```/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Line replace block that swaps the selected characters for the replacement
+ * Text before and after the selection on its first and last line is kept, and the covered lines are
+ * attached as original lines so the edit is verified (and relocated) when it is applied. A line break
+ * ending the selection stays, so the line after it is left alone
+ */
+export function createSelectionBlock(content, selection, replacement) {
+  const end = selectionEnd(content, selection);
+  const lineStart = selection.start === 0 ? 0 : content.lastIndexOf('\n', selection.start - 1) + 1;
+  const nextNewline = content.indexOf('\n', end);
+  const lineEnd = nextNewline === -1 ? content.length : nextNewline;
+
+  const prefix = content.slice(lineStart, selection.start);
+  const suffix = content.slice(end, lineEnd);
+  const covered = content.slice(lineStart, lineEnd).split('\n');
+
+  return {
+    operation: 'replace',
+    line: content.slice(0, lineStart).split('\n').length,
+    deleteCount: covered.length,
+    insertContent: prefix + replacement + suffix,
+    original: covered,
+    description: 'Replace selection'
+  };
+}
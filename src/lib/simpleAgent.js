@@ -3,23 +3,67 @@
  * Just stores document content and lets AI read/write it
  */
 
-import { parseLatexDiff, applyLatexDiffs, previewLatexDiffs, hasLatexDiffs, extractRegularLatexBlocks } from './latexDiff.js';
+import { merge3, resolveMerge, unpackMerge } from './textDiff.js';
+import {
+  SELECTION_SYSTEM_PROMPT,
+  buildSelectionRequest,
+  extractReplacement,
+  createSelectionBlock
+} from './selectionActions.js';
+import {
+  parseLatexDiff,
+  applyLatexDiffs,
+  previewLatexDiffs,
+  resolveLatexDiffs,
+  anchorDiffBlock,
+  getLineDelta,
+  validateDiffBatch,
+  hasLatexDiffs,
+  extractRegularLatexBlocks
+} from './latexDiff.js';
 
-// Global document store
+// Global document store (the project file currently open in the editor)
 let documentContent = '';
+let documentPath = 'main.tex';
+let projectPaths = [];
 let changeCallback = null;
+let beforeChangeCallback = null;
 
 // Undo history
 let undoHistory = [];
 const MAX_UNDO_HISTORY = 20;
 
+// Quota reported with the last /api/ai-chat response: { window, limit, remaining, resetTime } or null
+let rateLimit = null;
+
+// Model and temperature used when the caller doesn't pick them
+const DEFAULT_MODEL = 'gpt-4';
+const DEFAULT_TEMPERATURE = 0.3;
+
 /**
  * Initialize with document content
+ * options.path is the project file being edited, options.projectPaths lists every file in the project
  */
-export function initializeDocument(content, onChangeCallback) {
+export function initializeDocument(content, onChangeCallback, options = {}) {
   documentContent = content || '';
   changeCallback = onChangeCallback;
-  console.log('[SimpleAgent] Initialized with', documentContent.length, 'characters');
+  if (options.path) documentPath = options.path;
+  if (options.projectPaths) projectPaths = options.projectPaths;
+  console.log('[SimpleAgent] Initialized with', documentContent.length, 'characters from', documentPath);
+}
+
+/**
+ * Register a callback that runs before every AI change is applied (e.g. to snapshot the project)
+ */
+export function setBeforeChangeCallback(callback) {
+  beforeChangeCallback = callback;
+}
+
+/**
+ * Get the path of the project file the agent is editing
+ */
+export function getDocumentPath() {
+  return documentPath;
 }
 
 /**
@@ -45,16 +89,119 @@ export function setDocument(newContent, addToHistory = true) {
   
   // Notify React component
   if (changeCallback) {
-    changeCallback(documentContent);
+    changeCallback(documentContent, documentPath);
+  }
+}
+
+/**
+ * Remember the quota from a response's X-RateLimit-* headers
+ */
+function readRateLimit(response) {
+  const limit = response.headers.get('X-RateLimit-Limit');
+  if (limit === null) return;
+  rateLimit = {
+    window: response.headers.get('X-RateLimit-Window'),
+    limit: parseInt(limit),
+    remaining: parseInt(response.headers.get('X-RateLimit-Remaining')),
+    resetTime: parseInt(response.headers.get('X-RateLimit-Reset')) * 1000
+  };
+}
+
+/**
+ * Quota left after the last AI request, or null before the first one
+ */
+export function getRateLimit() {
+  return rateLimit;
+}
+
+/**
+ * Ask the server for the remaining quota without using any of it
+ */
+export async function fetchRateLimit() {
+  const response = await fetch('/api/ai-chat');
+  if (response.ok) readRateLimit(response);
+  return rateLimit;
+}
+
+/**
+ * Read a streamed /api/ai-chat response, calling onChunk(chunk, fullResponse) as text arrives
+ * Resolves to the full response text, or the text received so far when the request is aborted
+ */
+async function readChatStream(response, onChunk) {
+  readRateLimit(response);
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(errorData.error || `AI API Error: ${response.status}`);
+  }
+
+  let fullResponse = '';
+  let buffer = '';
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      // Events can be split across reads; keep the incomplete last line for the next one
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        if (line.startsWith('data: ')) {
+          const data = line.slice(6);
+          if (data === '[DONE]') continue;
+          
+          let parsed;
+          try {
+            parsed = JSON.parse(data);
+          } catch (e) {
+            continue; // Skip invalid JSON
+          }
+          
+          // The provider failed part way through the reply
+          if (parsed.error) {
+            throw new Error(`AI API Error: ${parsed.error.message || 'Unknown error'}`);
+          }
+          
+          const content = parsed.choices?.[0]?.delta?.content || '';
+          if (content) {
+            fullResponse += content;
+            if (onChunk) {
+              onChunk(content, fullResponse);
+            }
+          }
+        }
+      }
+    }
+  } catch (error) {
+    if (error.name !== 'AbortError') throw error;
+    console.log('[SimpleAgent] Stream stopped after', fullResponse.length, 'characters');
+  } finally {
+    reader.releaseLock();
   }
+
+  return fullResponse;
 }
 
 /**
  * Simple AI function with streaming support
+ * With options.review the edits are returned for review instead of being applied;
+ * options.history holds the earlier conversation ([{ role, content }], see chatHistory.js);
+ * options.signal (an AbortSignal) stops the request, keeping the partial reply;
+ * options.model and options.provider pick the model (default gpt-4; the provider follows from the model
+ * unless given), options.temperature and options.maxTokens override the sampling defaults
  */
-export async function askAI(userMessage, onChunk) {
+export async function askAI(userMessage, onChunk, options = {}) {
   console.log('[SimpleAgent] User asked:', userMessage);
   
+  // The editor keeps updating documentContent while the response streams, so remember what the
+  // model was shown; its edits are made against this base and merged with the user's typing
+  const baseContent = documentContent;
+  const basePath = documentPath;
+  
   try {
     // Call AI with streaming
     const response = await fetch('/api/ai-chat', {
@@ -64,10 +211,10 @@ export async function askAI(userMessage, onChunk) {
         messages: [
           {
             role: 'system',
-            content: `You are a LaTeX editing assistant. The user has a LaTeX document.
-
+            content: `You are a LaTeX editing assistant. The user has a LaTeX project.
+${describeProject()}
 CURRENT DOCUMENT CONTENT (with line numbers for your reference):
-${documentContent.split('\n').map((line, i) => `${String(i + 1).padStart(3, ' ')}: ${line}`).join('\n')}
+${baseContent.split('\n').map((line, i) => `${String(i + 1).padStart(3, ' ')}: ${line}`).join('\n')}
 
 You can help the user by:
 1. Reading and understanding the current document
@@ -85,110 +232,129 @@ ADD content:
 This is new content.
 \`\`\`
 
-REPLACE content:
+REPLACE content (quote the lines being replaced under "--- original", then the new content after "+++"):
 \`\`\`latex-diff
 @@ operation:replace line:10 delete:2 @@
+--- original
+exact current text of line 10
+exact current text of line 11
++++
 new content to replace lines 10-11
 \`\`\`
 
-DELETE content:
+DELETE content (quote the lines being deleted):
 \`\`\`latex-diff
-@@ operation:delete line:21 delete:8 @@
+@@ operation:delete line:21 delete:2 @@
+--- original
+exact current text of line 21
+exact current text of line 22
 \`\`\`
 
+SEARCH/REPLACE (best for long documents, no line numbers needed):
+\`\`\`latex-diff
+<<<<<<< SEARCH
+exact existing text to find
+=======
+text to put in its place
+>>>>>>> REPLACE
+\`\`\`
+The search text must appear exactly once in the document; include enough surrounding text to make it unique. One block may hold several SEARCH/REPLACE pairs.
+
+STRUCTURAL EDITS (address sections by title and environments by label, no line numbers needed):
+\`\`\`latex-diff
+@@ operation:replace-section section:"Results" @@
+new text of the section, without its \\section line
+\`\`\`
+- operation:replace-section section:"Title" - Replace a section's text up to its first subsection (heading and subsections are kept)
+- operation:move-section section:"Title" before:"Other" (or after:"Other") - Move a section with its subsections (NO CONTENT NEEDED)
+- operation:insert-after label:eq:main - Insert content after the environment holding \\label{eq:main}; use section:"Title" instead to insert at the end of a section
+- operation:wrap environment:center line:N delete:M - Wrap M lines starting at line N in an environment (quote them under "--- original"; NO OTHER CONTENT)
+Quote titles that contain spaces.
+
 Operations available:
 - operation:add line:N - Insert content at line N (pushes existing lines down)
 - operation:replace line:N delete:M - Replace M lines starting at line N  
 - operation:delete line:N delete:M - Delete M lines starting at line N (NO CONTENT NEEDED for delete)
 
 CRITICAL: Use the EXACT line numbers shown above. Line numbers are 1-based (first line is 1).
+Always include the "--- original" section for replace and delete, copied verbatim without the line number prefix. For add you may quote the line(s) directly above the insertion point the same way. Edits whose original lines cannot be found in the document are rejected.
 
 OPTION 2 - FULL REPLACEMENT: Only use when making extensive changes:
 \`\`\`latex
 [complete new document here]
 \`\`\`
 
-Always prefer selective edits for small changes. Changes will be applied automatically. Be conversational and explain what you're doing.`
+Always prefer selective edits for small changes. ${options.review
+  ? 'The user reviews each change and accepts or rejects it individually, so keep unrelated edits in separate blocks.'
+  : 'Changes will be applied automatically.'} Be conversational and explain what you're doing.
+
+Earlier messages in this conversation summarize the edits you proposed and whether they were applied. Line numbers in them may be out of date: always work from the CURRENT DOCUMENT CONTENT above.`
           },
+          ...(options.history || []),
           {
             role: 'user',
             content: userMessage
           }
         ],
-        model: 'gpt-4',
-        temperature: 0.3,
+        model: options.model || DEFAULT_MODEL,
+        provider: options.provider,
+        temperature: options.temperature ?? DEFAULT_TEMPERATURE,
+        maxTokens: options.maxTokens,
         stream: true
-      })
+      }),
+      signal: options.signal
     });
 
-    if (!response.ok) {
-      throw new Error(`AI API Error: ${response.status}`);
-    }
-
-    let fullResponse = '';
-    const reader = response.body.getReader();
-    const decoder = new TextDecoder();
-
-    try {
-      while (true) {
-        const { done, value } = await reader.read();
-        if (done) break;
-
-        const chunk = decoder.decode(value);
-        const lines = chunk.split('\n');
-
-        for (const line of lines) {
-          if (line.startsWith('data: ')) {
-            const data = line.slice(6);
-            if (data === '[DONE]') continue;
-            
-            try {
-              const parsed = JSON.parse(data);
-              const content = parsed.choices?.[0]?.delta?.content || '';
-              if (content) {
-                fullResponse += content;
-                if (onChunk) {
-                  onChunk(content, fullResponse);
-                }
-              }
-            } catch (e) {
-              // Skip invalid JSON
-            }
-          }
-        }
-      }
-    } finally {
-      reader.releaseLock();
-    }
+    const fullResponse = await readChatStream(response, onChunk);
     
     console.log('[SimpleAgent] AI responded with', fullResponse.length, 'characters');
     
+    // A stopped reply is never applied automatically: its complete edit blocks are offered for review
+    if (options.signal?.aborted) {
+      options = { ...options, review: true };
+    }
+    
     // Check for diff-style edits first
     if (hasLatexDiffs(fullResponse)) {
-      const diffBlocks = parseLatexDiff(fullResponse);
-      const changes = previewLatexDiffs(documentContent, diffBlocks);
+      // Verify against the content the model was shown
+      const { resolved, rejected } = resolveLatexDiffs(baseContent, parseLatexDiff(fullResponse));
       
-      console.log('[SimpleAgent] AI provided', diffBlocks.length, 'diff blocks - auto-applying');
-      console.log('[SimpleAgent] Diff blocks:', diffBlocks);
+      // Ordered like previewLatexDiffs orders its changes, so issue indexes point at the right change
+      const diffBlocks = resolved.sort((a, b) => a.line - b.line);
+      const changes = previewLatexDiffs(baseContent, diffBlocks);
+      const { issues } = validateDiffBatch(baseContent, diffBlocks);
       
-      // Auto-apply the changes and add to undo history
-      const previousContent = documentContent;
-      const newContent = applyLatexDiffs(documentContent, diffBlocks);
-      addToUndoHistory(previousContent, `Applied ${diffBlocks.length} diff changes`);
-      documentContent = newContent;
+      console.log('[SimpleAgent] AI provided', diffBlocks.length, 'diff blocks');
+      console.log('[SimpleAgent] Diff blocks:', diffBlocks);
+      if (rejected.length > 0) {
+        console.warn('[SimpleAgent] Rejected', rejected.length, 'diff blocks:', rejected.map(r => r.reason));
+      }
+      if (issues.length > 0) {
+        console.warn('[SimpleAgent] Diff batch has problems:', issues.map(issue => issue.message));
+      }
       
-      // Notify React component
-      if (changeCallback) {
-        changeCallback(documentContent);
+      if (options.review) {
+        return reviewResult(fullResponse, baseContent, diffBlocks, rejected, issues);
       }
       
+      // The batch is applied all or nothing
+      const canApply = diffBlocks.length > 0 && rejected.length === 0 && issues.length === 0;
+      const outcome = canApply
+        ? commitAIContent(baseContent, basePath, applyLatexDiffs(baseContent, diffBlocks), `Applied ${diffBlocks.length} diff changes`)
+        : { applied: false };
+      
       return {
         response: fullResponse,
-        documentUpdated: true,
+        documentUpdated: outcome.applied,
         hasDiffs: true,
         diffBlocks: diffBlocks,
         changes: changes,
-        autoApplied: true
+        rejected: rejected,
+        issues: issues,
+        autoApplied: outcome.applied,
+        merged: outcome.merged,
+        merge: outcome.merge,
+        applyError: outcome.error
       };
     }
     
@@ -197,12 +363,27 @@ Always prefer selective edits for small changes. Changes will be applied automat
     if (latexMatch) {
       const newContent = latexMatch[1];
       console.log('[SimpleAgent] AI provided new document content, length:', newContent.length);
-      setDocument(newContent);
+      
+      if (options.review) {
+        // Review the full replacement as one change covering the whole document
+        const wholeDocument = {
+          operation: 'replace',
+          line: 1,
+          deleteCount: baseContent.split('\n').length,
+          insertContent: newContent
+        };
+        return { ...reviewResult(fullResponse, baseContent, [wholeDocument], [], []), newContent };
+      }
+      
+      const outcome = commitAIContent(baseContent, basePath, newContent, 'Document replaced');
       
       return {
         response: fullResponse,
-        documentUpdated: true,
-        newContent: newContent
+        documentUpdated: outcome.applied,
+        newContent: newContent,
+        merged: outcome.merged,
+        merge: outcome.merge,
+        applyError: outcome.error
       };
     }
     
@@ -224,12 +405,213 @@ Always prefer selective edits for small changes. Changes will be applied automat
   }
 }
 
+/**
+ * Ask the model to edit only the selected text
+ * selection is { start, end, text } (character offsets into the open document). The reply's replacement
+ * is returned for review like askAI's review mode, as a single change covering the selected lines.
+ * options are askAI's signal, model, provider, temperature and maxTokens.
+ */
+export async function askAIForSelection(selection, instruction, onChunk, options = {}) {
+  const baseContent = documentContent;
+  if (baseContent.slice(selection.start, selection.end) !== selection.text) {
+    throw new Error('The selection no longer matches the document. Select the text again.');
+  }
+  console.log('[SimpleAgent] Selection edit of', selection.text.length, 'characters:', instruction);
+  
+  const response = await fetch('/api/ai-chat', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      messages: [
+        { role: 'system', content: SELECTION_SYSTEM_PROMPT },
+        { role: 'user', content: buildSelectionRequest(baseContent, selection, instruction) }
+      ],
+      model: options.model || DEFAULT_MODEL,
+      provider: options.provider,
+      temperature: options.temperature ?? DEFAULT_TEMPERATURE,
+      maxTokens: options.maxTokens,
+      stream: true
+    }),
+    signal: options.signal
+  });
+  
+  const fullResponse = await readChatStream(response, onChunk);
+  const replacement = extractReplacement(fullResponse);
+  if (replacement === null) {
+    console.warn('[SimpleAgent] Selection edit reply had no latex block');
+    return { response: fullResponse, documentUpdated: false };
+  }
+  
+  return reviewResult(fullResponse, baseContent, [createSelectionBlock(baseContent, selection, replacement)], [], []);
+}
+
+/**
+ * Build the askAI result for edits awaiting review
+ * Blocks are anchored to the base lines they target and must already be sorted by line,
+ * so changes[i] describes diffBlocks[i]; accepting them later relocates them past the user's edits
+ */
+function reviewResult(fullResponse, baseContent, blocks, rejected, issues) {
+  const diffBlocks = blocks.map(block => anchorDiffBlock(baseContent, block));
+  
+  return {
+    response: fullResponse,
+    documentUpdated: false,
+    hasDiffs: true,
+    diffBlocks: diffBlocks,
+    changes: previewLatexDiffs(baseContent, diffBlocks),
+    rejected: rejected,
+    issues: issues,
+    autoApplied: false,
+    review: true
+  };
+}
+
+/**
+ * Replace the document with the model's version of it
+ * If the user edited the document since baseContent was sent, their edits and the model's are
+ * merged three ways; conflicting merges are not applied but returned for the user to resolve.
+ * Returns { applied, merged?, merge?, error? }
+ */
+function commitAIContent(baseContent, basePath, aiContent, description) {
+  if (documentPath !== basePath) {
+    return { applied: false, error: `These edits were for ${basePath}, but ${documentPath} is open now. Switch back and ask again.` };
+  }
+  
+  if (documentContent === baseContent) {
+    replaceContent(aiContent, description);
+    return { applied: true };
+  }
+  
+  const result = merge3(baseContent, documentContent, aiContent);
+  console.log('[SimpleAgent] Document changed while the AI responded; merge has', result.conflicts, 'conflicts');
+  
+  if (result.conflicts === 0) {
+    replaceContent(result.text, `${description} (merged with your edits)`);
+    return { applied: true, merged: true };
+  }
+  
+  return {
+    applied: false,
+    merge: {
+      path: basePath,
+      base: baseContent,
+      mine: documentContent,
+      theirs: aiContent,
+      chunks: result.chunks,
+      conflicts: result.conflicts,
+      description
+    }
+  };
+}
+
+/**
+ * Apply a merge after the user picked a side ('mine' or 'theirs') for each conflict
+ * If the document changed again in the meantime the merge is redone; when that still conflicts,
+ * nothing is applied and the new merge is returned for another round. A merge packed for storage
+ * can only be applied while the document is still the version it was made against.
+ * Returns { applied, merge? }
+ */
+export function resolveMergeConflicts(merge, choices) {
+  if (documentPath !== merge.path) {
+    throw new Error(`Open ${merge.path} to resolve these conflicts`);
+  }
+
+  if (merge.packed) {
+    const unpacked = unpackMerge(merge, documentContent);
+    if (!unpacked) {
+      throw new Error('The document changed since these conflicts were found; ask again to redo the edit');
+    }
+    merge = unpacked;
+  }
+
+  if (documentContent !== merge.mine) {
+    const result = merge3(merge.base, documentContent, merge.theirs);
+    if (result.conflicts > 0) {
+      return {
+        applied: false,
+        merge: { ...merge, mine: documentContent, chunks: result.chunks, conflicts: result.conflicts }
+      };
+    }
+    replaceContent(result.text, `${merge.description} (merged with your edits)`);
+    return { applied: true };
+  }
+  
+  replaceContent(resolveMerge(merge.chunks, choices), `${merge.description} (conflicts resolved)`);
+  return { applied: true };
+}
+
+/**
+ * Swap in new content for an AI change, recording the old content for undo
+ */
+function replaceContent(newContent, description) {
+  addToUndoHistory(documentContent, description);
+  documentContent = newContent;
+  
+  // Notify React component
+  if (changeCallback) {
+    changeCallback(documentContent, documentPath);
+  }
+}
+
+/**
+ * Apply reviewed diff blocks, e.g. hunks the user accepted
+ * Blocks are in the line numbers of the document they were proposed against; acceptedBlocks are
+ * the ones from the same response that were already applied, used to shift later blocks. Each
+ * block is then verified against the current document, so hunks whose lines changed are rejected.
+ * Returns { applied: [blocks], rejected: [{ block, reason }] } with the blocks as passed in
+ */
+export function applyReviewedDiffs(blocks, acceptedBlocks = []) {
+  const applied = [];
+  const rejected = [];
+  const toApply = [];
+  
+  for (const block of blocks) {
+    const offset = acceptedBlocks
+      .filter(accepted => accepted.line < block.line)
+      .reduce((sum, accepted) => sum + getLineDelta(accepted), 0);
+    const { resolved, rejected: failed } = resolveLatexDiffs(documentContent, [{ ...block, line: block.line + offset }]);
+    
+    if (failed.length > 0) {
+      rejected.push({ block, reason: failed[0].reason });
+    } else {
+      applied.push(block);
+      toApply.push(resolved[0]);
+    }
+  }
+  
+  if (toApply.length > 0) {
+    let newContent;
+    try {
+      newContent = applyLatexDiffs(documentContent, toApply);
+    } catch (error) {
+      // Conflicting hunks: apply none of them
+      console.warn('[SimpleAgent] Reviewed diff blocks conflict:', error.message);
+      return { applied: [], rejected: [...rejected, ...applied.map(block => ({ block, reason: error.message }))] };
+    }
+    
+    addToUndoHistory(documentContent, `Accepted ${toApply.length} reviewed change${toApply.length !== 1 ? 's' : ''}`);
+    documentContent = newContent;
+    
+    if (changeCallback) {
+      changeCallback(documentContent, documentPath);
+    }
+  }
+  
+  console.log('[SimpleAgent] Applied', applied.length, 'reviewed diff blocks,', rejected.length, 'no longer apply');
+  return { applied, rejected };
+}
+
 /**
  * Apply specific diff blocks to the document
+ * All or nothing: throws without changing the document if a block can't be placed or the blocks conflict
  */
 export function applyDiffs(diffBlocks) {
-  const newContent = applyLatexDiffs(documentContent, diffBlocks);
-  console.log('[SimpleAgent] Applied', diffBlocks.length, 'diff blocks');
+  const { resolved, rejected } = resolveLatexDiffs(documentContent, diffBlocks);
+  if (rejected.length > 0) {
+    throw new Error(`Cannot apply diff blocks: ${rejected.map(r => r.reason).join('; ')}`);
+  }
+  const newContent = applyLatexDiffs(documentContent, resolved);
+  console.log('[SimpleAgent] Applied', resolved.length, 'diff blocks');
   setDocument(newContent);
   return newContent;
 }
@@ -248,12 +630,31 @@ export function previewDiffs(diffBlocks) {
   return previewLatexDiffs(documentContent, diffBlocks);
 }
 
+/**
+ * Describe the project layout for the system prompt
+ */
+function describeProject() {
+  const otherFiles = projectPaths.filter(path => path !== documentPath);
+  if (otherFiles.length === 0) {
+    return `The document you are editing is ${documentPath}.\n`;
+  }
+  return `The project contains these files: ${projectPaths.join(', ')}.
+You are editing ${documentPath}; all edits and line numbers refer to this file only.
+`;
+}
+
 /**
  * Add entry to undo history
+ * Every AI change goes through here, so it is also where the before-change callback fires
  */
 function addToUndoHistory(content, description) {
+  if (beforeChangeCallback) {
+    beforeChangeCallback(description, documentPath);
+  }
+
   undoHistory.push({
     content: content,
+    path: documentPath,
     description: description,
     timestamp: new Date()
   });
@@ -278,6 +679,14 @@ export function undoLastChange() {
   const lastEntry = undoHistory.pop();
   console.log('[SimpleAgent] Undoing:', lastEntry.description);
   
+  if (lastEntry.path !== documentPath) {
+    // The change was made to another project file; let the page restore it there
+    if (changeCallback) {
+      changeCallback(lastEntry.content, lastEntry.path);
+    }
+    return true;
+  }
+  
   // Set document without adding to history (to avoid infinite undo chain)
   setDocument(lastEntry.content, false);
   return true;
@@ -290,6 +699,14 @@ export function getUndoHistory() {
   return [...undoHistory];
 }
 
+/**
+ * Replace the undo history, e.g. with the one saved alongside a document
+ */
+export function loadUndoHistory(entries = []) {
+  undoHistory = entries.slice(-MAX_UNDO_HISTORY);
+  console.log('[SimpleAgent] Loaded', undoHistory.length, 'undo entries');
+}
+
 /**
  * Check if undo is available
  */
@@ -0,0 +1,114 @@
+/**
+ * IndexedDB Database
+ * Shared connection and helpers for the storage modules
+ */
+
+const DB_NAME = 'latex-editor';
+const DB_VERSION = 4;
+
+export const DOCUMENTS_STORE = 'documents';
+export const VERSIONS_STORE = 'versions';
+export const VERSION_PROJECTS_STORE = 'versionProjects';
+export const THREADS_STORE = 'threads';
+
+let dbPromise = null;
+
+/**
+ * Create any object stores missing from older database versions
+ */
+function upgradeDatabase(db, transaction) {
+  if (!db.objectStoreNames.contains(DOCUMENTS_STORE)) {
+    const store = db.createObjectStore(DOCUMENTS_STORE, { keyPath: 'id' });
+    store.createIndex('updatedAt', 'updatedAt');
+  }
+  if (!db.objectStoreNames.contains(VERSIONS_STORE)) {
+    const store = db.createObjectStore(VERSIONS_STORE, { keyPath: 'id' });
+    store.createIndex('documentId', 'documentId');
+  }
+  if (!db.objectStoreNames.contains(THREADS_STORE)) {
+    const store = db.createObjectStore(THREADS_STORE, { keyPath: 'id' });
+    store.createIndex('documentId', 'documentId');
+  }
+  if (!db.objectStoreNames.contains(VERSION_PROJECTS_STORE)) {
+    const projects = db.createObjectStore(VERSION_PROJECTS_STORE, { keyPath: 'id' });
+
+    // Versions used to hold their project; move it out so listing versions stays light
+    transaction.objectStore(VERSIONS_STORE).openCursor().onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (!cursor) return;
+      const { project, ...version } = cursor.value;
+      if (project) {
+        projects.put({ id: version.id, project });
+        cursor.update(version);
+      }
+      cursor.continue();
+    };
+  }
+}
+
+/**
+ * Open (and create/upgrade) the database
+ */
+export function openDatabase() {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('IndexedDB is not available in this browser'));
+      return;
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => upgradeDatabase(request.result, request.transaction);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+  // Allow a retry after a failed open
+  dbPromise.catch(() => {
+    dbPromise = null;
+  });
+
+  return dbPromise;
+}
+
+/**
+ * Run a single request against an object store and resolve with its result
+ */
+export async function runRequest(storeName, mode, makeRequest) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = makeRequest(transaction.objectStore(storeName));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Run requests against several object stores in one transaction and resolve once it commits
+ * work receives the stores by name and may return a request whose result to resolve with
+ */
+export async function runTransaction(storeNames, mode, work) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeNames, mode);
+    const stores = Object.fromEntries(storeNames.map(name => [name, transaction.objectStore(name)]));
+    const request = work(stores);
+    transaction.oncomplete = () => resolve(request?.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Generate a record id
+ */
+export function createId() {
+  if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+    return crypto.randomUUID();
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
@@ -0,0 +1,125 @@
+/**
+ * Document Store - IndexedDB persistence for documents
+ * Each record: { id, title, project, activeFile, engine, undoHistory, createdAt, updatedAt }
+ */
+
+import { DOCUMENTS_STORE, runRequest, createId } from './database.js';
+
+const CURRENT_DOCUMENT_KEY = 'latex-editor-current-document';
+const PENDING_SAVE_KEY = 'latex-editor-pending-save';
+
+/**
+ * Build a new (unsaved) document record
+ */
+export function createDocumentRecord({ title = 'Untitled', project, activeFile, engine = 'auto' }) {
+  const now = Date.now();
+  return {
+    id: createId(),
+    title,
+    project,
+    activeFile: activeFile || project.mainFile,
+    engine,
+    undoHistory: [],
+    createdAt: now,
+    updatedAt: now
+  };
+}
+
+/**
+ * List documents (metadata only), most recently edited first
+ */
+export async function listDocuments() {
+  const records = await runRequest(DOCUMENTS_STORE, 'readonly', store => store.getAll());
+  return records
+    .map(({ id, title, createdAt, updatedAt }) => ({ id, title, createdAt, updatedAt }))
+    .sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+/**
+ * Load a full document record
+ */
+export async function loadDocument(id) {
+  return (await runRequest(DOCUMENTS_STORE, 'readonly', store => store.get(id))) || null;
+}
+
+/**
+ * Save a document record, stamping updatedAt
+ */
+export async function saveDocument(record) {
+  const saved = { ...record, updatedAt: Date.now() };
+  await runRequest(DOCUMENTS_STORE, 'readwrite', store => store.put(saved));
+  return saved;
+}
+
+/**
+ * Delete a document
+ */
+export async function deleteDocument(id) {
+  await runRequest(DOCUMENTS_STORE, 'readwrite', store => store.delete(id));
+}
+
+/**
+ * Remember which document was open last
+ */
+export function setCurrentDocumentId(id) {
+  try {
+    localStorage.setItem(CURRENT_DOCUMENT_KEY, id);
+  } catch {
+    // Private mode or storage disabled; restoring the most recent document is good enough
+  }
+}
+
+/**
+ * Get the id of the document that was open last
+ */
+export function getCurrentDocumentId() {
+  try {
+    return localStorage.getItem(CURRENT_DOCUMENT_KEY);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Keep a record in localStorage until its IndexedDB save completes
+ * Used when the page is hidden or closed: localStorage writes finish synchronously, IndexedDB
+ * writes may be cut off by the unload
+ */
+export function stashPendingSave(record) {
+  try {
+    localStorage.setItem(PENDING_SAVE_KEY, JSON.stringify({ ...record, updatedAt: Date.now() }));
+  } catch (error) {
+    // Too large for localStorage (figures) or storage disabled; the IndexedDB save may still finish
+    console.warn('[DocumentStore] Could not stash unsaved changes:', error);
+  }
+}
+
+/**
+ * Forget the stashed record once it has been saved
+ */
+export function clearPendingSave() {
+  try {
+    localStorage.removeItem(PENDING_SAVE_KEY);
+  } catch {
+    // Storage disabled; nothing was stashed
+  }
+}
+
+/**
+ * Save a record stashed by an earlier page that closed before its save finished
+ * It is only kept if it is newer than the stored document. Returns the saved record or null
+ */
+export async function recoverPendingSave() {
+  let pending = null;
+  try {
+    pending = JSON.parse(localStorage.getItem(PENDING_SAVE_KEY));
+  } catch {
+    return null;
+  }
+  if (!pending?.id) return null;
+
+  const stored = await loadDocument(pending.id);
+  clearPendingSave();
+  if (!stored || stored.updatedAt >= pending.updatedAt) return null;
+  return saveDocument(pending);
+}
@@ -0,0 +1,62 @@
+/**
+ * Thread Store - IndexedDB persistence for AI chat threads
+ * Each record: { id, documentId, title, messages, createdAt, updatedAt }
+ */
+
+import { THREADS_STORE, runRequest, createId } from './database.js';
+
+/**
+ * Build a new (unsaved) thread for a document
+ */
+export function createThreadRecord(documentId) {
+  const now = Date.now();
+  return {
+    id: createId(),
+    documentId,
+    title: '',
+    messages: [],
+    createdAt: now,
+    updatedAt: now
+  };
+}
+
+/**
+ * List a document's threads, most recently active first
+ */
+export async function listThreads(documentId) {
+  const records = await runRequest(THREADS_STORE, 'readonly', store =>
+    store.index('documentId').getAll(documentId)
+  );
+  return records.sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+/**
+ * Save a thread, stamping updatedAt and titling it after its first user message
+ */
+export async function saveThread(thread) {
+  const firstQuestion = thread.messages.find(message => message.role === 'user');
+  const saved = {
+    ...thread,
+    title: thread.title || (firstQuestion ? firstQuestion.content.slice(0, 60) : ''),
+    updatedAt: Date.now()
+  };
+  await runRequest(THREADS_STORE, 'readwrite', store => store.put(saved));
+  return saved;
+}
+
+/**
+ * Delete a single thread
+ */
+export async function deleteThread(id) {
+  await runRequest(THREADS_STORE, 'readwrite', store => store.delete(id));
+}
+
+/**
+ * Delete every thread of a document
+ */
+export async function deleteThreadsForDocument(documentId) {
+  const threads = await listThreads(documentId);
+  for (const thread of threads) {
+    await deleteThread(thread.id);
+  }
+}
@@ -0,0 +1,146 @@
+/**
+ * Version Store - IndexedDB snapshots of a document's project
+ * Each record: { id, documentId, kind, label, createdAt }; the project itself is kept in a store of
+ * its own ({ id, project }) so listing and pruning versions doesn't load every snapshot
+ * kind is 'manual' (named by the user), 'compile', 'ai' (taken before an AI edit), 'restore' or
+ * 'edit' (the user's own typing, taken on autosave)
+ */
+
+import { VERSIONS_STORE, VERSION_PROJECTS_STORE, runRequest, runTransaction, createId } from './database.js';
+
+// Automatic snapshots beyond this many per document are pruned oldest first; manual ones are kept
+const MAX_AUTOMATIC_VERSIONS = 100;
+
+// Typing saved within this long of an edit version's first save updates that version instead of
+// adding one per autosave
+const EDIT_MERGE_WINDOW_MS = 5 * 60 * 1000;
+
+export const VERSION_KINDS = {
+  manual: 'Snapshot',
+  compile: 'Compiled',
+  ai: 'Before AI edit',
+  restore: 'Before restore',
+  edit: 'Edited'
+};
+
+// Last pending write per document; snapshots are fired without waiting, so each one waits for the
+// previous one instead of reading the version list while it is being changed
+const writeQueues = new Map();
+
+/**
+ * Run a write for a document after the ones already queued for it
+ */
+function queueWrite(documentId, write) {
+  const previous = writeQueues.get(documentId) || Promise.resolve();
+  const next = previous.catch(() => {}).then(write);
+  writeQueues.set(documentId, next);
+
+  const cleanUp = () => {
+    if (writeQueues.get(documentId) === next) writeQueues.delete(documentId);
+  };
+  next.then(cleanUp, cleanUp);
+  return next;
+}
+
+/**
+ * List a document's versions (without their projects), newest first
+ */
+export async function listVersions(documentId) {
+  const records = await runRequest(VERSIONS_STORE, 'readonly', store =>
+    store.index('documentId').getAll(documentId)
+  );
+  return records.sort((a, b) => b.createdAt - a.createdAt);
+}
+
+/**
+ * Load the project saved with a version, or null if it is gone
+ */
+export async function getVersionProject(id) {
+  const record = await runRequest(VERSION_PROJECTS_STORE, 'readonly', store => store.get(id));
+  return record?.project || null;
+}
+
+/**
+ * Save a version record together with its project
+ */
+function putVersion(record, project) {
+  return runTransaction([VERSIONS_STORE, VERSION_PROJECTS_STORE], 'readwrite', stores => {
+    stores[VERSIONS_STORE].put(record);
+    stores[VERSION_PROJECTS_STORE].put({ id: record.id, project });
+  });
+}
+
+/**
+ * Record a snapshot of a project
+ * Automatic snapshots identical to the latest version are skipped; returns the saved record or null
+ */
+export function createVersion(documentId, project, { kind = 'manual', label = '' } = {}) {
+  return queueWrite(documentId, async () => {
+    const versions = await listVersions(documentId);
+    const latest = versions[0];
+
+    if (kind !== 'manual' && latest && JSON.stringify(await getVersionProject(latest.id)) === JSON.stringify(project)) {
+      return null;
+    }
+
+    const now = Date.now();
+    if (kind === 'edit' && latest?.kind === 'edit' && now - (latest.startedAt || latest.createdAt) < EDIT_MERGE_WINDOW_MS) {
+      const merged = { ...latest, startedAt: latest.startedAt || latest.createdAt, createdAt: now };
+      await putVersion(merged, project);
+      return merged;
+    }
+
+    const record = {
+      id: createId(),
+      documentId,
+      kind,
+      label: label.trim(),
+      createdAt: now
+    };
+    await putVersion(record, project);
+
+    const stale = versions.filter(version => version.kind !== 'manual').slice(MAX_AUTOMATIC_VERSIONS - 1);
+    if (stale.length > 0) {
+      await deleteVersions(stale.map(version => version.id));
+    }
+
+    console.log('[VersionStore] Saved', kind, 'version of', documentId);
+    return record;
+  });
+}
+
+/**
+ * Delete versions and their projects in one transaction
+ */
+function deleteVersions(ids) {
+  return runTransaction([VERSIONS_STORE, VERSION_PROJECTS_STORE], 'readwrite', stores => {
+    for (const id of ids) {
+      stores[VERSIONS_STORE].delete(id);
+      stores[VERSION_PROJECTS_STORE].delete(id);
+    }
+  });
+}
+
+/**
+ * Delete a single version
+ */
+export async function deleteVersion(id) {
+  await deleteVersions([id]);
+}
+
+/**
+ * Delete every version of a document
+ */
+export function deleteVersionsForDocument(documentId) {
+  return queueWrite(documentId, async () => {
+    const versions = await listVersions(documentId);
+    await deleteVersions(versions.map(version => version.id));
+  });
+}
+
+/**
+ * Display name for a version
+ */
+export function getVersionLabel(version) {
+  return version.label || VERSION_KINDS[version.kind] || 'Version';
+}
@@ -0,0 +1,92 @@
+/**
+ * Test file for anchor-verified edits
+ * Checks that latex-diff blocks quoting their original lines are applied where those lines are,
+ * relocated when the document has shifted, and rejected when the lines are missing or ambiguous.
+ * Run with: node src/lib/test-anchored-edits.js (exits with 1 on a failure)
+ */
+
+import { parseLatexDiff, resolveLatexDiffs, applyLatexDiffs, anchorDiffBlock } from './latexDiff.js';
+
+const sampleLatex = `\\documentclass{article}
+\\begin{document}
+
+\\section{Introduction}
+This is the introduction.
+
+\\section{Method}
+We measure the thing.
+
+\\end{document}`;
+
+/**
+ * A reply with one latex-diff block
+ */
+const reply = (header, body) => `Here is the change.
+
+\`\`\`latex-diff
+@@ ${header} @@
+${body}
+\`\`\``;
+
+let failures = 0;
+const check = (ok, message) => {
+  console.log(ok ? '  ✅' : '  ❌', message);
+  if (!ok) failures++;
+};
+
+/**
+ * Resolve a reply's blocks against content and apply the ones that could be placed
+ */
+function run(content, response) {
+  const { resolved, rejected } = resolveLatexDiffs(content, parseLatexDiff(response));
+  return { resolved, rejected, result: applyLatexDiffs(content, resolved) };
+}
+
+function testAnchoredEdits() {
+  console.log('=== Testing anchor-verified edits ===\n');
+
+  console.log('Anchor at the stated line:');
+  let outcome = run(sampleLatex, reply('operation:replace line:5 delete:1', '--- original\nThis is the introduction.\n+++\nThis is the new introduction.'));
+  check(outcome.rejected.length === 0 && outcome.resolved[0].relocatedFrom === undefined, 'applied without relocation');
+  check(outcome.result.includes('This is the new introduction.') && !outcome.result.includes('This is the introduction.'), 'the quoted line was replaced');
+
+  console.log('\nDocument shifted by two lines since the model read it:');
+  const shifted = sampleLatex.replace('\\begin{document}', '\\usepackage{amsmath}\n\\usepackage{graphicx}\n\\begin{document}');
+  outcome = run(shifted, reply('operation:replace line:8 delete:1', '--- original\nWe measure the thing.\n+++\nWe measure the thing twice.'));
+  check(outcome.resolved[0]?.line === 10 && outcome.resolved[0].relocatedFrom === 8, `relocated from line 8 to line ${outcome.resolved[0]?.line}`);
+  check(outcome.result.split('\n')[9] === 'We measure the thing twice.', 'the edit landed on the moved line');
+
+  console.log('\nAdd anchored on the lines above the insertion point:');
+  outcome = run(shifted, reply('operation:add line:6', '--- original\n\\section{Introduction}\nThis is the introduction.\n+++\nA second sentence.'));
+  check(outcome.resolved[0]?.line === 8, `inserted at line ${outcome.resolved[0]?.line} (stated 6)`);
+  check(outcome.result.includes('This is the introduction.\nA second sentence.'), 'inserted directly below its anchor');
+
+  console.log('\nAnchor that differs only in whitespace:');
+  outcome = run(sampleLatex, reply('operation:replace line:8 delete:1', '--- original\nWe  measure   the thing.\n+++\nWe estimate the thing.'));
+  check(outcome.resolved[0]?.anchorMatch === 'whitespace', `matched (${outcome.resolved[0]?.anchorMatch})`);
+
+  console.log('\nAnchor that is no longer in the document:');
+  outcome = run(sampleLatex, reply('operation:replace line:8 delete:1', '--- original\nWe guess the thing.\n+++\nWe estimate the thing.'));
+  check(outcome.resolved.length === 0 && /was not found/.test(outcome.rejected[0]?.reason), `rejected: ${outcome.rejected[0]?.reason}`);
+  check(outcome.result === sampleLatex, 'the document is unchanged');
+
+  console.log('\nAnchor matching two places equally far from the stated line:');
+  const repeated = 'a\n\\item Same\nb\nc\nd\n\\item Same\ne';
+  outcome = run(repeated, reply('operation:replace line:4 delete:1', '--- original\n\\item Same\n+++\n\\item Changed'));
+  check(outcome.resolved.length === 0 && /equally well/.test(outcome.rejected[0]?.reason), `rejected: ${outcome.rejected[0]?.reason}`);
+
+  console.log('\nAnchor matching two places, one nearer the stated line:');
+  outcome = run(repeated, reply('operation:replace line:5 delete:1', '--- original\n\\item Same\n+++\n\\item Changed'));
+  check(outcome.resolved[0]?.line === 6, `the nearer one (line ${outcome.resolved[0]?.line}) was chosen`);
+
+  console.log('\nBlock anchored when it was reviewed, applied after other edits:');
+  const reviewed = anchorDiffBlock(sampleLatex, { operation: 'replace', line: 8, deleteCount: 1, insertContent: 'We count the thing.' });
+  check(reviewed.original?.[0] === 'We measure the thing.', 'the targeted line was attached as its anchor');
+  outcome = resolveLatexDiffs(shifted, [reviewed]);
+  check(outcome.resolved[0]?.line === 10, `still finds its line after the shift (line ${outcome.resolved[0]?.line})`);
+
+  console.log(failures === 0 ? '\n✅ All checks passed' : `\n❌ ${failures} check${failures !== 1 ? 's' : ''} failed`);
+  process.exitCode = failures === 0 ? 0 : 1;
+}
+
+testAnchoredEdits();
@@ -0,0 +1,72 @@
+/**
+ * Test file for diff batch validation
+ * Checks that validateDiffBatch reports overlapping, repeated, out-of-range and unknown blocks, and
+ * that applyLatexDiffs applies a batch all or nothing.
+ * Run with: node src/lib/test-batch-validation.js (exits with 1 on a failure)
+ */
+
+import { validateDiffBatch, applyLatexDiffs } from './latexDiff.js';
+
+const sampleLatex = ['line 1', 'line 2', 'line 3', 'line 4', 'line 5', 'line 6', 'line 7', 'line 8'].join('\n');
+
+const replace = (line, deleteCount, insertContent) => ({ operation: 'replace', line, deleteCount, insertContent });
+const remove = (line, deleteCount) => ({ operation: 'delete', line, deleteCount, insertContent: '' });
+const add = (line, insertContent) => ({ operation: 'add', line, deleteCount: 0, insertContent });
+
+let failures = 0;
+const check = (ok, message) => {
+  console.log(ok ? '  ✅' : '  ❌', message);
+  if (!ok) failures++;
+};
+
+/**
+ * Issue types validateDiffBatch reports for a batch
+ */
+const issueTypes = (blocks) => validateDiffBatch(sampleLatex, blocks).issues.map(issue => issue.type);
+
+function testBatchValidation() {
+  console.log('=== Testing diff batch validation ===\n');
+
+  console.log('Valid batches:');
+  check(validateDiffBatch(sampleLatex, [replace(2, 2, 'x'), remove(5, 1), add(8, 'y')]).valid, 'separate replace, delete and add');
+  check(issueTypes([replace(2, 2, 'x'), add(4, 'y')]).length === 0, 'an add just below a replaced range');
+  check(issueTypes([add(3, 'x'), add(5, 'y')]).length === 0, 'adds at different points');
+  check(issueTypes([add(9, 'end')]).length === 0, 'an add after the last line');
+
+  console.log('\nOverlaps:');
+  let result = validateDiffBatch(sampleLatex, [replace(2, 3, 'x'), remove(4, 2)]);
+  check(result.issues[0]?.type === 'overlap' && result.issues[0].index === 1 && result.issues[0].otherIndex === 0, `ranges 2-4 and 4-5: ${result.issues[0]?.message}`);
+  check(issueTypes([replace(2, 3, 'x'), add(2, 'y')])[0] === 'overlap', 'an add at the start of a replaced range');
+  check(issueTypes([remove(2, 3), add(3, 'y')])[0] === 'overlap', 'an add inside a deleted range');
+  check(issueTypes([add(3, 'x'), add(3, 'y')])[0] === 'overlap', 'two different adds at the same point');
+
+  console.log('\nDuplicates:');
+  result = validateDiffBatch(sampleLatex, [replace(3, 1, 'x'), replace(3, 1, 'x')]);
+  check(result.issues.length === 1 && result.issues[0].type === 'duplicate', `a repeated block: ${result.issues[0]?.message}`);
+
+  console.log('\nRange and operation:');
+  check(issueTypes([replace(7, 3, 'x')]).includes('range'), 'a replace running past the last line');
+  check(issueTypes([remove(0, 1)]).includes('range'), 'line 0');
+  check(issueTypes([add(10, 'x')]).includes('range'), 'an add past the end');
+  check(issueTypes([{ operation: 'rename', line: 1, deleteCount: 1, insertContent: '' }])[0] === 'operation', 'an unknown operation');
+
+  console.log('\nApplying:');
+  let error = null;
+  try {
+    applyLatexDiffs(sampleLatex, [replace(1, 1, 'first'), replace(2, 3, 'x'), remove(4, 2)]);
+  } catch (e) {
+    error = e;
+  }
+  check(/^Cannot apply diff blocks: .*overlaps/.test(error?.message), `an overlapping batch is refused (${error?.message})`);
+
+  const applied = applyLatexDiffs(sampleLatex, [add(2, 'inserted'), replace(4, 2, 'four and five'), remove(7, 1)]);
+  check(
+    applied === ['line 1', 'inserted', 'line 2', 'line 3', 'four and five', 'line 6', 'line 8'].join('\n'),
+    'a valid batch applies every block at its original line numbers'
+  );
+
+  console.log(failures === 0 ? '\n✅ All checks passed' : `\n❌ ${failures} check${failures !== 1 ? 's' : ''} failed`);
+  process.exitCode = failures === 0 ? 0 : 1;
+}
+
+testBatchValidation();
@@ -0,0 +1,99 @@
+/**
+ * Test file for the LaTeX log parser
+ * Checks that errors and warnings are attributed to the file TeX was reading when it reported them
+ * (following the "(file" / ")" tokens, including ones on a warning's own lines), and that those tokens
+ * don't end up in the messages.
+ * Run with: node src/lib/test-latex-log.js (exits with 1 on a failure)
+ */
+
+import { parseLatexLog, countDiagnostics, groupWarnings } from './latexLog.js';
+
+// A main file including two chapters; TeX closes a file with ")" at the start of whatever it prints next,
+// which can be a line the warning before it runs on to
+const nestedLog = `This is pdfTeX, Version 3.141592653-2.6-1.40.25
+(./main.tex
+LaTeX2e <2023-11-01>
+(/usr/share/texlive/texmf-dist/tex/latex/base/article.cls
+Document Class: article 2023/05/17 v1.4n Standard LaTeX document class
+(/usr/share/texlive/texmf-dist/tex/latex/base/size10.clo))
+(./chapters/intro.tex
+LaTeX Warning: Reference \`fig:a' on page 1 undefined on input line 3.
+ ) (./chapters/body.tex
+Package hyperref Warning: Token not allowed in a PDF string (Unicode):
+(hyperref)                removing \`math shift' on input line 7.
+
+)
+LaTeX Warning: Citation \`knuth' on page 2 undefined on input line 20.
+
+
+LaTeX Warning: There were undefined references.
+ )
+(./after.tex
+LaTeX Warning: Label(s) may have changed. Rerun to get cross-references right on input line 2.
+
+)`;
+
+const errorLog = `(./main.tex
+(./chapters/intro.tex
+! Undefined control sequence.
+l.12 \\foo
+          bar
+?
+)
+./chapters/body.tex:8: Missing $ inserted.
+<inserted text>
+                $
+l.8 a_b
+
+Overfull \\hbox (12.0pt too wide) in paragraph at lines 20--21
+[]\\OT1/cmr/m/n/10 A very long line
+)
+Warning--I didn't find a database entry for "lamport"`;
+
+let failures = 0;
+const check = (ok, message) => {
+  console.log(ok ? '  ✅' : '  ❌', message);
+  if (!ok) failures++;
+};
+
+/**
+ * "file:line" of a diagnostic, for compact comparisons
+ */
+const location = (diagnostic) => `${diagnostic?.file}:${diagnostic?.line}`;
+
+function testLatexLog() {
+  console.log('=== Testing the LaTeX log parser ===\n');
+
+  console.log('Warnings in nested files:');
+  const warnings = parseLatexLog(nestedLog);
+  check(warnings.length === 5, `found ${warnings.length} warnings`);
+  const expected = ['chapters/intro.tex:3', 'chapters/body.tex:7', 'main.tex:20', 'main.tex:null', 'after.tex:2'];
+  expected.forEach((where, index) => {
+    check(location(warnings[index]) === where, `${warnings[index]?.message.slice(0, 40)}... -> ${location(warnings[index])} (expected ${where})`);
+  });
+  check(warnings.every(warning => !/(^|\s)\)|\(\.\//.test(warning.message)), 'no file tokens in the messages');
+  check(warnings[3]?.message === 'There were undefined references.', 'the closing ")" after a warning is not part of it');
+  check(warnings[1]?.message === "hyperref: Token not allowed in a PDF string (Unicode): removing `math shift' on input line 7.", 'the package warning continuation is joined, keeping its own parentheses');
+  check(warnings.map(warning => warning.category).join() === 'reference,other,citation,reference,reference', 'warnings are categorized');
+
+  console.log('\nErrors, boxes and bibliography messages:');
+  const diagnostics = parseLatexLog(errorLog);
+  const [undefinedSequence, missingDollar, overfull, bibtex] = diagnostics;
+  check(undefinedSequence?.severity === 'error' && location(undefinedSequence) === 'chapters/intro.tex:12', `classic error -> ${location(undefinedSequence)}`);
+  check(undefinedSequence?.context === '\\foo bar', `the error context is the source line (${undefinedSequence?.context})`);
+  check(missingDollar?.message === 'Missing $ inserted.' && location(missingDollar) === 'chapters/body.tex:8', `file:line:error style -> ${location(missingDollar)}`);
+  check(overfull?.category === 'box' && location(overfull) === 'main.tex:20' && overfull.context.startsWith('[]'), `overfull box -> ${location(overfull)}`);
+  check(bibtex?.category === 'citation' && bibtex.message.startsWith('BibTeX:'), 'a missing BibTeX entry is a citation warning');
+
+  const counts = countDiagnostics(diagnostics);
+  check(counts.error === 2 && counts.warning === 2 && counts.info === 0, `counted ${JSON.stringify(counts)}`);
+  const groups = groupWarnings(diagnostics);
+  check(groups.box.length === 1 && groups.citation.length === 1 && !Object.values(groups).flat().some(d => d.category === 'error'), 'grouping leaves out errors');
+
+  check(parseLatexLog('').length === 0, 'an empty log has no diagnostics');
+
+  console.log(failures === 0 ? '\n✅ All checks passed' : `\n❌ ${failures} check${failures !== 1 ? 's' : ''} failed`);
+  process.exitCode = failures === 0 ? 0 : 1;
+}
+
+testLatexLog();
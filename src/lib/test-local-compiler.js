@@ -0,0 +1,95 @@
+/**
+ * Test file for the local compiler backend
+ * Compiles projects with stand-in pdflatex and bibtex scripts that write their outputs the way TeX
+ * does (to the directory they run in, named after the main file), so no TeX installation is needed.
+ * Run with: node src/lib/test-local-compiler.js (exits with 1 on a failure)
+ */
+
+import { mkdtemp, writeFile, chmod, rm } from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import localCompiler from './compile/localCompiler.js';
+
+// Writes <job>.log, <job>.aux and <job>.pdf to the current directory, like pdflatex
+const FAKE_PDFLATEX = `#!/bin/sh
+for arg; do main="$arg"; done
+[ -f "$main" ] || { echo "File $main not found"; exit 1; }
+job=$(basename "$main" .tex)
+echo "This is fake pdflatex, compiling $main" > "$job.log"
+echo "\\\\bibdata{refs}" > "$job.aux"
+printf '%%PDF-1.4 fake' > "$job.pdf"
+`;
+
+// Reads <arg>.aux and writes <arg>.blg, like bibtex
+const FAKE_BIBTEX = `#!/bin/sh
+[ -f "$1.aux" ] || { echo "I couldn't open file name $1.aux" > "$1.blg"; exit 2; }
+echo "This is fake BibTeX, database file #1: refs.bib" > "$1.blg"
+`;
+
+const document = (body) => `\\documentclass{article}
+\\begin{document}
+${body}
+\\end{document}`;
+
+const cases = [
+  {
+    name: 'main file in the project root',
+    mainFile: 'main.tex',
+    files: [{ path: 'main.tex', content: document('Hello') }]
+  },
+  {
+    name: 'main file in a subfolder',
+    mainFile: 'thesis/main.tex',
+    files: [{ path: 'thesis/main.tex', content: document('Hello') }]
+  },
+  {
+    name: 'main file in a subfolder with a BibTeX pass',
+    mainFile: 'thesis/main.tex',
+    files: [
+      { path: 'thesis/main.tex', content: document('\\cite{knuth}\n\\bibliography{refs}') },
+      { path: 'refs.bib', content: '@book{knuth, title={TAOCP}}' }
+    ],
+    bibLog: 'database file #1: refs.bib'
+  }
+];
+
+async function testLocalCompiler() {
+  console.log('=== Testing the Local Compiler with stand-in TeX tools ===\n');
+
+  const binDir = await mkdtemp(path.join(os.tmpdir(), 'fake-tex-'));
+  await writeFile(path.join(binDir, 'pdflatex'), FAKE_PDFLATEX);
+  await writeFile(path.join(binDir, 'bibtex'), FAKE_BIBTEX);
+  await chmod(path.join(binDir, 'pdflatex'), 0o755);
+  await chmod(path.join(binDir, 'bibtex'), 0o755);
+
+  process.env.LATEX_LOCAL_COMMAND = 'engine';
+  process.env.LATEX_BIN_DIR = binDir;
+
+  let failures = 0;
+  const check = (ok, message) => {
+    console.log(ok ? '  ✅' : '  ❌', message);
+    if (!ok) failures++;
+  };
+
+  try {
+    for (const testCase of cases) {
+      console.log('Case:', testCase.name);
+      const result = await localCompiler.compile({ files: testCase.files, mainFile: testCase.mainFile, engine: 'pdflatex' });
+
+      check(result.success, `compiled${result.success ? '' : `: ${result.log}`}`);
+      check(result.pdf?.toString().startsWith('%PDF'), 'returned the PDF');
+      check(result.log.includes(`compiling ./${testCase.mainFile}`), 'returned the LaTeX log');
+      if (testCase.bibLog) {
+        check(result.log.includes(testCase.bibLog), 'the BibTeX pass read the .aux and its log was appended');
+      }
+      console.log();
+    }
+  } finally {
+    await rm(binDir, { recursive: true, force: true });
+  }
+
+  console.log(failures === 0 ? '✅ All checks passed' : `❌ ${failures} check${failures !== 1 ? 's' : ''} failed`);
+  process.exitCode = failures === 0 ? 0 : 1;
+}
+
+testLocalCompiler();
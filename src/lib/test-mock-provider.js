@@ -0,0 +1,183 @@
+/**
+ * Test file for the mock AI provider
+ * Sends askAI's requests through the /api/ai-chat route handler with AI_PROVIDER=mock, checks the
+ * streamed replies against the fixtures in fixtures/ai and the edited documents against the
+ * expected results, and that malformed requests are refused. Run with:
+ * node src/lib/test-mock-provider.js (exits with 1 on a failure)
+ */
+
+import { register } from 'node:module';
+import { loadFixtures } from './ai/mockProvider.js';
+import { initializeDocument, askAI, getDocument } from './simpleAgent.js';
+
+// Next.js resolves the route's 'next/server' import when it bundles; plain Node needs the file name
+register('data:text/javascript,' + encodeURIComponent(
+  "export async function resolve(specifier, context, next) { return next(specifier === 'next/server' ? 'next/server.js' : specifier, context); }"
+), import.meta.url);
+
+// Sample LaTeX content (the editor's sample document)
+const sampleLatex = `\\documentclass{article}
+\\usepackage{amsmath}
+\\usepackage{amsfonts}
+\\usepackage{amssymb}
+
+\\title{Sample LaTeX Document}
+\\author{Your Name}
+\\date{\\today}
+
+\\begin{document}
+
+\\maketitle
+
+\\section{Introduction}
+This is a sample LaTeX document. You can write mathematical expressions like $E = mc^2$ inline, or display them in blocks:
+
+\\[
+\\int_{-\\infty}^{\\infty} e^{-x^2} dx = \\sqrt{\\pi}
+\\]
+
+\\section{More Examples}
+Here are some more mathematical expressions:
+
+\\begin{align}
+f(x) &= ax^2 + bx + c \\\\
+g(x) &= \\sin(x) + \\cos(x) \\\\
+h(x) &= \\frac{1}{x^2 + 1}
+\\end{align}
+
+\\section{Lists and Text}
+\\begin{itemize}
+\\item First item
+\\item Second item with $\\alpha + \\beta = \\gamma$
+\\item Third item
+\\end{itemize}
+
+\\end{document}`;
+
+const cases = [
+  {
+    request: 'Rename the introduction please',
+    fixture: 'rename-introduction',
+    expected: sampleLatex.replace('\\section{Introduction}', '\\section{Overview}')
+  },
+  {
+    request: 'Can you number the equation?',
+    fixture: 'number-equation',
+    expected: sampleLatex
+      .replace('or display them in blocks:', 'or display them in numbered blocks such as Equation~\\eqref{eq:gaussian}:')
+      .replace(
+        '\\[\n\\int_{-\\infty}^{\\infty} e^{-x^2} dx = \\sqrt{\\pi}\n\\]',
+        '\\begin{equation}\n\\int_{-\\infty}^{\\infty} e^{-x^2} dx = \\sqrt{\\pi}\n\\label{eq:gaussian}\n\\end{equation}'
+      )
+  },
+  {
+    request: 'Add a conclusion',
+    fixture: 'add-conclusion',
+    expected: sampleLatex.replace(
+      '\\end{itemize}\n\n\\end{document}',
+      '\\end{itemize}\n\n\\section{Conclusion}\nThis document showed inline and display mathematics, aligned equations and lists.\n\n\\end{document}'
+    )
+  },
+  {
+    request: 'Hello there',
+    fixture: 'default',
+    expected: sampleLatex
+  },
+  {
+    request: 'Simulate an error',
+    error: 'Mock API Error: 429 - Rate limit reached for requests (mock)',
+    expected: sampleLatex
+  }
+];
+
+async function testMockProvider() {
+  console.log('=== Testing the Mock AI Provider through /api/ai-chat ===\n');
+  
+  // Set before the route is loaded; the route reads them per request
+  process.env.AI_PROVIDER = 'mock';
+  process.env.AI_MOCK_CHUNK_DELAY_MS = '0';
+  const route = await import('../app/api/ai-chat/route.js');
+  const usageRoute = await import('../app/api/ai-usage/route.js');
+  const fixtures = await loadFixtures();
+  
+  // askAI fetches the relative URL /api/ai-chat; hand those requests to the route handler, keeping
+  // the session cookie it sets the way a browser would
+  let sessionCookie = '';
+  const withSession = (cookie) => cookie ? { Cookie: cookie } : {};
+  globalThis.fetch = async (url, init = {}) => {
+    const request = new Request(new URL(url, 'http://localhost'), {
+      ...init,
+      headers: { ...init.headers, ...withSession(sessionCookie) }
+    });
+    const response = await (request.method === 'POST' ? route.POST(request) : route.GET(request));
+    const setCookie = response.headers.get('set-cookie');
+    if (setCookie) sessionCookie = setCookie.split(';')[0];
+    return response;
+  };
+  
+  let failures = 0;
+  const check = (ok, message) => {
+    console.log(ok ? '  ✅' : '  ❌', message);
+    if (!ok) failures++;
+  };
+  
+  for (const testCase of cases) {
+    initializeDocument(sampleLatex, null);
+    console.log('Request:', testCase.request);
+    
+    let streamed = '';
+    let chunks = 0;
+    try {
+      const result = await askAI(testCase.request, (content) => {
+        streamed += content;
+        chunks++;
+      });
+      check(!testCase.error, `answered in ${chunks} streamed chunks`);
+      
+      const fixture = fixtures.find(candidate => candidate.name === testCase.fixture);
+      check(streamed === fixture.response, `streamed reply matches fixture ${testCase.fixture}`);
+      check(result.documentUpdated === (testCase.expected !== sampleLatex), `document updated: ${result.documentUpdated}`);
+      if (result.rejected?.length > 0) console.log('  Rejected:', result.rejected.map(r => r.reason));
+    } catch (error) {
+      check(error.message === testCase.error, `error: ${error.message}`);
+    }
+    check(getDocument() === testCase.expected, 'document matches the expected result');
+    console.log();
+  }
+  
+  // Malformed requests are refused before they reach the provider or use any quota
+  console.log('Malformed requests:');
+  const malformed = ['not json', '{}', '{"messages":"hi"}', '{"messages":[{"role":"tool","content":"x"}]}', '{"messages":[{"role":"user"}]}'];
+  for (const body of malformed) {
+    const response = await route.POST(new Request('http://localhost/api/ai-chat', { method: 'POST', body }));
+    const { error } = await response.json();
+    check(response.status === 400, `${body} -> ${response.status} ${error}`);
+  }
+  console.log();
+
+  // The route metered the streams; the mock reports usage, so none of it is estimated
+  const usage = await (await usageRoute.GET(new Request('http://localhost/api/ai-usage', { headers: withSession(sessionCookie) }))).json();
+  console.log('Usage recorded by the route:', usage.requests, 'requests,', usage.totalTokens, 'tokens');
+  check(usage.requests === cases.filter(testCase => !testCase.error).length, 'one usage entry per answered request');
+  check(usage.estimatedRequests === 0, 'token counts come from the streamed usage');
+  
+
+  // Without trusted proxies each browser session has its own quota; a cookie we didn't sign starts a new one
+  console.log('\nSessions:');
+  const quotaFor = async (cookie) => {
+    const response = await route.GET(new Request('http://localhost/api/ai-chat', { headers: withSession(cookie) }));
+    return { ...(await response.json()), newSession: response.headers.has('set-cookie') };
+  };
+  const own = await quotaFor(sessionCookie);
+  // Every case reached the provider (the mock's 429 included), so each one counted
+  check(!own.newSession && own.remaining === own.limit - cases.length, `this session has ${own.remaining} of ${own.limit} requests left`);
+  const other = await quotaFor('');
+  check(other.newSession && other.remaining === other.limit, `a new session gets its own quota (${other.remaining} left)`);
+  const forged = await quotaFor(`${sessionCookie.split('.')[0]}.forged`);
+  check(forged.newSession && forged.remaining === forged.limit, 'a forged session cookie is replaced with a new session');
+
+  console.log(failures === 0 ? '\n✅ All checks passed' : `\n❌ ${failures} check${failures !== 1 ? 's' : ''} failed`);
+  process.exitCode = failures === 0 ? 0 : 1;
+}
+
+testMockProvider();
@@ -0,0 +1,87 @@
+/**
+ * Test file for search/replace edits
+ * Checks that SEARCH/REPLACE pairs are placed by their text (keeping what surrounds the match on its
+ * lines) and rejected when the text is missing or found more than once.
+ * Run with: node src/lib/test-search-replace.js (exits with 1 on a failure)
+ */
+
+import { parseLatexDiff, resolveLatexDiffs, applyLatexDiffs } from './latexDiff.js';
+
+const sampleLatex = `\\documentclass{article}
+\\begin{document}
+
+\\section{Introduction}
+This is the introduction. It has two sentences.
+
+\\begin{itemize}
+  \\item First
+  \\item Second
+\\end{itemize}
+
+\\section{Method}
+We measure the thing.
+
+\\end{document}`;
+
+/**
+ * A reply with one latex-diff block holding the given SEARCH/REPLACE pairs
+ */
+const reply = (...pairs) => `Here is the change.
+
+\`\`\`latex-diff
+${pairs.map(([search, replace]) => `<<<<<<< SEARCH\n${search}\n=======\n${replace}\n>>>>>>> REPLACE`).join('\n')}
+\`\`\``;
+
+let failures = 0;
+const check = (ok, message) => {
+  console.log(ok ? '  ✅' : '  ❌', message);
+  if (!ok) failures++;
+};
+
+function testSearchReplace() {
+  console.log('=== Testing search/replace edits ===\n');
+
+  console.log('Parsing:');
+  const blocks = parseLatexDiff(reply(['We measure the thing.', 'We count the thing.'], ['\\item First', '\\item Zeroth\n  \\item First']));
+  check(blocks.length === 2 && blocks.every(block => block.operation === 'search-replace'), 'two pairs in one block give two edits');
+  check(blocks[1].insertContent === '\\item Zeroth\n  \\item First', 'the replacement keeps its indentation');
+
+  console.log('\nUnique match in the middle of a line:');
+  let outcome = resolveLatexDiffs(sampleLatex, parseLatexDiff(reply(['It has two sentences.', 'It has three sentences.'])));
+  const [replace] = outcome.resolved;
+  check(replace?.operation === 'replace' && replace.line === 5 && replace.deleteCount === 1, `became a replace of line ${replace?.line}`);
+  check(replace?.insertContent === 'This is the introduction. It has three sentences.', 'the rest of the line was kept');
+  check(replace?.anchorMatch === 'exact', 'matched exactly');
+
+  console.log('\nMatch spanning lines with different indentation:');
+  outcome = resolveLatexDiffs(sampleLatex, parseLatexDiff(reply(['\\item First\n\\item Second', '\\item One\n  \\item Two'])));
+  check(outcome.resolved[0]?.line === 8 && outcome.resolved[0].deleteCount === 2, `replaced lines ${outcome.resolved[0]?.line}-9`);
+  check(outcome.resolved[0]?.anchorMatch === 'whitespace', 'matched ignoring whitespace');
+  check(outcome.resolved[0]?.insertContent === '  \\item One\n  \\item Two', 'the indentation before the match was kept');
+
+  console.log('\nText that appears more than once:');
+  outcome = resolveLatexDiffs(sampleLatex, parseLatexDiff(reply(['\\section', '\\subsection'])));
+  check(outcome.resolved.length === 0 && /is ambiguous \(found 2 times\)/.test(outcome.rejected[0]?.reason), `rejected: ${outcome.rejected[0]?.reason}`);
+
+  console.log('\nText that is not in the document:');
+  outcome = resolveLatexDiffs(sampleLatex, parseLatexDiff(reply(['We guess the thing.', 'We count the thing.'])));
+  check(outcome.resolved.length === 0 && /was not found/.test(outcome.rejected[0]?.reason), `rejected: ${outcome.rejected[0]?.reason}`);
+
+  console.log('\nApplying:');
+  const result = applyLatexDiffs(sampleLatex, parseLatexDiff(reply(['We measure the thing.', 'We count the thing.'], ['\\section{Introduction}', '\\section{Overview}'])));
+  check(result.includes('We count the thing.') && result.includes('\\section{Overview}'), 'both pairs were applied');
+  check(result.split('\n').length === sampleLatex.split('\n').length, 'no lines were added or lost');
+
+  let error = null;
+  try {
+    applyLatexDiffs(sampleLatex, parseLatexDiff(reply(['We measure the thing.', 'We count the thing.'], ['\\item', '\\item Changed'])));
+  } catch (e) {
+    error = e;
+  }
+  check(/Cannot apply search\/replace edit: .*ambiguous/.test(error?.message), `an ambiguous pair fails the batch (${error?.message})`);
+
+  console.log(failures === 0 ? '\n✅ All checks passed' : `\n❌ ${failures} check${failures !== 1 ? 's' : ''} failed`);
+  process.exitCode = failures === 0 ? 0 : 1;
+}
+
+testSearchReplace();
@@ -0,0 +1,121 @@
+/**
+ * Test file for structural edit operations
+ * Checks the outline parser and that replace-section, move-section, insert-after and wrap blocks are
+ * compiled to the right line edits, or rejected when their section or label can't be used.
+ * Run with: node src/lib/test-structural-ops.js (exits with 1 on a failure)
+ */
+
+import { parseOutline } from './latexOutline.js';
+import { parseLatexDiff, resolveLatexDiffs, applyLatexDiffs } from './latexDiff.js';
+
+const sampleLatex = `\\documentclass{article}
+\\begin{document}
+
+\\section{Introduction}
+Old introduction.
+
+\\section{Results}
+Old results.
+
+\\subsection{Details}
+Some details.
+
+\\begin{figure}
+  \\includegraphics{plot}
+  \\label{fig:plot}
+\\end{figure}
+
+\\section{Conclusion}
+The end.
+
+\\end{document}`;
+
+/**
+ * A reply with one structural latex-diff block
+ */
+const reply = (header, body = '') => `Here is the change.
+
+\`\`\`latex-diff
+@@ ${header} @@
+${body}
+\`\`\``;
+
+/**
+ * Apply a reply's blocks to the sample, or return the reason the first one was rejected
+ */
+function run(response, content = sampleLatex) {
+  const { resolved, rejected } = resolveLatexDiffs(content, parseLatexDiff(response));
+  if (rejected.length > 0) return { error: rejected[0].reason };
+  return { result: applyLatexDiffs(content, resolved) };
+}
+
+/**
+ * Section titles of a document, in order
+ */
+const titles = (content) => parseOutline(content).sections.map(section => section.title).join(', ');
+
+let failures = 0;
+const check = (ok, message) => {
+  console.log(ok ? '  ✅' : '  ❌', message);
+  if (!ok) failures++;
+};
+
+function testStructuralOps() {
+  console.log('=== Testing structural edit operations ===\n');
+
+  console.log('Outline:');
+  const outline = parseOutline(sampleLatex);
+  const results = outline.sections.find(section => section.title === 'Results');
+  check(titles(sampleLatex) === 'Introduction, Results, Details, Conclusion', 'finds every heading');
+  check(results.line === 7 && results.bodyEnd === 9 && results.end === 17, `Results runs to line ${results.end}, its own text to line ${results.bodyEnd}`);
+  check(outline.labels[0]?.label === 'fig:plot' && outline.labels[0].environment?.name === 'figure', 'the label belongs to the figure');
+  check(outline.documentEnd === 21, 'finds \\end{document}');
+
+  console.log('\nreplace-section:');
+  let outcome = run(reply('operation:replace-section section:"Results"', 'New results.\nOver two lines.'));
+  check(outcome.result?.includes('\\section{Results}\nNew results.\nOver two lines.\n\n\\subsection{Details}'), 'replaces the text under the heading');
+  check(!outcome.result?.includes('Old results.') && outcome.result?.includes('Some details.'), 'keeps the subsections');
+
+  console.log('\nmove-section:');
+  outcome = run(reply('operation:move-section section:"Conclusion" before:"Introduction"'));
+  check(titles(outcome.result || '') === 'Conclusion, Introduction, Results, Details', `before: ${outcome.error || titles(outcome.result)}`);
+  outcome = run(reply('operation:move-section section:"Introduction" after:"Results"'));
+  check(titles(outcome.result || '') === 'Results, Details, Introduction, Conclusion', `after, with the subsections: ${outcome.error || titles(outcome.result)}`);
+  check(outcome.result?.split('\n').length === sampleLatex.split('\n').length, 'no lines were added or lost');
+
+  console.log('\ninsert-after:');
+  outcome = run(reply('operation:insert-after label:"fig:plot"', 'See Figure~\\ref{fig:plot}.'));
+  check(outcome.result?.includes('\\end{figure}\nSee Figure~\\ref{fig:plot}.'), 'after the environment holding the label');
+  outcome = run(reply('operation:insert-after section:"Introduction"', 'A new paragraph.'));
+  check(outcome.result?.includes('Old introduction.\nA new paragraph.\n\n\\section{Results}'), 'at the end of a section, before its trailing blank line');
+
+  console.log('\nwrap:');
+  outcome = run(reply('operation:wrap environment:center line:5 delete:1'));
+  check(outcome.result?.includes('\\begin{center}\nOld introduction.\n\\end{center}'), 'wraps the lines in the environment');
+
+  console.log('\nRejected:');
+  outcome = run(reply('operation:replace-section section:"Method"', 'Text.'));
+  check(/was not found/.test(outcome.error), `a missing section: ${outcome.error}`);
+  const twoResults = sampleLatex.replace('\\section{Conclusion}', '\\section{Results}');
+  outcome = run(reply('operation:replace-section section:"Results"', 'Text.'), twoResults);
+  check(/is ambiguous/.test(outcome.error), `a title used twice: ${outcome.error}`);
+  outcome = run(reply('operation:move-section section:"Results" before:"Details"'));
+  check(/inside itself/.test(outcome.error), `moving a section into its own subsection: ${outcome.error}`);
+  outcome = run(reply('operation:move-section section:"Results" after:"Introduction"'));
+  check(/already there/.test(outcome.error), `moving a section where it is: ${outcome.error}`);
+  outcome = run(reply('operation:insert-after label:"fig:missing"', 'Text.'));
+  check(/was not found/.test(outcome.error), `a missing label: ${outcome.error}`);
+
+  let error = null;
+  try {
+    applyLatexDiffs(sampleLatex, parseLatexDiff(reply('operation:replace-section section:"Method"', 'Text.')));
+  } catch (e) {
+    error = e;
+  }
+  check(/^Cannot apply replace-section edit/.test(error?.message), 'applyLatexDiffs refuses the batch');
+
+  console.log(failures === 0 ? '\n✅ All checks passed' : `\n❌ ${failures} check${failures !== 1 ? 's' : ''} failed`);
+  process.exitCode = failures === 0 ? 0 : 1;
+}
+
+testStructuralOps();
@@ -0,0 +1,156 @@
+/**
+ * Test file for the text diff and three-way merge
+ * Checks that diffSequences produces minimal edit scripts, that merge3 combines separate edits and
+ * reports overlapping ones as conflicts, that a conflicting merge survives packMerge/unpackMerge,
+ * and that diffInline marks only what changed in a line.
+ * Run with: node src/lib/test-text-diff.js (exits with 1 on a failure)
+ */
+
+import { diffSequences, merge3, resolveMerge, packMerge, unpackMerge, diffInline } from './textDiff.js';
+
+let failures = 0;
+const check = (ok, message) => {
+  console.log(ok ? '  ✅' : '  ❌', message);
+  if (!ok) failures++;
+};
+
+/**
+ * Small seeded random number generator, so failures can be reproduced
+ */
+function createRandom(seed) {
+  return () => {
+    seed = (Math.imul(seed, 1664525) + 1013904223) >>> 0;
+    return seed / 2 ** 32;
+  };
+}
+
+/**
+ * Length of the longest common subsequence, by dynamic programming
+ */
+function lcsLength(a, b) {
+  let previous = new Array(b.length + 1).fill(0);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [0];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = a[i - 1] === b[j - 1] ? previous[j - 1] + 1 : Math.max(previous[j], current[j - 1]);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Check that ops turn a into b, walking both sequences in order
+ */
+function opsRebuild(ops, a, b) {
+  let aIndex = 0;
+  let bIndex = 0;
+  for (const op of ops) {
+    if (op.type === 'equal') {
+      if (op.aIndex !== aIndex++ || op.bIndex !== bIndex++ || a[op.aIndex] !== b[op.bIndex]) return false;
+    } else if (op.type === 'delete') {
+      if (op.aIndex !== aIndex++) return false;
+    } else if (op.bIndex !== bIndex++) {
+      return false;
+    }
+  }
+  return aIndex === a.length && bIndex === b.length;
+}
+
+function testDiffSequences() {
+  console.log('diffSequences:');
+  const random = createRandom(42);
+  const randomSequence = () => Array.from({ length: Math.floor(random() * 40) }, () => 'abcd'[Math.floor(random() * 4)]);
+
+  let invalid = 0;
+  let longer = 0;
+  for (let run = 0; run < 500; run++) {
+    const a = randomSequence();
+    const b = randomSequence();
+    const ops = diffSequences(a, b);
+    if (!opsRebuild(ops, a, b)) invalid++;
+    if (ops.filter(op => op.type === 'equal').length !== lcsLength(a, b)) longer++;
+  }
+  check(invalid === 0, `500 random pairs: every script turns the first sequence into the second (${invalid} wrong)`);
+  check(longer === 0, `every script keeps a longest common subsequence (${longer} not minimal)`);
+  check(diffSequences([], []).length === 0, 'two empty sequences give no ops');
+}
+
+function testMerge3() {
+  console.log('\nmerge3:');
+  const base = ['\\section{A}', 'one', 'two', 'three', '\\section{B}', 'four', 'five'].join('\n');
+
+  let result = merge3(base, base.replace('one', 'ONE'), base.replace('five', 'FIVE'));
+  check(result.conflicts === 0 && result.text === base.replace('one', 'ONE').replace('five', 'FIVE'), 'edits to different lines are combined');
+
+  result = merge3(base, base.replace('two', 'TWO'), base.replace('two', 'TWO'));
+  check(result.conflicts === 0 && result.text === base.replace('two', 'TWO'), 'the same edit on both sides is taken once');
+
+  result = merge3(base, base.replace('one', 'one\nmine added'), base.replace('three', 'THREE'));
+  check(result.conflicts === 0 && result.text === base.replace('one', 'one\nmine added').replace('three', 'THREE'), 'an insertion away from the other side\'s change is combined');
+
+  result = merge3(base, base.replace('three', 'three\nmine added'), base.replace('\\section{B}', '\\section{Bee}'));
+  check(result.conflicts === 1, 'an insertion at the start of the other side\'s change conflicts');
+
+  result = merge3(base, base.replace('two', 'mine'), base.replace('two', 'theirs'));
+  const conflict = result.chunks.find(chunk => chunk.type === 'conflict');
+  check(result.conflicts === 1 && result.text === null, 'different edits to the same line conflict');
+  check(conflict?.base.join() === 'two' && conflict.mine.join() === 'mine' && conflict.theirs.join() === 'theirs', 'the conflict holds the base, mine and theirs lines');
+  check(resolveMerge(result.chunks, ['theirs']) === base.replace('two', 'theirs'), 'resolving the conflict as theirs');
+  check(resolveMerge(result.chunks, []) === base.replace('two', 'mine'), 'resolving the conflict as mine by default');
+
+  result = merge3(base, base.replace('two', 'two\nmine'), base.replace('two', 'two\ntheirs'));
+  check(result.conflicts === 1, 'two different insertions at the same place conflict');
+
+  result = merge3(base, base.replace('one\ntwo\nthree', 'rewritten'), base.replace('two', 'TWO'));
+  check(result.conflicts === 1, 'an edit inside a range the other side replaced conflicts');
+}
+
+function testPackMerge() {
+  console.log('\npackMerge / unpackMerge:');
+  const lines = Array.from({ length: 30 }, (_, i) => `line ${i + 1}`);
+  const base = lines.join('\n');
+  const mine = base.replace('line 3\n', 'line 3 mine\n').replace('line 20\n', 'line 20 both\n');
+  const theirs = base.replace('line 3\n', 'line 3 theirs\n').replace('line 20\n', 'line 20 both\n').replace('line 28', 'line 28 theirs');
+  const result = merge3(base, mine, theirs);
+  const merge = { path: 'main.tex', base, mine, theirs, chunks: result.chunks, conflicts: result.conflicts, description: 'Edit' };
+
+  const packed = packMerge(merge);
+  check(packed.packed && packed.chunks.length === 1 && packed.base === undefined && packed.theirs === undefined, 'only the conflict is kept, not the three texts');
+  check(JSON.stringify(packed).length < JSON.stringify(merge).length / 2, 'the packed merge is much smaller');
+
+  const unpacked = unpackMerge(JSON.parse(JSON.stringify(packed)), mine);
+  check(unpacked?.conflicts === 1, 'unpacks against the same document');
+  for (const choice of ['mine', 'theirs']) {
+    check(resolveMerge(unpacked.chunks, [choice]) === resolveMerge(merge.chunks, [choice]), `resolving as ${choice} gives the same text as the original merge`);
+  }
+  check(unpackMerge(packed, mine + '\nmore') === null, 'a document that changed since is refused');
+}
+
+function testDiffInline() {
+  console.log('\ndiffInline:');
+  const changed = (segments) => segments.filter(segment => segment.changed).map(segment => segment.text);
+
+  let result = diffInline('We measure the thing.', 'We count the thing.');
+  check(changed(result.before).join() === 'measure' && changed(result.after).join() === 'count', 'a replaced word is the only change');
+  check(result.after.map(segment => segment.text).join('') === 'We count the thing.', 'the segments rebuild the new line');
+
+  result = diffInline('see \\emph{teh} result', 'see \\emph{the} result');
+  check(changed(result.after).join('').length <= 2 && result.after.map(segment => segment.text).join('') === 'see \\emph{the} result', 'a typo inside a command marks only the letters');
+
+  check(diffInline('completely different', 'nothing alike here') === null, 'lines with little in common are shown whole');
+}
+
+function testTextDiff() {
+  console.log('=== Testing the text diff and three-way merge ===\n');
+
+  testDiffSequences();
+  testMerge3();
+  testPackMerge();
+  testDiffInline();
+
+  console.log(failures === 0 ? '\n✅ All checks passed' : `\n❌ ${failures} check${failures !== 1 ? 's' : ''} failed`);
+  process.exitCode = failures === 0 ? 0 : 1;
+}
+
+testTextDiff();
@@ -0,0 +1,556 @@
+/**
+ * Text Diff
+ * Generic sequence/line diff (Myers) used for comparing document versions
+ */
+
+// How many edits one bisection searches from each end before treating its range as replaced
+// outright, so large, mostly different texts can't stall the page
+const MAX_SEARCH_EDITS = 5000;
+
+/**
+ * Diff two sequences with Myers' algorithm (the linear-space variant, so memory stays proportional
+ * to the input whatever the number of changes)
+ * Returns ops in order: { type: 'equal' | 'delete' | 'insert', aIndex, bIndex }
+ * (aIndex is set for equal/delete, bIndex for equal/insert)
+ */
+export function diffSequences(a, b, equals = (x, y) => x === y) {
+  const ops = [];
+  diffRange(a, b, equals, 0, a.length, 0, b.length, ops);
+  return ops;
+}
+
+/**
+ * Diff a[aStart, aEnd) against b[bStart, bEnd), appending the ops
+ */
+function diffRange(a, b, equals, aStart, aEnd, bStart, bEnd, ops) {
+  // Common prefix and suffix are cheap to strip and keep the edit graph small
+  let prefix = 0;
+  while (aStart + prefix < aEnd && bStart + prefix < bEnd && equals(a[aStart + prefix], b[bStart + prefix])) {
+    prefix++;
+  }
+  let suffix = 0;
+  while (
+    aEnd - suffix > aStart + prefix &&
+    bEnd - suffix > bStart + prefix &&
+    equals(a[aEnd - 1 - suffix], b[bEnd - 1 - suffix])
+  ) {
+    suffix++;
+  }
+
+  for (let i = 0; i < prefix; i++) {
+    ops.push({ type: 'equal', aIndex: aStart + i, bIndex: bStart + i });
+  }
+
+  const fromA = aStart + prefix;
+  const toA = aEnd - suffix;
+  const fromB = bStart + prefix;
+  const toB = bEnd - suffix;
+  const split = fromA < toA && fromB < toB ? middleSnake(a, b, equals, fromA, toA, fromB, toB) : null;
+
+  if (split) {
+    diffRange(a, b, equals, fromA, split.x, fromB, split.y, ops);
+    diffRange(a, b, equals, split.x, toA, split.y, toB, ops);
+  } else {
+    for (let i = fromA; i < toA; i++) {
+      ops.push({ type: 'delete', aIndex: i });
+    }
+    for (let i = fromB; i < toB; i++) {
+      ops.push({ type: 'insert', bIndex: i });
+    }
+  }
+
+  for (let i = suffix; i > 0; i--) {
+    ops.push({ type: 'equal', aIndex: aEnd - i, bIndex: bEnd - i });
+  }
+}
+
+/**
+ * Find where the shortest edit script of two non-empty ranges crosses its middle, searching from
+ * both ends at once; returns the point { x, y } (indices into a and b) to split the ranges at, or
+ * null when the ranges share nothing within the work limit and are best replaced as a whole
+ */
+function middleSnake(a, b, equals, aStart, aEnd, bStart, bEnd) {
+  const n = aEnd - aStart;
+  const m = bEnd - bStart;
+  const maxD = Math.min(Math.ceil((n + m) / 2), MAX_SEARCH_EDITS);
+  const offset = maxD + 1;
+  // Furthest x reached on each diagonal k (at offset + k), searching forwards and backwards
+  const forward = new Int32Array(2 * offset + 1).fill(-1);
+  const backward = new Int32Array(2 * offset + 1).fill(-1);
+  forward[offset + 1] = 0;
+  backward[offset + 1] = 0;
+  const delta = n - m;
+  // With an odd delta the paths meet while extending forwards, otherwise backwards
+  const checkForward = delta % 2 !== 0;
+
+  for (let d = 0; d <= maxD; d++) {
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && forward[offset + k - 1] < forward[offset + k + 1]))
+        ? forward[offset + k + 1]
+        : forward[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && equals(a[aStart + x], b[bStart + y])) {
+        x++;
+        y++;
+      }
+      forward[offset + k] = x;
+      if (x > n || y > m) continue;
+
+      // The backward search has covered diagonals up to d - 1 so far
+      const reverseK = delta - k;
+      if (checkForward && reverseK > -d && reverseK < d && onGrid(backward[offset + reverseK], reverseK, n, m)
+        && x >= n - backward[offset + reverseK]) {
+        return splitPoint(aStart, bStart, x, y, n, m);
+      }
+    }
+
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && backward[offset + k - 1] < backward[offset + k + 1]))
+        ? backward[offset + k + 1]
+        : backward[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && equals(a[aEnd - 1 - x], b[bEnd - 1 - y])) {
+        x++;
+        y++;
+      }
+      backward[offset + k] = x;
+      if (x > n || y > m) continue;
+
+      const forwardK = delta - k;
+      if (!checkForward && forwardK >= -d && forwardK <= d && onGrid(forward[offset + forwardK], forwardK, n, m)
+        && forward[offset + forwardK] >= n - x) {
+        const forwardX = forward[offset + forwardK];
+        return splitPoint(aStart, bStart, forwardX, forwardX - forwardK, n, m);
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Whether a search reached x on diagonal k without running off the n x m edit graph
+ */
+function onGrid(x, k, n, m) {
+  return x >= 0 && x <= n && x - k >= 0 && x - k <= m;
+}
+
+/**
+ * Turn a meeting point into absolute split indices, refusing splits that would not shrink the ranges
+ */
+function splitPoint(aStart, bStart, x, y, n, m) {
+  if ((x === 0 && y === 0) || (x === n && y === m)) return null;
+  return { x: aStart + x, y: bStart + y };
+}
+
+/**
+ * Line diff of two texts
+ * Returns [{ type, text, oldLine, newLine }] with 1-based line numbers (null on the missing side)
+ */
+export function diffLines(oldText, newText) {
+  const oldLines = oldText.split('\n');
+  const newLines = newText.split('\n');
+
+  return diffSequences(oldLines, newLines).map(op => ({
+    type: op.type,
+    text: op.type === 'insert' ? newLines[op.bIndex] : oldLines[op.aIndex],
+    oldLine: op.aIndex === undefined ? null : op.aIndex + 1,
+    newLine: op.bIndex === undefined ? null : op.bIndex + 1
+  }));
+}
+
+/**
+ * Pair up a line diff into side-by-side rows
+ * Each row: { type: 'equal' | 'change' | 'delete' | 'insert', left: { line, text } | null, right: { line, text } | null }
+ */
+export function buildSideBySide(oldText, newText) {
+  const lines = diffLines(oldText, newText);
+  const rows = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    if (lines[i].type === 'equal') {
+      const { text, oldLine, newLine } = lines[i];
+      rows.push({ type: 'equal', left: { line: oldLine, text }, right: { line: newLine, text } });
+      i++;
+      continue;
+    }
+
+    // Collect a run of deletions and insertions and line them up against each other
+    const deleted = [];
+    const inserted = [];
+    while (i < lines.length && lines[i].type !== 'equal') {
+      if (lines[i].type === 'delete') {
+        deleted.push({ line: lines[i].oldLine, text: lines[i].text });
+      } else {
+        inserted.push({ line: lines[i].newLine, text: lines[i].text });
+      }
+      i++;
+    }
+
+    for (let j = 0; j < Math.max(deleted.length, inserted.length); j++) {
+      const left = deleted[j] || null;
+      const right = inserted[j] || null;
+      rows.push({ type: left && right ? 'change' : left ? 'delete' : 'insert', left, right });
+    }
+  }
+
+  return rows;
+}
+
+/**
+ * Count added and removed lines between two texts
+ */
+export function countLineChanges(oldText, newText) {
+  let added = 0;
+  let removed = 0;
+  for (const line of diffLines(oldText, newText)) {
+    if (line.type === 'insert') added++;
+    if (line.type === 'delete') removed++;
+  }
+  return { added, removed };
+}
+
+/**
+ * Collapse a diff of base -> other into change hunks
+ * Each hunk replaces base lines [start, end) with lines; start === end is a pure insertion
+ */
+function changeHunks(base, other) {
+  const hunks = [];
+  let current = null;
+  let basePosition = 0;
+
+  for (const op of diffSequences(base, other)) {
+    if (op.type === 'equal') {
+      current = null;
+      basePosition = op.aIndex + 1;
+      continue;
+    }
+    if (!current) {
+      current = { start: basePosition, end: basePosition, lines: [] };
+      hunks.push(current);
+    }
+    if (op.type === 'delete') {
+      current.end = op.aIndex + 1;
+      basePosition = op.aIndex + 1;
+    } else {
+      current.lines.push(other[op.bIndex]);
+    }
+  }
+
+  return hunks;
+}
+
+/**
+ * Apply one side's hunks to the base lines in [start, end)
+ */
+function applyHunks(base, hunks, start, end) {
+  const lines = [];
+  let position = start;
+  for (const hunk of hunks) {
+    lines.push(...base.slice(position, hunk.start), ...hunk.lines);
+    position = hunk.end;
+  }
+  lines.push(...base.slice(position, end));
+  return lines;
+}
+
+/**
+ * Three-way line merge of two texts that both started from base
+ * Changes that don't touch the same base lines are combined; identical changes on both sides are
+ * taken once. Overlapping changes, two insertions at the same place, or an insertion at the start of
+ * (or inside) the other side's change become conflicts.
+ * Returns { chunks: [{ type: 'ok', lines } | { type: 'conflict', base, mine, theirs }], conflicts, text }
+ * where text is the merged result, or null when there are conflicts
+ */
+export function merge3(baseText, mineText, theirsText) {
+  const base = baseText.split('\n');
+  const hunks = [
+    ...changeHunks(base, mineText.split('\n')).map(hunk => ({ ...hunk, side: 'mine' })),
+    ...changeHunks(base, theirsText.split('\n')).map(hunk => ({ ...hunk, side: 'theirs' }))
+  ].sort((a, b) => a.start - b.start || a.end - b.end);
+
+  const chunks = [];
+  const pushLines = (lines) => {
+    if (lines.length === 0) return;
+    const last = chunks[chunks.length - 1];
+    if (last?.type === 'ok') {
+      last.lines.push(...lines);
+    } else {
+      chunks.push({ type: 'ok', lines: [...lines] });
+    }
+  };
+
+  let position = 0;
+  let i = 0;
+  while (i < hunks.length) {
+    // Gather every hunk that interferes with the ones already in the group
+    const group = [hunks[i]];
+    let groupEnd = hunks[i].end;
+    const insertPoints = new Set(hunks[i].start === hunks[i].end ? [hunks[i].start] : []);
+    i++;
+    while (i < hunks.length && (hunks[i].start < groupEnd || insertPoints.has(hunks[i].start))) {
+      const hunk = hunks[i];
+      group.push(hunk);
+      groupEnd = Math.max(groupEnd, hunk.end);
+      if (hunk.start === hunk.end) insertPoints.add(hunk.start);
+      i++;
+    }
+
+    const start = group[0].start;
+    pushLines(base.slice(position, start));
+
+    const mine = applyHunks(base, group.filter(hunk => hunk.side === 'mine'), start, groupEnd);
+    const theirs = applyHunks(base, group.filter(hunk => hunk.side === 'theirs'), start, groupEnd);
+    const sides = new Set(group.map(hunk => hunk.side));
+
+    if (sides.size === 1) {
+      pushLines(sides.has('mine') ? mine : theirs);
+    } else if (mine.join('\n') === theirs.join('\n')) {
+      pushLines(mine);
+    } else {
+      chunks.push({ type: 'conflict', base: base.slice(start, groupEnd), mine, theirs });
+    }
+    position = groupEnd;
+  }
+  pushLines(base.slice(position));
+
+  const conflicts = chunks.filter(chunk => chunk.type === 'conflict').length;
+  return {
+    chunks,
+    conflicts,
+    text: conflicts === 0 ? resolveMerge(chunks, []) : null
+  };
+}
+
+/**
+ * Build the text of a merge, taking each conflict from the side chosen for it
+ * choices[n] is 'mine' or 'theirs' for the n-th conflict (default 'mine')
+ */
+export function resolveMerge(chunks, choices) {
+  const lines = [];
+  let conflictIndex = 0;
+  for (const chunk of chunks) {
+    if (chunk.type === 'ok') {
+      lines.push(...chunk.lines);
+    } else {
+      lines.push(...(choices[conflictIndex] === 'theirs' ? chunk.theirs : chunk.mine));
+      conflictIndex++;
+    }
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Short fingerprint of a text, to check it is still the one a packed merge was made against
+ */
+function hashText(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193);
+  }
+  return `${text.length}:${(hash >>> 0).toString(16)}`;
+}
+
+/**
+ * Compact a conflicting merge for storage: the clean changes become hunks against mine and only
+ * the conflict chunks are kept (each with its line in the result), instead of copies of all three texts
+ * Conflicts still show from the packed merge; unpackMerge rebuilds the rest to resolve them
+ */
+export function packMerge(merge) {
+  const chunks = [];
+  const merged = [];
+  for (const chunk of merge.chunks) {
+    if (chunk.type === 'conflict') {
+      chunks.push({ ...chunk, at: merged.length });
+      merged.push(...chunk.mine);
+    } else {
+      merged.push(...chunk.lines);
+    }
+  }
+
+  return {
+    packed: true,
+    path: merge.path,
+    description: merge.description,
+    conflicts: merge.conflicts,
+    mineHash: hashText(merge.mine),
+    hunks: changeHunks(merge.mine.split('\n'), merged),
+    chunks
+  };
+}
+
+/**
+ * Rebuild a packed merge against the current document
+ * Returns null when the document is no longer the version the merge was made against; base and
+ * theirs aren't kept, so such a merge can't be redone
+ */
+export function unpackMerge(packed, content) {
+  if (hashText(content) !== packed.mineHash) return null;
+
+  const mine = content.split('\n');
+  const merged = applyHunks(mine, packed.hunks, 0, mine.length);
+  const chunks = [];
+  let position = 0;
+  for (const { at, ...conflict } of packed.chunks) {
+    if (at > position) chunks.push({ type: 'ok', lines: merged.slice(position, at) });
+    chunks.push(conflict);
+    position = at + conflict.mine.length;
+  }
+  if (position < merged.length) chunks.push({ type: 'ok', lines: merged.slice(position) });
+
+  return {
+    path: packed.path,
+    description: packed.description,
+    conflicts: packed.conflicts,
+    base: null,
+    mine: content,
+    theirs: null,
+    chunks
+  };
+}
+
+// A LaTeX command with its [optional] and {required} arguments (braces nested two deep),
+// a word, a run of whitespace, or any other single character
+const LATEX_TOKEN = /\\(?:[a-zA-Z@]+\*?|.)(?:\s*\[[^\]]*\]|\s*\{(?:[^{}]|\{[^{}]*\})*\})*|[\p{L}\p{N}]+|\s+|./gu;
+
+// Below this share of unchanged characters two lines are shown as whole-line changes
+const MIN_INLINE_SIMILARITY = 0.3;
+
+// How many added lines ahead to look for the counterpart of a removed line
+const PAIRING_WINDOW = 10;
+
+/**
+ * Split a line into diff tokens, keeping commands like \emph{...} together
+ */
+export function tokenizeLatex(text) {
+  return text.match(LATEX_TOKEN) || [];
+}
+
+/**
+ * Append a segment, merging it into the previous one when both have the same state
+ */
+function pushSegment(segments, text, changed) {
+  if (!text) return;
+  const last = segments[segments.length - 1];
+  if (last && last.changed === changed) {
+    last.text += text;
+  } else {
+    segments.push({ text, changed });
+  }
+}
+
+/**
+ * Character diff of a single replaced token, so \emph{teh} -> \emph{the} only marks the letters
+ * Falls back to marking the whole tokens when they have little in common
+ */
+function diffTokenChars(oldToken, newToken, before, after) {
+  const ops = diffSequences([...oldToken], [...newToken]);
+  const common = ops.filter(op => op.type === 'equal').length;
+  if (common < Math.min(oldToken.length, newToken.length) / 2) {
+    pushSegment(before, oldToken, true);
+    pushSegment(after, newToken, true);
+    return;
+  }
+  const oldChars = [...oldToken];
+  const newChars = [...newToken];
+  for (const op of ops) {
+    if (op.type !== 'insert') pushSegment(before, oldChars[op.aIndex], op.type === 'delete');
+    if (op.type !== 'delete') pushSegment(after, newChars[op.bIndex], op.type === 'insert');
+  }
+}
+
+/**
+ * Word- and character-level diff of a changed line
+ * Returns { before: [{ text, changed }], after: [{ text, changed }] }, or null when the lines are
+ * too different for inline highlights to help
+ */
+export function diffInline(oldText, newText) {
+  const oldTokens = tokenizeLatex(oldText);
+  const newTokens = tokenizeLatex(newText);
+  const ops = diffSequences(oldTokens, newTokens);
+  const before = [];
+  const after = [];
+  let i = 0;
+  while (i < ops.length) {
+    if (ops[i].type === 'equal') {
+      pushSegment(before, oldTokens[ops[i].aIndex], false);
+      pushSegment(after, newTokens[ops[i].bIndex], false);
+      i++;
+      continue;
+    }
+
+    const deleted = [];
+    const inserted = [];
+    while (i < ops.length && ops[i].type !== 'equal') {
+      if (ops[i].type === 'delete') deleted.push(oldTokens[ops[i].aIndex]);
+      else inserted.push(newTokens[ops[i].bIndex]);
+      i++;
+    }
+
+    if (deleted.length === 1 && inserted.length === 1) {
+      diffTokenChars(deleted[0], inserted[0], before, after);
+    } else {
+      pushSegment(before, deleted.join(''), true);
+      pushSegment(after, inserted.join(''), true);
+    }
+  }
+
+  // Similarity counts visible characters only, so reflowed whitespace doesn't make lines look alike
+  const visibleLength = (text) => text.replace(/\s/g, '').length;
+  const unchanged = before
+    .filter(segment => !segment.changed)
+    .reduce((total, segment) => total + visibleLength(segment.text), 0);
+  const longest = Math.max(visibleLength(oldText), visibleLength(newText));
+  if (longest === 0 || unchanged / longest < MIN_INLINE_SIMILARITY) return null;
+
+  return { before, after };
+}
+
+/**
+ * Inline diffs for a block of removed lines and the lines replacing them
+ * Removed and added lines are paired in order by similarity; returns { before, after } arrays parallel
+ * to the inputs, holding diffInline segments (a single unchanged segment for lines kept as they were)
+ * or null for lines shown whole
+ */
+export function diffLineBlock(beforeLines, afterLines) {
+  const before = beforeLines.map(() => null);
+  const after = afterLines.map(() => null);
+  const ops = diffSequences(beforeLines, afterLines);
+  let i = 0;
+
+  while (i < ops.length) {
+    if (ops[i].type === 'equal') {
+      const unchanged = [];
+      pushSegment(unchanged, beforeLines[ops[i].aIndex], false);
+      before[ops[i].aIndex] = unchanged;
+      after[ops[i].bIndex] = unchanged;
+      i++;
+      continue;
+    }
+
+    const deleted = [];
+    const inserted = [];
+    while (i < ops.length && ops[i].type !== 'equal') {
+      if (ops[i].type === 'delete') deleted.push(ops[i].aIndex);
+      else inserted.push(ops[i].bIndex);
+      i++;
+    }
+
+    // Pair each removed line with the first similar added line after the previous pair
+    let next = 0;
+    for (const oldIndex of deleted) {
+      for (let j = next; j < Math.min(inserted.length, next + PAIRING_WINDOW); j++) {
+        const inline = diffInline(beforeLines[oldIndex], afterLines[inserted[j]]);
+        if (inline) {
+          before[oldIndex] = inline.before;
+          after[inserted[j]] = inline.after;
+          next = j + 1;
+          break;
+        }
+      }
+    }
+  }
+
+  return { before, after };
+}